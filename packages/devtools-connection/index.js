@@ -2,14 +2,46 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+const { ChromeThreadClient } = require("./src/chrome/client");
+const { BreakpointManager } = require("./src/debugger/breakpoints");
 const { DebuggerClient } = require("./src/debugger/client");
+const { ProtocolFronts } = require("./src/debugger/fronts");
+const { ProtocolRecorder } = require("./src/debugger/recorder");
+const { ObjectTreeModel } = require("./src/debugger/object-tree");
+const { PauseSnapshot } = require("./src/debugger/snapshot");
+const { SourceCache } = require("./src/debugger/source-cache");
+const { SourceMapService } = require("./src/debugger/source-maps");
+const { TraceCollector } = require("./src/debugger/trace");
+const { PacketValidator } = require("./src/debugger/validator");
 const { DebuggerTransport } = require("./src/transport");
+const { ConsoleLogService } = require("./src/webconsole/console-log");
+const { HarArchive } = require("./src/webconsole/har");
+const { ReplService } = require("./src/webconsole/repl");
+const { DebuggerMultiplexer } = require("./src/transport/multiplex");
+const { ReplayDebuggerTransport } = require("./src/transport/replay");
+const { MockDebuggerServer } = require("./src/server/mock-server");
 const WebsocketTransport = require("./src/transport/websocket");
 const { TargetFactory } = require("./src/target");
 
 module.exports = {
+  BreakpointManager,
+  ChromeThreadClient,
+  ConsoleLogService,
   DebuggerClient,
+  DebuggerMultiplexer,
   DebuggerTransport,
+  HarArchive,
+  MockDebuggerServer,
+  ObjectTreeModel,
+  PacketValidator,
+  PauseSnapshot,
+  ProtocolFronts,
+  ProtocolRecorder,
+  ReplayDebuggerTransport,
+  ReplService,
+  SourceCache,
+  SourceMapService,
   TargetFactory,
+  TraceCollector,
   WebsocketTransport,
 };
@@ -0,0 +1,1285 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const promise = require("../utils/promise");
+const { eventSource } = require("../debugger/client");
+const { eventStream } = require("../utils/event-stream");
+
+const noop = () => {};
+
+/**
+ * The thread of a Chrome DevTools Protocol target has no actor, this name
+ * stands for it in the packets emitted by ChromeThreadClient.
+ */
+const THREAD_ACTOR = "chrome-thread";
+
+/**
+ * The kind of environment, as understood by the remote debugging protocol,
+ * for each type of CDP scope.
+ */
+const EnvironmentTypes = {
+  global: "object",
+  with: "object",
+  local: "function",
+  closure: "function",
+  block: "block",
+  catch: "block",
+  script: "block",
+  module: "block",
+  eval: "block",
+};
+
+/**
+ * The pause reason, as understood by the remote debugging protocol, for each
+ * CDP pause reason that has one.
+ */
+const PauseReasons = {
+  exception: "exception",
+  promiseRejection: "exception",
+  DOM: "mutationBreakpoint",
+  EventListener: "eventBreakpoint",
+  XHR: "XHR",
+};
+
+/**
+ * Call a method of a CDP connection. Failures are turned into error packets,
+ * like the ones the remote debugging protocol rejects requests with.
+ */
+function send(aConnection, aMethod, aParams = {}) {
+  return aConnection.send(aMethod, aParams).then(null, aError => {
+    return promise.reject({
+      from: THREAD_ACTOR,
+      error: "unknownError",
+      message: `${aMethod} failed: ${aError.message || aError}`,
+    });
+  });
+}
+
+/**
+ * Create the remote debugging protocol grip of a CDP RemoteObject.
+ *
+ * @param aObject object
+ *        The RemoteObject.
+ */
+function createGrip(aObject) {
+  if (!aObject) {
+    return { type: "undefined" };
+  }
+
+  if ("unserializableValue" in aObject) {
+    let value = aObject.unserializableValue;
+    if (value.endsWith("n")) {
+      return { type: "BigInt", text: value.slice(0, -1) };
+    }
+    // "NaN", "Infinity", "-Infinity" and "-0".
+    return { type: value };
+  }
+
+  switch (aObject.type) {
+    case "undefined":
+      return { type: "undefined" };
+    case "string":
+    case "number":
+    case "boolean":
+      return aObject.value;
+    case "bigint":
+      return { type: "BigInt", text: aObject.description.slice(0, -1) };
+    case "symbol":
+      return {
+        type: "symbol",
+        name: aObject.description.replace(/^Symbol\((.*)\)$/, "$1"),
+      };
+  }
+
+  if (aObject.subtype == "null") {
+    return { type: "null" };
+  }
+
+  let grip = {
+    type: "object",
+    actor: aObject.objectId,
+    class: aObject.type == "function" ? "Function" : aObject.className,
+  };
+
+  if (aObject.type == "function") {
+    let match = /^(?:async\s+)?function\s*\*?\s*([\w$]+)/.exec(
+      aObject.description,
+    );
+    grip.name = match ? match[1] : "";
+    grip.displayName = grip.name;
+  } else if (aObject.subtype == "array") {
+    let match = /\((\d+)\)$/.exec(aObject.description);
+    grip.preview = {
+      kind: "ArrayLike",
+      length: match ? Number(match[1]) : 0,
+    };
+  }
+
+  return grip;
+}
+
+/**
+ * Create the CDP CallArgument of a primitive grip.
+ */
+function createCallArgument(aGrip) {
+  if (aGrip === null || typeof aGrip != "object") {
+    return { value: aGrip };
+  }
+  switch (aGrip.type) {
+    case "undefined":
+      return {};
+    case "null":
+      return { value: null };
+    case "BigInt":
+      return { unserializableValue: `${aGrip.text}n` };
+    case "NaN":
+    case "Infinity":
+    case "-Infinity":
+    case "-0":
+      return { unserializableValue: aGrip.type };
+  }
+  return { objectId: aGrip.actor };
+}
+
+/**
+ * Create the remote debugging protocol property descriptor of a CDP
+ * PropertyDescriptor.
+ */
+function createDescriptor(aProperty) {
+  let descriptor = {
+    configurable: aProperty.configurable,
+    enumerable: aProperty.enumerable,
+  };
+  if ("value" in aProperty) {
+    descriptor.writable = aProperty.writable;
+    descriptor.value = createGrip(aProperty.value);
+  } else {
+    descriptor.get = createGrip(aProperty.get);
+    descriptor.set = createGrip(aProperty.set);
+  }
+  return descriptor;
+}
+
+/**
+ * A ThreadClient for the targets of the Chrome DevTools Protocol, Chrome tabs
+ * and Node processes. It offers the same methods and emits the same events,
+ * with the same packets, as ThreadClient does for Firefox, so that tools can
+ * debug either kind of target the same way.
+ *
+ * The connection is the object returned by chrome-remote-interface, or any
+ * object with the same |send(method, params)| method, returning a promise,
+ * and |on(event, listener)| method.
+ *
+ * Unlike Firefox threads, which pause when attached, the thread keeps
+ * running once attached. The environments of frames don't include their
+ * bindings, get them with |environment(form).getBindings()|.
+ *
+ * The client emits "closed" once the connection is gone, on the "disconnect"
+ * event of chrome-remote-interface, as DebuggerClient does.
+ *
+ * @param aConnection object
+ *        The CDP connection to the target.
+ */
+function ChromeThreadClient(aConnection) {
+  this._connection = aConnection;
+  this._actor = THREAD_ACTOR;
+  this._state = "detached";
+  this._sources = new Map();
+  this._sourceClients = new Map();
+  this._breakpoints = new Map();
+  this._scriptSources = new Map();
+  this._frames = [];
+  this._pauseGrips = {};
+  this._scopes = new Map();
+  this._pauseCount = 0;
+  this._lastPausePacket = null;
+  this._resumeLimit = false;
+  this._interrupting = false;
+  this._listening = false;
+
+  this._onScriptParsed = this._onScriptParsed.bind(this);
+  this._onPaused = this._onPaused.bind(this);
+  this._onResumed = this._onResumed.bind(this);
+  this._onDisconnect = this._onDisconnect.bind(this);
+
+  this._connection.on("disconnect", this._onDisconnect);
+}
+
+ChromeThreadClient.prototype = {
+  get state() {
+    return this._state;
+  },
+  get paused() {
+    return this._state === "paused";
+  },
+  get actor() {
+    return this._actor;
+  },
+
+  _assertPaused: function(aCommand) {
+    if (!this.paused) {
+      throw Error(
+        `${aCommand} command sent while not paused. Currently ${this._state}`,
+      );
+    }
+  },
+
+  /**
+   * Enable the debugger of the target. The sources already loaded are
+   * announced with "newSource" events.
+   *
+   * @param function aOnResponse
+   *        Called with the response packet.
+   */
+  attach: function(aOnResponse = noop) {
+    if (!this._listening) {
+      this._connection.on("Debugger.scriptParsed", this._onScriptParsed);
+      this._connection.on("Debugger.paused", this._onPaused);
+      this._connection.on("Debugger.resumed", this._onResumed);
+      this._listening = true;
+    }
+
+    return promise
+      .all([
+        send(this._connection, "Debugger.enable"),
+        send(this._connection, "Runtime.enable"),
+      ])
+      .then(() => {
+        if (this._state == "detached") {
+          this._state = "attached";
+        }
+        let response = { from: this.actor };
+        aOnResponse(response);
+        return response;
+      });
+  },
+
+  /**
+   * Disable the debugger of the target.
+   *
+   * @param function aOnResponse
+   *        Called with the response packet.
+   */
+  detach: function(aOnResponse = noop) {
+    return send(this._connection, "Debugger.disable").then(() => {
+      this._clearPause();
+      this._state = "detached";
+      this._sources.clear();
+      this._sourceClients.clear();
+      this._breakpoints.clear();
+      this._scriptSources.clear();
+
+      let response = { from: this.actor, type: "detached" };
+      this.emit("detached", response);
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Resume a paused thread.
+   */
+  resume: function(aOnResponse) {
+    return this._doResume("Debugger.resume", false, aOnResponse);
+  },
+
+  /**
+   * Step over a function call.
+   */
+  stepOver: function(aOnResponse) {
+    return this._doResume("Debugger.stepOver", true, aOnResponse);
+  },
+
+  /**
+   * Step into a function call.
+   */
+  stepIn: function(aOnResponse) {
+    return this._doResume("Debugger.stepInto", true, aOnResponse);
+  },
+
+  /**
+   * Step out of a function call.
+   */
+  stepOut: function(aOnResponse) {
+    return this._doResume("Debugger.stepOut", true, aOnResponse);
+  },
+
+  _doResume: function(aMethod, aResumeLimit, aOnResponse = noop) {
+    this._assertPaused("resume");
+
+    // Put the client in a tentative "resuming" state so we can prevent
+    // further requests that should only be sent in the paused state.
+    this._state = "resuming";
+    this._resumeLimit = aResumeLimit;
+
+    return send(this._connection, aMethod).then(
+      () => {
+        let response = { from: this.actor, type: "resumed" };
+        aOnResponse(response);
+        return response;
+      },
+      aResponse => {
+        this._state = "paused";
+        aOnResponse(aResponse);
+        return promise.reject(aResponse);
+      },
+    );
+  },
+
+  /**
+   * Interrupt a running thread.
+   */
+  interrupt: function(aOnResponse = noop) {
+    this._interrupting = true;
+    return send(this._connection, "Debugger.pause").then(() => {
+      let response = { from: this.actor };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Pause on the next statement executed.
+   */
+  breakOnNext: function(aOnResponse) {
+    return this.interrupt(aOnResponse);
+  },
+
+  /**
+   * Enable or disable pausing when an exception is thrown.
+   *
+   * @param boolean aPauseOnExceptions
+   *        Enables pausing if true, disables otherwise.
+   * @param boolean aIgnoreCaughtExceptions
+   *        Whether to ignore caught exceptions when pausing on exceptions.
+   * @param function aOnResponse
+   *        Called with the response packet.
+   */
+  pauseOnExceptions: function(
+    aPauseOnExceptions,
+    aIgnoreCaughtExceptions,
+    aOnResponse = noop,
+  ) {
+    let state = "none";
+    if (aPauseOnExceptions) {
+      state = aIgnoreCaughtExceptions ? "uncaught" : "all";
+    }
+    return send(this._connection, "Debugger.setPauseOnExceptions", {
+      state,
+    }).then(() => {
+      let response = { from: this.actor };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Toggle pausing on breakpoints.
+   *
+   * @param skip boolean
+   *        Whether breakpoints should be skipped.
+   */
+  skipBreakpoints: function(skip) {
+    return send(this._connection, "Debugger.setBreakpointsActive", {
+      active: !skip,
+    }).then(() => ({ from: this.actor, skip }));
+  },
+
+  /**
+   * Set a breakpoint, replacing the one already set at the same location.
+   *
+   * @param location object
+   *        The location, with a |sourceId| or a |sourceUrl|, a |line| and
+   *        optionally a |column|.
+   * @param options object
+   *        - condition: only pause when this expression is truthy.
+   *        - logValue: log this expression instead of pausing.
+   */
+  setBreakpoint: function(location, options = {}) {
+    let lineNumber = location.line - 1;
+    let columnNumber = location.column;
+    let condition = options.condition || "";
+    if (options.logValue) {
+      condition = `console.log(${options.logValue}), false`;
+    }
+
+    let method, params;
+    if (location.sourceId) {
+      method = "Debugger.setBreakpoint";
+      params = {
+        location: { scriptId: location.sourceId, lineNumber, columnNumber },
+        condition,
+      };
+    } else {
+      method = "Debugger.setBreakpointByUrl";
+      params = { url: location.sourceUrl, lineNumber, columnNumber, condition };
+    }
+
+    return this.removeBreakpoint(location)
+      .then(() => send(this._connection, method, params))
+      .then(aResult => {
+        this._breakpoints.set(
+          this._breakpointKey(location),
+          aResult.breakpointId,
+        );
+        return { from: this.actor };
+      });
+  },
+
+  /**
+   * Remove the breakpoint set at a location, if any.
+   */
+  removeBreakpoint: function(location) {
+    let key = this._breakpointKey(location);
+    let breakpointId = this._breakpoints.get(key);
+    if (!breakpointId) {
+      return promise.resolve({ from: this.actor });
+    }
+
+    this._breakpoints.delete(key);
+    return send(this._connection, "Debugger.removeBreakpoint", {
+      breakpointId,
+    }).then(() => ({ from: this.actor }));
+  },
+
+  /**
+   * Breakpoints are keyed on the URL of their source when it has one, so that
+   * a breakpoint set by source ID can be removed by URL and the other way
+   * around.
+   */
+  _breakpointKey: function({ sourceId, sourceUrl, line, column }) {
+    let source = sourceId && this._sources.get(sourceId);
+    let where = (source && source.url) || sourceUrl || sourceId;
+    return `${where}:${line}:${column == null ? "" : column}`;
+  },
+
+  /**
+   * Request the loaded sources.
+   *
+   * @param aOnResponse Function
+   *        Called with the thread's response.
+   */
+  getSources: function(aOnResponse = noop) {
+    let response = { from: this.actor, sources: [...this._sources.values()] };
+    aOnResponse(response);
+    return promise.resolve(response);
+  },
+
+  /**
+   * Request frames from the callstack of the paused thread.
+   *
+   * @param aStart integer
+   *        The number of the youngest stack frame to return (the youngest
+   *        frame is 0).
+   * @param aCount integer
+   *        The maximum number of frames to return, or null to return all
+   *        frames.
+   * @param aOnResponse function
+   *        Called with the thread's response.
+   */
+  getFrames: function(aStart = 0, aCount = null, aOnResponse = noop) {
+    let end = aCount ? aStart + aCount : undefined;
+    let forms = this._frames.slice(aStart, end).map((aFrame, aIndex) => {
+      return this._frameForm(aFrame, aStart + aIndex);
+    });
+    return promise.all(forms).then(frames => {
+      let response = { from: this.actor, frames };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Evaluate an expression in a frame of the paused thread. Like Firefox
+   * threads, the thread resumes to evaluate it and pauses again once done,
+   * with a "clientEvaluated" pause whose |frameFinished| is the completion
+   * value, { return: grip } or { throw: grip }.
+   *
+   * @param aFrame string
+   *        The actor of the frame, from its form.
+   * @param aExpression string
+   *        The expression to evaluate.
+   * @param aOnResponse function
+   *        Called with the response packet.
+   */
+  eval: function(aFrame, aExpression, aOnResponse = noop) {
+    this._assertPaused("eval");
+
+    // Put the client in a tentative "resuming" state so we can prevent
+    // further requests that should only be sent in the paused state.
+    this._state = "resuming";
+    let pausePacket = this._lastPausePacket;
+
+    return send(this._connection, "Debugger.evaluateOnCallFrame", {
+      callFrameId: aFrame,
+      expression: aExpression,
+    }).then(
+      ({ result, exceptionDetails }) => {
+        let response = { from: this.actor, type: "resumed" };
+        aOnResponse(response);
+
+        // CDP evaluates without resuming, the frames and grips of the pause
+        // stay valid in the next one.
+        if (this._state == "resuming") {
+          this.emit("resumed", response);
+          this._state = "paused";
+          this._lastPausePacket = Object.assign({}, pausePacket, {
+            actor: `${this.actor}-pause${++this._pauseCount}`,
+            why: {
+              type: "clientEvaluated",
+              frameFinished: exceptionDetails
+                ? { throw: createGrip(exceptionDetails.exception) }
+                : { return: createGrip(result) },
+            },
+          });
+          this.emit("paused", this._lastPausePacket);
+        }
+        return response;
+      },
+      aResponse => {
+        this._state = "paused";
+        aOnResponse(aResponse);
+        return promise.reject(aResponse);
+      },
+    );
+  },
+
+  getLastPausePacket: function() {
+    return this._lastPausePacket;
+  },
+
+  /**
+   * Return a ChromeSourceClient for the given source form.
+   */
+  source: function(aForm) {
+    if (!this._sourceClients.has(aForm.actor)) {
+      this._sourceClients.set(aForm.actor, new ChromeSourceClient(this, aForm));
+    }
+    return this._sourceClients.get(aForm.actor);
+  },
+
+  /**
+   * Return a ChromeObjectClient for the given object grip, valid until the
+   * thread resumes.
+   */
+  pauseGrip: function(aGrip) {
+    if (aGrip.actor in this._pauseGrips) {
+      return this._pauseGrips[aGrip.actor];
+    }
+    let client = new ChromeObjectClient(this, aGrip);
+    this._pauseGrips[aGrip.actor] = client;
+    return client;
+  },
+
+  /**
+   * CDP objects don't outlive the pause either.
+   */
+  threadGrip: function(aGrip) {
+    return this.pauseGrip(aGrip);
+  },
+
+  /**
+   * Return a ChromeEnvironmentClient for the given environment form.
+   */
+  environment: function(aForm) {
+    return new ChromeEnvironmentClient(this, aForm);
+  },
+
+  /**
+   * Create the form of a frame. Its arguments are read from its local scope,
+   * so the form is resolved once they are.
+   */
+  _frameForm: function(aFrame, aDepth) {
+    let { location } = aFrame;
+    let form = {
+      actor: aFrame.callFrameId,
+      depth: aDepth,
+      type: "call",
+      displayName: aFrame.functionName || "(anonymous)",
+      this: createGrip(aFrame.this),
+      arguments: [],
+      where: {
+        actor: location.scriptId,
+        line: location.lineNumber + 1,
+        column: location.columnNumber || 0,
+      },
+      environment: this._environmentForm(aFrame),
+    };
+
+    return this._frameArguments(aFrame).then(
+      aArguments => {
+        form.arguments = aArguments.map(([, aProperty]) => {
+          return createGrip(aProperty && aProperty.value);
+        });
+        return form;
+      },
+      // A frame without its arguments is better than no frame.
+      () => form,
+    );
+  },
+
+  _environmentForm: function(aFrame) {
+    let { callFrameId, scopeChain = [] } = aFrame;
+    // Create the environments from the outermost one, so that each one can
+    // refer to its parent.
+    return scopeChain.reduceRight((aParent, aScope, aScopeNumber) => {
+      this._scopes.set(aScope.object.objectId, {
+        callFrameId,
+        scopeNumber: aScopeNumber,
+        frame: aScope.type == "local" ? aFrame : null,
+      });
+      let form = {
+        actor: aScope.object.objectId,
+        type: EnvironmentTypes[aScope.type] || "block",
+      };
+      if (form.type == "object") {
+        form.object = createGrip(aScope.object);
+      }
+      if (aParent) {
+        form.parent = aParent;
+      }
+      return form;
+    }, null);
+  },
+
+  /**
+   * Get the parameters of the function running in a frame, as [name,
+   * property] pairs, the property being the CDP PropertyDescriptor of the
+   * binding in the local scope of the frame, if any.
+   */
+  _frameArguments: function(aFrame) {
+    let { scopeChain = [] } = aFrame;
+    let local = scopeChain.find(aScope => aScope.type == "local");
+    if (!local) {
+      return promise.resolve([]);
+    }
+
+    return promise
+      .all([
+        this._parameterNames(aFrame),
+        send(this._connection, "Runtime.getProperties", {
+          objectId: local.object.objectId,
+          ownProperties: true,
+        }),
+      ])
+      .then(([aNames, aResult]) => {
+        let properties = new Map(
+          aResult.result.map(aProperty => [aProperty.name, aProperty]),
+        );
+        return aNames.map(aName => [aName, properties.get(aName)]);
+      });
+  },
+
+  /**
+   * Get the names of the parameters of the function running in a frame, from
+   * the text of its script. CDP doesn't tell the parameters apart from the
+   * other bindings of the local scope. The names stop at the first
+   * destructuring or rest parameter.
+   */
+  _parameterNames: function({ functionLocation }) {
+    if (!functionLocation) {
+      return promise.resolve([]);
+    }
+
+    let { scriptId, lineNumber, columnNumber } = functionLocation;
+    return this._scriptSource(scriptId).then(aText => {
+      let offset = columnNumber || 0;
+      let lines = aText.split("\n");
+      for (let i = 0; i < lineNumber && i < lines.length; i++) {
+        offset += lines[i].length + 1;
+      }
+      let text = aText.slice(offset);
+      let match =
+        /^\s*(?:async\s+)?([\w$]+)\s*=>/.exec(text) ||
+        /^[^(={]*\(([^)]*)\)/.exec(text);
+      if (!match) {
+        return [];
+      }
+
+      let names = [];
+      for (let parameter of match[1].split(",")) {
+        let name = parameter.replace(/=[^]*$/, "").trim();
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+          break;
+        }
+        names.push(name);
+      }
+      return names;
+    });
+  },
+
+  _scriptSource: function(aScriptId) {
+    if (!this._scriptSources.has(aScriptId)) {
+      let text = send(this._connection, "Debugger.getScriptSource", {
+        scriptId: aScriptId,
+      }).then(aResult => aResult.scriptSource);
+      text.then(null, () => this._scriptSources.delete(aScriptId));
+      this._scriptSources.set(aScriptId, text);
+    }
+    return this._scriptSources.get(aScriptId);
+  },
+
+  _pauseReason: function({ reason, data, hitBreakpoints }) {
+    if (hitBreakpoints && hitBreakpoints.length > 0) {
+      return { type: "breakpoint", actors: hitBreakpoints };
+    }
+    if (reason == "exception" || reason == "promiseRejection") {
+      return { type: "exception", exception: createGrip(data) };
+    }
+    if (reason in PauseReasons) {
+      return { type: PauseReasons[reason] };
+    }
+    if (this._interrupting) {
+      return { type: "interrupted" };
+    }
+    if (this._resumeLimit) {
+      return { type: "resumeLimit" };
+    }
+    return { type: "debuggerStatement" };
+  },
+
+  _clearPause: function() {
+    this._frames = [];
+    for (let actor in this._pauseGrips) {
+      this._pauseGrips[actor].valid = false;
+    }
+    this._pauseGrips = {};
+    this._scopes.clear();
+  },
+
+  // CDP events.
+
+  _onScriptParsed: function(aScript) {
+    let form = {
+      actor: aScript.scriptId,
+      url: aScript.url || null,
+      introductionType: null,
+      isBlackBoxed: false,
+      isPrettyPrinted: false,
+      sourceMapURL: aScript.sourceMapURL || null,
+    };
+    this._sources.set(aScript.scriptId, form);
+    this.emit("newSource", {
+      from: this.actor,
+      type: "newSource",
+      source: form,
+    });
+  },
+
+  _onPaused: function(aParams) {
+    this._clearPause();
+    this._frames = aParams.callFrames;
+    this._state = "paused";
+
+    let pauseCount = ++this._pauseCount;
+    let packet = {
+      from: this.actor,
+      type: "paused",
+      actor: `${this.actor}-pause${pauseCount}`,
+      why: this._pauseReason(aParams),
+    };
+    this._interrupting = false;
+    this._resumeLimit = false;
+
+    let frame = this._frames.length > 0
+      ? this._frameForm(this._frames[0], 0)
+      : promise.resolve(null);
+    frame.then(aFrame => {
+      // The thread may have resumed while the arguments were read.
+      if (pauseCount != this._pauseCount || !this.paused) {
+        return;
+      }
+      if (aFrame) {
+        packet.frame = aFrame;
+      }
+      this._lastPausePacket = packet;
+      this.emit("paused", packet);
+    });
+  },
+
+  _onResumed: function() {
+    this._clearPause();
+    this._state = "attached";
+    this._lastPausePacket = null;
+    this.emit("resumed", { from: this.actor, type: "resumed" });
+  },
+
+  _onDisconnect: function() {
+    this._clearPause();
+    this._state = "detached";
+    this._lastPausePacket = null;
+    this.emit("closed");
+  },
+
+  /**
+   * Get the packets of thread events as an async iterable ending once the
+   * thread is detached or the connection is closed, see
+   * ThreadClient.prototype.eventStream.
+   */
+  eventStream: function(aNames) {
+    return eventStream(this, aNames, [
+      { source: this, name: "detached" },
+      { source: this, name: "closed" },
+    ]);
+  },
+
+  pauses: function() {
+    return this.eventStream(["paused"]);
+  },
+
+  resumes: function() {
+    return this.eventStream(["resumed"]);
+  },
+
+  newSources: function() {
+    return this.eventStream(["newSource"]);
+  },
+};
+
+eventSource(ChromeThreadClient.prototype);
+
+/**
+ * A SourceClient for the scripts of a CDP target.
+ *
+ * @param aThread ChromeThreadClient
+ *        The thread the script belongs to.
+ * @param aForm object
+ *        The source form, as found in the "newSource" packets.
+ */
+function ChromeSourceClient(aThread, aForm) {
+  this._form = aForm;
+  this._activeThread = aThread;
+  this._connection = aThread._connection;
+  this._isBlackBoxed = aForm.isBlackBoxed;
+}
+
+ChromeSourceClient.prototype = {
+  get isBlackBoxed() {
+    return this._isBlackBoxed;
+  },
+  get isPrettyPrinted() {
+    return false;
+  },
+  get actor() {
+    return this._form.actor;
+  },
+  get url() {
+    return this._form.url;
+  },
+
+  /**
+   * Get the text of the script.
+   */
+  source: function(aCallback = noop) {
+    return send(this._connection, "Debugger.getScriptSource", {
+      scriptId: this.actor,
+    }).then(aResult => {
+      let response = {
+        source: aResult.scriptSource,
+        contentType: "text/javascript",
+      };
+      aCallback(response);
+      return response;
+    });
+  },
+
+  /**
+   * Black box the whole script.
+   */
+  blackBox: function(aCallback = noop) {
+    return this._setBlackBoxed(true, aCallback);
+  },
+
+  /**
+   * Un-black box the script.
+   */
+  unblackBox: function(aCallback = noop) {
+    return this._setBlackBoxed(false, aCallback);
+  },
+
+  _setBlackBoxed: function(aBlackBoxed, aCallback) {
+    let positions = aBlackBoxed ? [{ lineNumber: 0, columnNumber: 0 }] : [];
+    return send(this._connection, "Debugger.setBlackboxedRanges", {
+      scriptId: this.actor,
+      positions,
+    }).then(() => {
+      this._isBlackBoxed = aBlackBoxed;
+      this._form.isBlackBoxed = aBlackBoxed;
+      this._activeThread.emit("blackboxchange", this);
+      let response = { from: this.actor };
+      aCallback(response);
+      return response;
+    });
+  },
+
+  /**
+   * Get the lines where a breakpoint can be set.
+   */
+  getBreakableLines: function() {
+    return this.getBreakpointPositions().then(aPositions => {
+      let lines = new Set(aPositions.map(({ line }) => line));
+      return [...lines].sort((a, b) => a - b);
+    });
+  },
+
+  /**
+   * Get the positions where a breakpoint can be set.
+   *
+   * @param query object
+   *        Optionally, the |start| and |end| locations of the range to look
+   *        positions in.
+   */
+  getBreakpointPositions: function(query = {}) {
+    let { start, end } = query;
+    let params = {
+      start: {
+        scriptId: this.actor,
+        lineNumber: start ? start.line - 1 : 0,
+        columnNumber: start ? start.column || 0 : 0,
+      },
+    };
+    if (end) {
+      params.end = {
+        scriptId: this.actor,
+        lineNumber: end.line - 1,
+        columnNumber: end.column || 0,
+      };
+    }
+    return send(this._connection, "Debugger.getPossibleBreakpoints", params)
+      .then(aResult => {
+        return aResult.locations.map(aLocation => ({
+          line: aLocation.lineNumber + 1,
+          column: aLocation.columnNumber || 0,
+        }));
+      });
+  },
+
+  /**
+   * Get the positions where a breakpoint can be set, as a map of line numbers
+   * to the list of columns on that line.
+   */
+  getBreakpointPositionsCompressed: function(query) {
+    return this.getBreakpointPositions(query).then(aPositions => {
+      let positions = {};
+      for (let { line, column } of aPositions) {
+        positions[line] = positions[line] || [];
+        positions[line].push(column);
+      }
+      return positions;
+    });
+  },
+};
+
+/**
+ * An ObjectClient for the objects of a paused CDP target.
+ *
+ * @param aThread ChromeThreadClient
+ *        The paused thread.
+ * @param aGrip object
+ *        The object grip.
+ */
+function ChromeObjectClient(aThread, aGrip) {
+  this._grip = aGrip;
+  this._connection = aThread._connection;
+}
+
+ChromeObjectClient.prototype = {
+  get actor() {
+    return this._grip.actor;
+  },
+
+  valid: true,
+
+  get isFrozen() {
+    return !!this._grip.frozen;
+  },
+  get isSealed() {
+    return !!this._grip.sealed;
+  },
+  get isExtensible() {
+    return this._grip.extensible !== false;
+  },
+
+  /**
+   * Fetch the own properties of the object, and its prototype.
+   */
+  _getProperties: function() {
+    return send(this._connection, "Runtime.getProperties", {
+      objectId: this.actor,
+      ownProperties: true,
+    }).then(aResult => {
+      let prototype = { type: "null" };
+      let ownProperties = {};
+      let ownSymbols = [];
+      for (let property of aResult.result) {
+        if (property.name == "__proto__" && !property.symbol) {
+          prototype = createGrip(property.value);
+        } else if (property.symbol) {
+          ownSymbols.push({
+            name: property.symbol.description,
+            descriptor: createDescriptor(property),
+          });
+        } else {
+          ownProperties[property.name] = createDescriptor(property);
+        }
+      }
+      return { prototype, ownProperties, ownSymbols };
+    });
+  },
+
+  /**
+   * Request the prototype and own properties of the object.
+   *
+   * @param aOnResponse function Called with the request's response.
+   */
+  getPrototypeAndProperties: function(aOnResponse = noop) {
+    return this._getProperties().then(aProperties => {
+      let response = Object.assign(
+        { from: this.actor, safeGetterValues: {} },
+        aProperties,
+      );
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Request the prototype of the object.
+   *
+   * @param aOnResponse function Called with the request's response.
+   */
+  getPrototype: function(aOnResponse = noop) {
+    return this._getProperties().then(({ prototype }) => {
+      let response = { from: this.actor, prototype };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Request the names of the own properties of the object.
+   *
+   * @param aOnResponse function Called with the request's response.
+   */
+  getOwnPropertyNames: function(aOnResponse = noop) {
+    return this._getProperties().then(({ ownProperties }) => {
+      let response = {
+        from: this.actor,
+        ownPropertyNames: Object.keys(ownProperties),
+      };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Request the property descriptor of the object's specified property.
+   *
+   * @param aName string The name of the requested property.
+   * @param aOnResponse function Called with the request's response.
+   */
+  getProperty: function(aName, aOnResponse = noop) {
+    return this._getProperties().then(({ ownProperties }) => {
+      let response = { from: this.actor, descriptor: ownProperties[aName] };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Request an iterator over the own properties of the object.
+   *
+   * @param options Object
+   *        The same options as ObjectClient.enumProperties: ignoreSafeGetters,
+   *        ignoreIndexedProperties, ignoreNonIndexedProperties and sort.
+   * @param aOnResponse function Called with the request's response.
+   */
+  enumProperties: function(options = {}, aOnResponse = noop) {
+    return this._getProperties().then(({ ownProperties }) => {
+      let isIndex = aName => {
+        return this._grip.class == "Array" && /^\d+$/.test(aName);
+      };
+      let names = Object.keys(ownProperties);
+      if (options.ignoreIndexedProperties) {
+        names = names.filter(aName => !isIndex(aName));
+      }
+      if (options.ignoreNonIndexedProperties) {
+        names = names.filter(isIndex);
+      }
+      if (options.sort) {
+        names.sort();
+      }
+
+      let response = {
+        iterator: new ChromePropertyIteratorClient(names, ownProperties),
+      };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Request the display string of the object.
+   *
+   * @param aOnResponse function Called with the request's response.
+   */
+  getDisplayString: function(aOnResponse = noop) {
+    return send(this._connection, "Runtime.callFunctionOn", {
+      objectId: this.actor,
+      functionDeclaration: "function() { return String(this); }",
+      returnByValue: true,
+    }).then(aResult => {
+      let response = {
+        from: this.actor,
+        displayString: aResult.result.value,
+      };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Release the object, it can't be inspected anymore.
+   *
+   * @param aOnResponse function Called with the request's response.
+   */
+  release: function(aOnResponse = noop) {
+    return send(this._connection, "Runtime.releaseObject", {
+      objectId: this.actor,
+    }).then(() => {
+      this.valid = false;
+      let response = { from: this.actor };
+      aOnResponse(response);
+      return response;
+    });
+  },
+};
+
+/**
+ * Iterates over the properties fetched by ChromeObjectClient.enumProperties,
+ * with the same methods as PropertyIteratorClient.
+ */
+function ChromePropertyIteratorClient(aNames, aOwnProperties) {
+  this._names = aNames;
+  this._ownProperties = aOwnProperties;
+}
+
+ChromePropertyIteratorClient.prototype = {
+  get count() {
+    return this._names.length;
+  },
+
+  _slice: function(aNames, aCallback) {
+    let ownProperties = {};
+    for (let name of aNames) {
+      ownProperties[name] = this._ownProperties[name];
+    }
+    let response = { ownProperties };
+    if (aCallback) {
+      aCallback(response);
+    }
+    return promise.resolve(response);
+  },
+
+  names: function(indexes, aCallback = noop) {
+    let response = { names: indexes.map(aIndex => this._names[aIndex]) };
+    aCallback(response);
+    return promise.resolve(response);
+  },
+
+  slice: function(start, count, aCallback) {
+    return this._slice(this._names.slice(start, start + count), aCallback);
+  },
+
+  all: function(aCallback) {
+    return this._slice(this._names, aCallback);
+  },
+};
+
+/**
+ * An EnvironmentClient for the scopes of a paused CDP target.
+ *
+ * @param aThread ChromeThreadClient
+ *        The paused thread.
+ * @param aForm object
+ *        The environment form, as found in frame forms.
+ */
+function ChromeEnvironmentClient(aThread, aForm) {
+  this._form = aForm;
+  this._thread = aThread;
+  this._connection = aThread._connection;
+}
+
+ChromeEnvironmentClient.prototype = {
+  get actor() {
+    return this._form.actor;
+  },
+
+  /**
+   * Fetches the bindings introduced by this lexical environment. The
+   * parameters of the function of a frame are its environment's |arguments|.
+   */
+  getBindings: function(aOnResponse = noop) {
+    let scope = this._thread._scopes.get(this.actor);
+    let names = scope && scope.frame
+      ? this._thread._parameterNames(scope.frame).then(null, () => [])
+      : promise.resolve([]);
+
+    return promise.all([
+      names,
+      send(this._connection, "Runtime.getProperties", {
+        objectId: this.actor,
+        ownProperties: true,
+      }),
+    ]).then(([aNames, aResult]) => {
+      let args = [];
+      let variables = {};
+      for (let property of aResult.result) {
+        variables[property.name] = createDescriptor(property);
+      }
+      for (let name of aNames) {
+        if (name in variables) {
+          args.push({ [name]: variables[name] });
+          delete variables[name];
+        }
+      }
+      let response = {
+        from: this.actor,
+        bindings: { arguments: args, variables },
+      };
+      aOnResponse(response);
+      return response;
+    });
+  },
+
+  /**
+   * Changes the value of a variable, to the value of a primitive grip.
+   */
+  assign: function(aName, aValue, aOnResponse = noop) {
+    let scope = this._thread._scopes.get(this.actor);
+    if (!scope) {
+      let response = {
+        from: this.actor,
+        error: "noSuchActor",
+        message: "The environment doesn't belong to the current pause.",
+      };
+      aOnResponse(response);
+      return promise.reject(response);
+    }
+
+    return send(this._connection, "Debugger.setVariableValue", {
+      scopeNumber: scope.scopeNumber,
+      variableName: aName,
+      newValue: createCallArgument(aValue),
+      callFrameId: scope.callFrameId,
+    }).then(() => {
+      let response = { from: this.actor };
+      aOnResponse(response);
+      return response;
+    });
+  },
+};
+
+exports.ChromeThreadClient = ChromeThreadClient;
+exports.createGrip = createGrip;
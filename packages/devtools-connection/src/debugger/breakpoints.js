@@ -0,0 +1,270 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+const promise = require("../utils/promise");
+const { getStorage } = require("../utils/storage");
+
+const DEFAULT_STORAGE_KEY = "devtools-connection.breakpoints";
+
+/**
+ * Keeps the breakpoints of a thread by source URL, so that they survive the
+ * reloads of the page and the new sources coming with them, and persists
+ * them across sessions.
+ *
+ * Breakpoints are set with the URL of their source. They are set again every
+ * time a source with that URL is reported, through "newSource" events or the
+ * responses to ThreadClient.prototype.getSources, whoever requested them.
+ *
+ * A breakpoint has options:
+ * - condition: only pause when this expression is truthy.
+ * - logValue: log this expression instead of pausing.
+ * - hitCount: only pause from the hitCount-th time the breakpoint is hit.
+ *   The server doesn't know about hit counts: the thread pauses every time,
+ *   and the manager resumes it until the breakpoint was hit enough.
+ *
+ * The manager emits "hit" with the breakpoint, see |getBreakpoints|, every
+ * time the thread pauses at one of its breakpoints, and "error" with the
+ * error and the breakpoint when a breakpoint can't be set again in a new
+ * source.
+ *
+ * With a SourceMapService, breakpoints can be set in original sources: they
+ * are set at the generated location their location maps to, and set again
+ * when a source mapped to their source is reported.
+ *
+ * @param aThread ThreadClient|ChromeThreadClient
+ *        The thread to set the breakpoints on.
+ * @param aOptions object
+ *        - storage: where to persist the breakpoints, see |getStorage| in
+ *          utils/storage.
+ *        - storageKey: the key of the breakpoints in the storage, to keep
+ *          different sets of breakpoints, e.g. one per site.
+ *        - sourceMaps: the SourceMapService of the thread, if any.
+ */
+function BreakpointManager(aThread, aOptions = {}) {
+  EventEmitter.decorate(this);
+
+  this.thread = aThread;
+  this._storage = getStorage(aOptions.storage);
+  this._storageKey = aOptions.storageKey || DEFAULT_STORAGE_KEY;
+  this._sourceMaps = aOptions.sourceMaps || null;
+
+  // Map breakpoint keys, see |_getKey|, to breakpoints.
+  this._breakpoints = new Map();
+  // Map the actors of the sources seen to their URL.
+  this._sources = new Map();
+
+  this._onNewSource = this._onNewSource.bind(this);
+  this._onPaused = this._onPaused.bind(this);
+  this._onPacket = this._onPacket.bind(this);
+
+  this.thread.addListener("newSource", this._onNewSource);
+  this.thread.addListener("paused", this._onPaused);
+  // ChromeThreadClient has no DebuggerClient.
+  if (this.thread.client) {
+    this.thread.client.addListener("packet-received", this._onPacket);
+  }
+}
+
+BreakpointManager.prototype = {
+  /**
+   * Set a breakpoint, replacing the one already set at the same location.
+   *
+   * @param aLocation object
+   *        The |sourceUrl|, |line| and optionally |column| of the breakpoint.
+   * @param aOptions object
+   *        The |condition|, |logValue| and |hitCount| of the breakpoint.
+   * @return Promise
+   *         Resolved once the breakpoint is set and saved.
+   */
+  setBreakpoint: function(aLocation, aOptions = {}) {
+    let location = {
+      sourceUrl: aLocation.sourceUrl,
+      line: aLocation.line,
+    };
+    if (aLocation.column !== undefined) {
+      location.column = aLocation.column;
+    }
+
+    let breakpoint = { location, options: Object.assign({}, aOptions) };
+    this._breakpoints.set(this._getKey(location), breakpoint);
+    return this._apply(breakpoint).then(() => this._save());
+  },
+
+  /**
+   * Remove the breakpoint set at a location, if any.
+   *
+   * @return Promise
+   *         Resolved once the breakpoint is removed and the breakpoints left
+   *         are saved.
+   */
+  removeBreakpoint: function(aLocation) {
+    let key = this._getKey(aLocation);
+    let breakpoint = this._breakpoints.get(key);
+    if (!breakpoint) {
+      return promise.resolve();
+    }
+
+    this._breakpoints.delete(key);
+    return this.thread
+      .removeBreakpoint(breakpoint.generatedLocation || breakpoint.location)
+      .then(() => this._save());
+  },
+
+  /**
+   * @return array
+   *         The breakpoints, with their |location|, their |options| and the
+   *         number of |hits| since they were set. With source maps, their
+   *         |generatedLocation| is the location they are set at.
+   */
+  getBreakpoints: function() {
+    return [...this._breakpoints.values()].map(aBreakpoint => {
+      return Object.assign({ hits: 0 }, aBreakpoint);
+    });
+  },
+
+  /**
+   * Set the breakpoints saved in the storage, in addition to the ones
+   * already set.
+   *
+   * @return Promise
+   *         Resolved once the breakpoints are set.
+   */
+  load: function() {
+    if (!this._storage) {
+      return promise.resolve();
+    }
+    return this._storage.getItem(this._storageKey).then(aSaved => {
+      let breakpoints = (aSaved || []).filter(({ location }) => {
+        return !this._breakpoints.has(this._getKey(location));
+      });
+      breakpoints.forEach(aBreakpoint => {
+        this._breakpoints.set(this._getKey(aBreakpoint.location), aBreakpoint);
+      });
+      return promise.all(breakpoints.map(b => this._apply(b)));
+    });
+  },
+
+  /**
+   * Stop following the sources and the pauses of the thread. The breakpoints
+   * stay set.
+   */
+  destroy: function() {
+    this.thread.removeListener("newSource", this._onNewSource);
+    this.thread.removeListener("paused", this._onPaused);
+    if (this.thread.client) {
+      this.thread.client.removeListener("packet-received", this._onPacket);
+    }
+  },
+
+  _getKey: function({ sourceUrl, line, column }) {
+    return `${sourceUrl}:${line}:${column}`;
+  },
+
+  _apply: function(aBreakpoint) {
+    let { condition, logValue } = aBreakpoint.options;
+    let options = {};
+    if (condition) {
+      options.condition = condition;
+    }
+    if (logValue) {
+      options.logValue = logValue;
+    }
+    if (!this._sourceMaps) {
+      return this.thread.setBreakpoint(aBreakpoint.location, options);
+    }
+    return this._sourceMaps
+      .getGeneratedLocation(aBreakpoint.location)
+      .then(aLocation => {
+        aBreakpoint.generatedLocation = aLocation;
+        return this.thread.setBreakpoint(aLocation, options);
+      });
+  },
+
+  _save: function() {
+    let breakpoints = [...this._breakpoints.values()].map(aBreakpoint => {
+      return { location: aBreakpoint.location, options: aBreakpoint.options };
+    });
+    if (!this._storage) {
+      return promise.resolve();
+    }
+    return this._storage.setItem(this._storageKey, breakpoints);
+  },
+
+  /**
+   * Set the breakpoints of a source again if it's new, e.g. after the page
+   * was reloaded.
+   */
+  _addSource: function(aSource) {
+    if (!aSource.url || this._sources.has(aSource.actor)) {
+      return;
+    }
+    this._sources.set(aSource.actor, aSource.url);
+    this._applySourceBreakpoints([aSource.url]);
+
+    if (this._sourceMaps) {
+      this._sourceMaps.addSource(aSource);
+      this._sourceMaps.getOriginalSources(aSource.url).then(aOriginals => {
+        this._applySourceBreakpoints(aOriginals.map(({ url }) => url));
+      });
+    }
+  },
+
+  _applySourceBreakpoints: function(aUrls) {
+    for (let breakpoint of this._breakpoints.values()) {
+      if (aUrls.includes(breakpoint.location.sourceUrl)) {
+        this._apply(breakpoint).then(null, aError => {
+          this.emit("error", aError, Object.assign({}, breakpoint));
+        });
+      }
+    }
+  },
+
+  _findBreakpoint: function({ actor, line, column }) {
+    let sourceUrl = this._sources.get(actor);
+    for (let breakpoint of this._breakpoints.values()) {
+      let location = breakpoint.generatedLocation || breakpoint.location;
+      if (
+        location.sourceUrl == sourceUrl &&
+        location.line == line &&
+        (location.column === undefined || location.column == column)
+      ) {
+        return breakpoint;
+      }
+    }
+    return null;
+  },
+
+  _onNewSource: function(aName, aPacket) {
+    this._addSource(aPacket.source);
+  },
+
+  _onPacket: function(aName, aPacket) {
+    if (aPacket.from == this.thread.actor && Array.isArray(aPacket.sources)) {
+      aPacket.sources.forEach(aSource => this._addSource(aSource));
+    }
+  },
+
+  _onPaused: function(aName, aPacket) {
+    if (aPacket.why.type != "breakpoint" || !aPacket.frame) {
+      return;
+    }
+    let breakpoint = this._findBreakpoint(aPacket.frame.where);
+    if (!breakpoint) {
+      return;
+    }
+
+    // The protocol has no hit counts, and a condition counting the hits in
+    // the debuggee would leak a variable into the page: the hits are counted
+    // here, and the pauses before the hit count are resumed straight away.
+    // Other listeners still see these pauses, followed by a "resumed".
+    breakpoint.hits = (breakpoint.hits || 0) + 1;
+    this.emit("hit", Object.assign({}, breakpoint));
+    if (breakpoint.hits < (breakpoint.options.hitCount || 0)) {
+      this.thread.resume();
+    }
+  },
+};
+
+exports.BreakpointManager = BreakpointManager;
@@ -7,6 +7,12 @@ const DevToolsUtils = require("../utils/DevToolsUtils");
 const promise = require("../utils/promise");
 const events = require("../utils/events");
 const { WebConsoleClient } = require("../webconsole/client");
+const { RequestMetrics, getActorKind } = require("./metrics");
+const { PacketValidator } = require("./validator");
+const { isDevelopment } = require("devtools-environment");
+const { eventStream } = require("../utils/event-stream");
+const Authentication = require("../security/auth");
+const { DebuggerSocket } = require("../security/socket");
 
 const noop = () => {};
 
@@ -127,6 +133,7 @@ function eventSource(aProto) {
     }
   };
 }
+exports.eventSource = eventSource;
 
 /**
  * Set of protocol messages that affect thread state, and the
@@ -186,12 +193,95 @@ const UnsolicitedPauses = {
   exception: "exception",
 };
 
+/**
+ * Default policy used to reconnect a client whose connection dropped.
+ *
+ * - createTransport: a function returning a new transport to the server, or
+ *   a promise for one. It has no default and must be provided.
+ * - maxAttempts: how many times to try reconnecting before giving up.
+ * - delay: the delay before the first attempt, in milliseconds.
+ * - factor: the delay is multiplied by this factor after each failed attempt.
+ * - maxDelay: the maximum delay between two attempts, in milliseconds.
+ */
+const DEFAULT_RECONNECT_POLICY = {
+  createTransport: null,
+  maxAttempts: 5,
+  delay: 500,
+  factor: 2,
+  maxDelay: 10000,
+};
+
+/**
+ * Request types that only read state, so that they can be sent again after
+ * reconnecting when the connection dropped before their response came in. See
+ * the |replay| option of |DebuggerClient.prototype.request|.
+ */
+const REPLAYABLE_REQUEST_TYPES = new Set([
+  "listTabs",
+  "getTab",
+  "listAddons",
+  "listWorkers",
+  "listServiceWorkerRegistrations",
+  "listProcesses",
+  "protocolDescription",
+  "sources",
+  "frames",
+  "getCachedMessages",
+  "getPreferences",
+]);
+
 /**
  * Creates a client for the remote debugging protocol server. This client
  * provides the means to communicate with the server and exchange the messages
  * required by the protocol in a traditional JavaScript API.
+ *
+ * Besides the protocol notifications, the client emits "packet-sent" and
+ * "packet-received" for every packet going through it. Listeners receive the
+ * packet (or the bulk header) and its format, "json" or "bulk".
+ *
+ * When a reconnect policy is given, a dropped connection doesn't close the
+ * client. It emits "reconnecting" with the attempt number and the delay before
+ * each attempt, then "reconnected" once the hello handshake went through again
+ * and the tabs and threads it was attached to have been attached again. The
+ * requests that weren't sent yet are then sent, and so are the requests left
+ * without reply that are safe to send again, see the |replay| option of
+ * |request|. The other requests left without reply are rejected with a
+ * "connectionLost" error as soon as the connection drops. It only emits
+ * "closed" once it gave up reconnecting.
+ *
+ * The client measures the round trip time of every request, see |getMetrics|.
+ * It emits "request-timing" with an object holding the |actor|, |type| and
+ * |duration| of the request, and the number of requests |inFlight| and
+ * |queued| once the response came in.
+ *
+ * In development, the packets are checked against the protocol description of
+ * the server once connected, see |enablePacketValidation|. The client emits
+ * "packet-violation" for each problem found, and doesn't log them itself, see
+ * PacketValidator.formatViolation.
+ *
+ * @param aTransport DebuggerTransport
+ *        The transport to talk to the server through.
+ * @param aOptions object
+ *        Configuration options.
+ *        - requestTimeout: the default timeout of the requests, in
+ *          milliseconds. 0, the default, means no timeout. See |request|.
+ *        - reconnect: if specified, the client tries to reconnect when the
+ *          connection drops instead of closing. See DEFAULT_RECONNECT_POLICY
+ *          for the options, |createTransport| is the only required one.
+ *        - telemetry: an object with the API of the Telemetry class of
+ *          devtools-modules, the round trip times are added to its
+ *          DEVTOOLS_DEBUGGER_RDP_ACTOR_MS and DEVTOOLS_DEBUGGER_RDP_TYPE_MS
+ *          histograms, keyed by kind of actor and by request type.
+ *        - sourceCache: a SourceCache keeping the texts of the sources, so
+ *          that SourceClient doesn't download them again. The sources it
+ *          knows are invalidated when a tab navigates.
+ *        - packetValidation: false to keep |connect| from enabling the
+ *          packet validation in development.
  */
-const DebuggerClient = (exports.DebuggerClient = function(aTransport) {
+const DebuggerClient = (exports.DebuggerClient = function(
+  aTransport,
+  aOptions = {},
+) {
   this._transport = aTransport;
   this._transport.hooks = this;
 
@@ -201,6 +291,38 @@ const DebuggerClient = (exports.DebuggerClient = function(aTransport) {
   this._pendingRequests = new Map();
   this._activeRequests = new Map();
   this._eventsEnabled = true;
+  this._requestTimeout = aOptions.requestTimeout || 0;
+  this._metrics = new RequestMetrics();
+  this._telemetry = aOptions.telemetry || null;
+  this._packetValidator = null;
+  this._packetValidation = aOptions.packetValidation !== false;
+
+  this.sourceCache = aOptions.sourceCache || null;
+  if (this.sourceCache) {
+    this.addListener("tabNavigated", () => this.sourceCache.invalidate());
+  }
+
+  this._reconnectPolicy = null;
+  if (aOptions.reconnect) {
+    if (typeof aOptions.reconnect.createTransport != "function") {
+      throw new Error("The reconnect policy requires a createTransport function.");
+    }
+    this._reconnectPolicy = Object.assign(
+      {},
+      DEFAULT_RECONNECT_POLICY,
+      aOptions.reconnect,
+    );
+  }
+  this._reconnecting = false;
+  this._reconnectAttempt = 0;
+  this._reconnectTimer = null;
+  this._restoringClients = false;
+  this._lostClients = null;
+  // Requests waiting for the connection to be restored.
+  this._replayQueue = [];
+  // Map tab actor ID to the tab form seen in the last listTabs responses, used
+  // to find the tabs back after reconnecting.
+  this._tabForms = new Map();
 
   this.traits = {};
 
@@ -350,10 +472,16 @@ DebuggerClient.prototype = {
           "connected",
           (aName, aApplicationType, aTraits) => {
             this.traits = aTraits;
-            if (aOnConnected) {
-              aOnConnected(aApplicationType, aTraits);
-            }
-            resolve([aApplicationType, aTraits]);
+            // The servers without protocol description aren't checked.
+            let validating = this._packetValidation
+              ? this.enablePacketValidation().catch(() => null)
+              : promise.resolve(null);
+            validating.then(() => {
+              if (aOnConnected) {
+                aOnConnected(aApplicationType, aTraits);
+              }
+              resolve([aApplicationType, aTraits]);
+            });
           },
         );
 
@@ -377,6 +505,18 @@ DebuggerClient.prototype = {
     // cleared scope by the time they run.
     this._eventsEnabled = false;
 
+    // Waiting for the next attempt to reconnect, there is no transport to
+    // close.
+    if (this._reconnecting && !this._transport) {
+      this._stopReconnecting();
+      this.onClosed();
+      if (aOnClosed) {
+        aOnClosed();
+      }
+      return;
+    }
+    this._stopReconnecting();
+
     let cleanup = () => {
       this._transport.close();
       this._transport = null;
@@ -677,12 +817,30 @@ DebuggerClient.prototype = {
    * @param aOnResponse function
    *        If specified, will be called with the JSON response packet when
    *        debugging server responds.
+   * @param aOptions object
+   *        Configuration options.
+   *        - timeout: the number of milliseconds to wait for the response,
+   *          counted from now, before rejecting the request with a "timeout"
+   *          error. Defaults to the client's |requestTimeout| option, 0 means
+   *          no timeout.
+   *        - signal: an AbortSignal (or any object with an |aborted| property
+   *          and an |addEventListener| method) that cancels the request when
+   *          it is aborted. See |cancel| below.
+   *        - replay: whether the request can be sent again after reconnecting
+   *          if the connection dropped before its response came in. Defaults
+   *          to true for the request types that only read state, like
+   *          "listTabs" or "frames", and to false for the others, like
+   *          "resume" or "evaluateJS".
    * @return Request
    *         This object emits a number of events to allow you to respond to
    *         different parts of the request lifecycle.
    *         It is also a Promise object, with a `then` method, that is resolved
    *         whenever a JSON or a Bulk response is received; and is rejected
    *         if the response is an error.
+   *         Its `cancel` method rejects the request with a "cancelled" error.
+   *         A request that hasn't been sent yet is removed from the queue of
+   *         its actor. One that has already been sent can't be recalled, its
+   *         response is dropped when it comes in, see |_abortRequest|.
    *         Note: This return value can be ignored if you are using JSON alone,
    *         because the callback provided in |aOnResponse| will be bound to the
    *         "json-reply" event automatically.
@@ -716,7 +874,7 @@ DebuggerClient.prototype = {
    *                     This object also emits "progress" events for each chunk
    *                     that is copied.  See stream-utils.js.
    */
-  request: function(aRequest, aOnResponse) {
+  request: function(aRequest, aOnResponse, aOptions = {}) {
     if (!this.mainRoot) {
       throw Error("Have not yet received a hello packet from the server.");
     }
@@ -743,9 +901,24 @@ DebuggerClient.prototype = {
       return promise.reject(safeOnResponse(resp));
     }
 
+    let { signal } = aOptions;
+    if (signal && signal.aborted) {
+      let msg =
+        `'${type}' request packet to ` +
+        `'${aRequest.to}' ` +
+        "was cancelled before being sent.";
+      let resp = { error: "cancelled", message: msg };
+      return promise.reject(safeOnResponse(resp));
+    }
+
+    this._validateRequest(aRequest);
+
     let request = new Request(aRequest);
     request.format = "json";
     request.stack = components.stack;
+    request.replay = "replay" in aOptions
+      ? !!aOptions.replay
+      : REPLAYABLE_REQUEST_TYPES.has(type);
 
     // Implement a Promise like API on the returned object
     // that resolves/rejects on request response
@@ -763,9 +936,28 @@ DebuggerClient.prototype = {
       deferred.resolve(safeOnResponse(resp));
     }
 
+    let timeout = "timeout" in aOptions
+      ? aOptions.timeout
+      : this._requestTimeout;
+    let timer = null;
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        this._abortRequest(request, "timeout", `timed out after ${timeout}ms.`);
+      }, timeout);
+    }
+
+    const onAbort = () => request.cancel();
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+
     const removeRequestListeners = () => {
       request.off("json-reply", listenerJson);
       request.off("bulk-reply", listenerBulk);
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
     };
 
     request.on("json-reply", listenerJson);
@@ -773,10 +965,41 @@ DebuggerClient.prototype = {
 
     this._sendOrQueueRequest(request);
     request.then = deferred.promise.then.bind(deferred.promise);
+    request.cancel = () => {
+      this._abortRequest(request, "cancelled", "was cancelled.");
+    };
 
     return request;
   },
 
+  /**
+   * Send a packet to which the server doesn't reply, like the requests of the
+   * oneway methods of protocol.js actors. As no reply is expected, it isn't
+   * queued behind the requests to its actor.
+   *
+   * @param aPacket object
+   *        A JSON packet to send to the debugging server.
+   * @return Promise
+   *         Resolved once the packet is sent, rejected with a
+   *         "connectionClosed" error if the connection is closed.
+   */
+  sendOneway: function(aPacket) {
+    if (!aPacket.to) {
+      throw Error(`'${aPacket.type || ""}' packet has no destination.`);
+    }
+    if (this._closed || !this._transport) {
+      let msg =
+        `'${aPacket.type || ""}' packet to '${aPacket.to}' ` +
+        "can't be sent as the connection is closed.";
+      return promise.reject({ error: "connectionClosed", message: msg });
+    }
+
+    this._validateRequest(aPacket);
+    this.emit("packet-sent", aPacket, "json");
+    this._transport.send(aPacket);
+    return promise.resolve();
+  },
+
   /**
    * Transmit streaming data via a bulk request.
    *
@@ -879,6 +1102,12 @@ DebuggerClient.prototype = {
    * If a new request can be sent immediately, do so.  Otherwise, queue it.
    */
   _sendOrQueueRequest(request) {
+    // Hold on to the request until the connection is restored.
+    if (this._reconnecting && !this._restoringClients) {
+      this._replayQueue.push(request);
+      return;
+    }
+
     let actor = request.actor;
     if (!this._activeRequests.has(actor)) {
       this._sendRequest(request);
@@ -895,6 +1124,8 @@ DebuggerClient.prototype = {
   _sendRequest(request) {
     let actor = request.actor;
     this.expectReply(actor, request);
+    this.emit("packet-sent", request.request, request.format);
+    request.sentTime = Date.now();
 
     if (request.format === "json") {
       this._transport.send(request.request);
@@ -915,6 +1146,158 @@ DebuggerClient.prototype = {
     let queue = this._pendingRequests.get(actor) || [];
     queue.push(request);
     this._pendingRequests.set(actor, queue);
+    this._metrics.addQueueDepth(this._getQueuedRequestCount());
+  },
+
+  _getInFlightRequestCount() {
+    let count = 0;
+    this._activeRequests.forEach(request => {
+      if (request.request && request.sentTime) {
+        count++;
+      }
+    });
+    return count;
+  },
+
+  _getQueuedRequestCount() {
+    let count = 0;
+    this._pendingRequests.forEach(queue => {
+      count += queue.length;
+    });
+    return count;
+  },
+
+  /**
+   * Record the round trip time of a request whose response just came in.
+   */
+  _recordRoundTrip(request) {
+    // Skip the handlers waiting for a server side packet, and the requests
+    // that have been aborted, whose response is dropped.
+    if (!request.request || request.aborted || !request.sentTime) {
+      return;
+    }
+
+    let { actor } = request;
+    let type = request.request.type || "";
+    let duration = Date.now() - request.sentTime;
+    this._metrics.addRoundTrip(actor, type, duration);
+
+    if (this._telemetry) {
+      this._telemetry
+        .getKeyedHistogramById("DEVTOOLS_DEBUGGER_RDP_ACTOR_MS")
+        .add(getActorKind(actor), duration);
+      this._telemetry
+        .getKeyedHistogramById("DEVTOOLS_DEBUGGER_RDP_TYPE_MS")
+        .add(type, duration);
+    }
+
+    this.emit("request-timing", {
+      actor,
+      type,
+      duration,
+      inFlight: this._getInFlightRequestCount(),
+      queued: this._getQueuedRequestCount(),
+    });
+  },
+
+  /**
+   * Get the round trip times measured since the client was created or the
+   * metrics were last reset.
+   *
+   * @return object
+   *         - all: the histogram of all the requests.
+   *         - actors: an object mapping kinds of actors, see getActorKind,
+   *           to their histogram.
+   *         - types: an object mapping request types to their histogram.
+   *         - maxQueueDepth: the maximum number of requests that waited for
+   *           another request to the same actor to be done.
+   *         - inFlight: the number of requests waiting for their response.
+   *         - queued: the number of requests waiting to be sent.
+   *         A histogram holds the |count|, |mean|, |min|, |max|, |p50| and
+   *         |p95| of the round trip times in milliseconds, and the |buckets|
+   *         they fall in, as an array of { upTo, count } objects.
+   */
+  getMetrics() {
+    return Object.assign(this._metrics.toJSON(), {
+      inFlight: this._getInFlightRequestCount(),
+      queued: this._getQueuedRequestCount(),
+    });
+  },
+
+  /**
+   * Discard the round trip times measured so far.
+   */
+  resetMetrics() {
+    this._metrics.reset();
+  },
+
+  /**
+   * Check the packets sent and received against a protocol description from
+   * now on, and emit a "packet-violation" event with the actor, the packet
+   * type and the path of the field at fault for each violation, see
+   * PacketValidator. This is only done in development, as it slows every
+   * packet down.
+   *
+   * @param aDescription object (optional)
+   *        The protocol description. By default, the one of the server is
+   *        fetched.
+   * @return Promise
+   *         Resolved with the PacketValidator, or null when not in
+   *         development.
+   */
+  enablePacketValidation(aDescription) {
+    if (!isDevelopment()) {
+      return promise.resolve(null);
+    }
+
+    let fetching = aDescription
+      ? promise.resolve(aDescription)
+      : this.mainRoot.protocolDescription();
+    return fetching.then(description => {
+      this._packetValidator = new PacketValidator(description);
+      this._packetValidator.registerActor(this.mainRoot.actor, "root");
+      return this._packetValidator;
+    });
+  },
+
+  _validateRequest(aRequest) {
+    if (this._packetValidator) {
+      this._reportViolations(this._packetValidator.validateRequest(aRequest));
+    }
+  },
+
+  _validatePacket(aPacket) {
+    if (!this._packetValidator) {
+      return;
+    }
+    let activeRequest = this._activeRequests.get(aPacket.from);
+    let request = activeRequest ? activeRequest.request : null;
+    this._reportViolations(
+      this._packetValidator.validatePacket(aPacket, request),
+    );
+  },
+
+  _reportViolations(aViolations) {
+    for (let violation of aViolations) {
+      this.emit("packet-violation", violation);
+    }
+  },
+
+  /**
+   * Get the packets of protocol notifications, like "tabNavigated", as an
+   * async iterable ending once the connection is closed:
+   *
+   *   for await (let packet of client.eventStream(["tabListChanged"])) {
+   *     ...
+   *   }
+   *
+   * See eventStream in ../utils/event-stream.js.
+   *
+   * @param aNames array
+   *        The names of the notifications.
+   */
+  eventStream(aNames) {
+    return eventStream(this, aNames, [{ source: this, name: "closed" }]);
   },
 
   /**
@@ -935,6 +1318,47 @@ DebuggerClient.prototype = {
     this._sendRequest(request);
   },
 
+  /**
+   * Reject a request that is still waiting for its response. If it hasn't been
+   * sent yet, it is removed from the queue of its actor.
+   *
+   * Otherwise, replies carry no request ID, so the reply to the aborted request
+   * can't be told apart from the reply to the next request to its actor. The
+   * aborted request stays the active request of its actor until its reply
+   * comes in, which is dropped, and only then is the next request queued for
+   * the actor sent.
+   *
+   * @param request Request
+   *        The request to abort.
+   * @param aError string
+   *        The error name, "timeout" or "cancelled".
+   * @param aReason string
+   *        The end of the error message.
+   */
+  _abortRequest(request, aError, aReason) {
+    if (request.aborted) {
+      return;
+    }
+    request.aborted = true;
+
+    let actor = request.actor;
+    let queue = this._pendingRequests.get(actor);
+    if (queue && queue.includes(request)) {
+      queue.splice(queue.indexOf(request), 1);
+      if (queue.length === 0) {
+        this._pendingRequests.delete(actor);
+      }
+    }
+    let index = this._replayQueue.indexOf(request);
+    if (index != -1) {
+      this._replayQueue.splice(index, 1);
+    }
+
+    let message =
+      `'${request.request.type}' request packet to '${actor}' ${aReason}`;
+    request.emit("json-reply", { error: aError, message });
+  },
+
   /**
    * Arrange to hand the next reply from |aActor| to the handler bound to
    * |aRequest|.
@@ -979,6 +1403,9 @@ DebuggerClient.prototype = {
       return;
     }
 
+    this.emit("packet-received", aPacket, "json");
+    this._validatePacket(aPacket);
+
     // If we have a registered Front for this actor, let it handle the packet
     // and skip all the rest of this unpleasantness.
     let front = this.getActor(aPacket.from);
@@ -1009,6 +1436,7 @@ DebuggerClient.prototype = {
     ) {
       activeRequest = this._activeRequests.get(aPacket.from);
       this._activeRequests.delete(aPacket.from);
+      this._recordRoundTrip(activeRequest);
     }
 
     // If there is a subsequent request for the same actor, hand it off to the
@@ -1047,7 +1475,7 @@ DebuggerClient.prototype = {
       this.emit(aPacket.type, aPacket);
     }
 
-    if (activeRequest) {
+    if (activeRequest && !activeRequest.aborted) {
       let emitReply = () => activeRequest.emit("json-reply", aPacket);
       if (activeRequest.stack) {
         Cu.callFunctionWithAsyncStack(
@@ -1104,6 +1532,8 @@ DebuggerClient.prototype = {
       return;
     }
 
+    this.emit("packet-received", { actor, type, length }, "bulk");
+
     // See if we have a handler function waiting for a reply from this
     // actor.
     if (!this._activeRequests.has(actor)) {
@@ -1112,12 +1542,16 @@ DebuggerClient.prototype = {
 
     let activeRequest = this._activeRequests.get(actor);
     this._activeRequests.delete(actor);
+    this._recordRoundTrip(activeRequest);
 
     // If there is a subsequent request for the same actor, hand it off to the
     // transport.  Delivery of packets on the other end is always async, even
     // in the local transport case.
     this._attemptNextRequest(actor);
 
+    if (activeRequest.aborted) {
+      return;
+    }
     activeRequest.emit("bulk-reply", packet);
   },
 
@@ -1129,10 +1563,48 @@ DebuggerClient.prototype = {
    *        the stream.
    */
   onClosed: function(aStatus) {
+    if (this._reconnecting) {
+      // The connection dropped again before being restored.
+      this._rejectAllRequests();
+      this._scheduleReconnect();
+      return;
+    }
+    if (this._shouldReconnect()) {
+      this._startReconnecting();
+      return;
+    }
+
     this._closed = true;
     this.emit("closed");
 
-    // Reject all pending and active requests
+    this._rejectAllRequests();
+
+    // The |_pools| array on the client-side currently is used only by
+    // protocol.js to store active fronts, mirroring the actor pools found in
+    // the server.  So, read all usages of "pool" as "protocol.js front".
+    //
+    // In the normal case where we shutdown cleanly, the toolbox tells each tool
+    // to close, and they each call |destroy| on any fronts they were using.
+    // When |destroy| or |cleanup| is called on a protocol.js front, it also
+    // removes itself from the |_pools| array.  Once the toolbox has shutdown,
+    // the connection is closed, and we reach here.  All fronts (should have
+    // been) |destroy|ed, so |_pools| should empty.
+    //
+    // If the connection instead aborts unexpectedly, we may end up here with
+    // all fronts used during the life of the connection.  So, we call |cleanup|
+    // on them clear their state, reject pending requests, and remove themselves
+    // from |_pools|.  This saves the toolbox from hanging indefinitely, in case
+    // it waits for some server response before shutdown that will now never
+    // arrive.
+    for (let pool of this._pools) {
+      pool.cleanup();
+    }
+  },
+
+  /**
+   * Reject all pending and active requests, as the connection just closed.
+   */
+  _rejectAllRequests: function() {
     let reject = function(type, request, actor) {
       // Server can send packets on its own and client only pass a callback
       // to expectReply, so that there is no request object.
@@ -1159,27 +1631,299 @@ DebuggerClient.prototype = {
     let activeRequests = new Map(this._activeRequests);
     this._activeRequests.clear();
     activeRequests.forEach(reject.bind(null, "active"));
+  },
 
-    // The |_pools| array on the client-side currently is used only by
-    // protocol.js to store active fronts, mirroring the actor pools found in
-    // the server.  So, read all usages of "pool" as "protocol.js front".
-    //
-    // In the normal case where we shutdown cleanly, the toolbox tells each tool
-    // to close, and they each call |destroy| on any fronts they were using.
-    // When |destroy| or |cleanup| is called on a protocol.js front, it also
-    // removes itself from the |_pools| array.  Once the toolbox has shutdown,
-    // the connection is closed, and we reach here.  All fronts (should have
-    // been) |destroy|ed, so |_pools| should empty.
-    //
-    // If the connection instead aborts unexpectedly, we may end up here with
-    // all fronts used during the life of the connection.  So, we call |cleanup|
-    // on them clear their state, reject pending requests, and remove themselves
-    // from |_pools|.  This saves the toolbox from hanging indefinitely, in case
-    // it waits for some server response before shutdown that will now never
-    // arrive.
-    for (let pool of this._pools) {
-      pool.cleanup();
+  /**
+   * Whether a dropped connection should be restored rather than closed.
+   */
+  _shouldReconnect: function() {
+    return (
+      !!this._reconnectPolicy &&
+      this._eventsEnabled &&
+      !!this.mainRoot &&
+      this._reconnectAttempt < this._reconnectPolicy.maxAttempts
+    );
+  },
+
+  /**
+   * Start restoring a dropped connection. The requests that weren't sent yet
+   * and the ones left without reply that are safe to send again are set aside,
+   * to be sent once reconnected. The other ones are rejected.
+   */
+  _startReconnecting: function() {
+    this._reconnecting = true;
+    this._reconnectAttempt = 0;
+
+    // Only the tabs (and their thread) can be found back on the new
+    // connection, the other clients are dropped.
+    this._lostClients = {
+      root: this.mainRoot.actor,
+      tabs: [...this._clients.values()]
+        .filter(client => client instanceof TabClient)
+        .map(tab => ({
+          tab,
+          actor: tab.actor,
+          threadActor: tab.thread ? tab.thread.actor : null,
+          paused: tab.thread ? tab.thread.paused : false,
+        })),
+    };
+    this._clients.clear();
+
+    let requests = [];
+    this._activeRequests.forEach(request => {
+      // Skip the handlers waiting for a server side packet, there is nothing
+      // to send again, and the requests that have been aborted.
+      if (!request.request || request.aborted) {
+        return;
+      }
+      // The server may have handled the request already, only send again the
+      // ones that can't change its state.
+      if (request.replay) {
+        requests.push(request);
+        return;
+      }
+      let msg =
+        `'${request.request.type}' request packet to '${request.actor}' ` +
+        "can't be sent again after reconnecting, the server may have " +
+        "handled it before the connection dropped.";
+      request.emit("json-reply", { error: "connectionLost", message: msg });
+    });
+    this._pendingRequests.forEach(queue => requests.push(...queue));
+    this._activeRequests.clear();
+    this._pendingRequests.clear();
+    this._replayQueue = requests;
+
+    this._scheduleReconnect();
+  },
+
+  /**
+   * Wait for the backoff delay before the next attempt to reconnect, or give up
+   * if there are no attempts left.
+   */
+  _scheduleReconnect: function() {
+    this._transport = null;
+    this._restoringClients = false;
+
+    let policy = this._reconnectPolicy;
+    if (this._reconnectAttempt >= policy.maxAttempts) {
+      this._stopReconnecting();
+      this.onClosed();
+      return;
+    }
+
+    let attempt = ++this._reconnectAttempt;
+    let delay = Math.min(
+      policy.delay * Math.pow(policy.factor, attempt - 1),
+      policy.maxDelay,
+    );
+    this.emit("reconnecting", attempt, delay);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._attemptReconnect();
+    }, delay);
+  },
+
+  /**
+   * Open a new transport and wait for the greeting of its root actor.
+   */
+  _attemptReconnect: function() {
+    promise
+      .resolve()
+      .then(() => this._reconnectPolicy.createTransport())
+      .then(
+        aTransport => {
+          // The client may have been closed in the meantime.
+          if (!this._reconnecting) {
+            aTransport.close();
+            return;
+          }
+          this._transport = aTransport;
+          this._transport.hooks = this;
+          this.expectReply("root", aPacket => this._onReconnected(aPacket));
+          this._transport.ready();
+        },
+        aError => {
+          DevToolsUtils.reportException(
+            "DebuggerClient._attemptReconnect",
+            aError,
+          );
+          if (this._reconnecting) {
+            this._scheduleReconnect();
+          }
+        },
+      );
+  },
+
+  /**
+   * Called with the greeting of the new root actor, restore the clients and
+   * send the requests that were left without reply.
+   */
+  _onReconnected: function(aGreeting) {
+    // The connection dropped again before the greeting came in.
+    if (aGreeting.error) {
+      return;
+    }
+
+    let attempt = this._reconnectAttempt;
+    this.mainRoot = new RootClient(this, aGreeting);
+    this.traits = aGreeting.traits;
+    this._restoringClients = true;
+
+    this._restoreClients()
+      .then(aRemapped => {
+        if (!this._reconnecting || attempt !== this._reconnectAttempt) {
+          return;
+        }
+        this._reconnecting = false;
+        this._restoringClients = false;
+        this._reconnectAttempt = 0;
+        this._lostClients = null;
+        this._replayRequests(aRemapped);
+        this.emit("reconnected", aGreeting.applicationType, aGreeting.traits);
+      })
+      .catch(aError => {
+        if (!this._reconnecting || attempt !== this._reconnectAttempt) {
+          return;
+        }
+        DevToolsUtils.reportException("DebuggerClient._onReconnected", aError);
+        // Count it as a failed attempt, closing the transport schedules the
+        // next one.
+        this._transport.close();
+      });
+  },
+
+  /**
+   * Attach again to the tabs and threads the client was attached to before
+   * the connection dropped.
+   *
+   * @return Promise
+   *         Resolved with a map of the actor IDs before the connection dropped
+   *         to the actor IDs on the new connection.
+   */
+  _restoreClients: function() {
+    let { root, tabs } = this._lostClients;
+    let remapped = new Map([[root, this.mainRoot.actor]]);
+
+    // Clients restored by a previous attempt are registered again.
+    this._clients.clear();
+
+    return this.mainRoot.listTabs().then(aResponse => {
+      return tabs.reduce((previous, lost) => {
+        return previous
+          .then(() => this._restoreTab(lost, aResponse.tabs))
+          .then(aRestored => {
+            if (!aRestored) {
+              return;
+            }
+            remapped.set(lost.actor, lost.tab.actor);
+            if (lost.threadActor) {
+              remapped.set(lost.threadActor, lost.tab.thread.actor);
+            }
+          });
+      }, promise.resolve()).then(() => remapped);
+    });
+  },
+
+  /**
+   * Find a tab back among the tabs listed by the new root actor, by its outer
+   * window ID or else by its URL, and attach to it and to its thread.
+   *
+   * @return Promise
+   *         Resolved with whether the tab could be restored.
+   */
+  _restoreTab: function(aLost, aForms) {
+    let { tab } = aLost;
+    let form = this._tabForms.get(tab.actor);
+    let match;
+    if (form && form.outerWindowID !== undefined) {
+      match = aForms.find(f => f.outerWindowID === form.outerWindowID);
+    }
+    if (form && !match) {
+      match = aForms.find(f => f.url === form.url);
+    }
+    if (!match) {
+      DevToolsUtils.dumpn(`Tab ${aLost.actor} is gone after reconnecting.`);
+      return promise.resolve(false);
+    }
+
+    return this.request({ to: match.actor, type: "attach" }).then(aResponse => {
+      tab._actor = match.actor;
+      tab._threadActor = aResponse.threadActor;
+      tab.javascriptEnabled = aResponse.javascriptEnabled;
+      tab.cacheDisabled = aResponse.cacheDisabled;
+      tab.traits = aResponse.traits || {};
+      this.registerClient(tab);
+
+      let thread = tab.thread;
+      if (!thread) {
+        return true;
+      }
+
+      let packet = {
+        to: tab._threadActor,
+        type: "attach",
+        options: thread._attachOptions || {},
+      };
+      return this.request(packet).then(aPacket => {
+        thread._actor = tab._threadActor;
+        thread._clearThreadGrips();
+        this.registerClient(thread);
+
+        // Threads are paused once attached, resume the ones that were running.
+        if (aLost.paused) {
+          thread._onThreadState(aPacket);
+          return true;
+        }
+        thread._state = "paused";
+        return thread.resume().then(() => true);
+      });
+    });
+  },
+
+  /**
+   * Send the requests set aside while reconnecting to the new actors, and
+   * reject the ones whose actor couldn't be restored.
+   */
+  _replayRequests: function(aRemapped) {
+    let requests = this._replayQueue;
+    this._replayQueue = [];
+
+    for (let request of requests) {
+      let actor = request.actor;
+      if (!aRemapped.has(actor)) {
+        let msg =
+          `'${request.request.type}' request packet to '${actor}' ` +
+          "can't be sent as the actor is gone after reconnecting.";
+        request.emit("json-reply", { error: "connectionClosed", message: msg });
+        continue;
+      }
+
+      // Packets that went through a local transport are frozen, retarget a
+      // copy.
+      let field = request.request.to ? "to" : "actor";
+      request.request = Object.assign({}, request.request, {
+        [field]: aRemapped.get(actor),
+      });
+      this._sendOrQueueRequest(request);
+    }
+  },
+
+  /**
+   * Stop trying to reconnect. The requests set aside are queued back, to be
+   * rejected when the connection is closed.
+   */
+  _stopReconnecting: function() {
+    if (!this._reconnecting) {
+      return;
     }
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._reconnecting = false;
+    this._restoringClients = false;
+    this._lostClients = null;
+
+    this._replayQueue.forEach(request => this._queueRequest(request));
+    this._replayQueue = [];
   },
 
   registerClient: function(client) {
@@ -1348,6 +2092,8 @@ TabClient.prototype = {
     return this.request(packet).then(aResponse => {
       if (!aResponse.error) {
         this.thread = new ThreadClient(this, this._threadActor);
+        // Kept to attach again with the same options after reconnecting.
+        this.thread._attachOptions = aOptions;
         this.client.registerClient(this.thread);
       }
       aOnResponse(aResponse, this.thread);
@@ -1680,7 +2426,19 @@ RootClient.prototype = {
    */
   listTabs: DebuggerClient.requester(
     { type: "listTabs" },
-    { telemetry: "LISTTABS" },
+    {
+      after: function(aResponse) {
+        // The tab forms are needed to find the tabs back if the connection
+        // has to be restored.
+        if (aResponse.tabs) {
+          for (let form of aResponse.tabs) {
+            this._client._tabForms.set(form.actor, form);
+          }
+        }
+        return aResponse;
+      },
+      telemetry: "LISTTABS",
+    },
   ),
 
   /**
@@ -2592,6 +3350,47 @@ ThreadClient.prototype = {
     },
   ),
 
+  /**
+   * Get the packets of thread events as an async iterable, ending once the
+   * thread is detached or the connection is closed. See eventStream in
+   * ../utils/event-stream.js.
+   *
+   * @param aNames array
+   *        The names of the events, like "paused" or "newSource".
+   */
+  eventStream: function(aNames) {
+    return eventStream(this, aNames, [
+      { source: this, name: "detached" },
+      { source: this.client, name: "closed" },
+    ]);
+  },
+
+  /**
+   * Get the "paused" packets as an async iterable:
+   *
+   *   for await (let packet of threadClient.pauses()) {
+   *     ...
+   *     threadClient.resume();
+   *   }
+   */
+  pauses: function() {
+    return this.eventStream(["paused"]);
+  },
+
+  /**
+   * Get the "resumed" packets as an async iterable.
+   */
+  resumes: function() {
+    return this.eventStream(["resumed"]);
+  },
+
+  /**
+   * Get the "newSource" packets as an async iterable.
+   */
+  newSources: function() {
+    return this.eventStream(["newSource"]);
+  },
+
   events: ["newSource"],
 };
 
@@ -2601,7 +3400,9 @@ eventSource(ThreadClient.prototype);
  * Creates a tracing profiler client for the remote debugging protocol
  * server. This client is a front to the trace actor created on the
  * server side, hiding the protocol details in a traditional
- * JavaScript API.
+ * JavaScript API. The "enteredFrame" and "exitedFrame" packets of the
+ * traces started are emitted in order, see TraceCollector to turn them into
+ * a call tree.
  *
  * @param aClient DebuggerClient
  *        The debugger client parent.
@@ -2616,6 +3417,16 @@ function TraceClient(aClient, aActor) {
   this._expectedPacket = 0;
   this.request = this._client.request;
   this.events = [];
+
+  this._onTracePacket = this._onTracePacket.bind(this);
+  this._client.addListener(
+    UnsolicitedNotifications.enteredFrame,
+    this._onTracePacket,
+  );
+  this._client.addListener(
+    UnsolicitedNotifications.exitedFrame,
+    this._onTracePacket,
+  );
 }
 
 TraceClient.prototype = {
@@ -2639,6 +3450,14 @@ TraceClient.prototype = {
     },
     {
       after: function(aResponse) {
+        this._client.removeListener(
+          UnsolicitedNotifications.enteredFrame,
+          this._onTracePacket,
+        );
+        this._client.removeListener(
+          UnsolicitedNotifications.exitedFrame,
+          this._onTracePacket,
+        );
         this._client.unregisterClient(this);
         return aResponse;
       },
@@ -2710,8 +3529,36 @@ TraceClient.prototype = {
       telemetry: "STOPTRACE",
     },
   ),
+
+  /**
+   * Emit the "enteredFrame" and "exitedFrame" packets of the traces in the
+   * order of their sequence number, the server may send them out of order.
+   */
+  _onTracePacket: function(aEvent, aPacket) {
+    if (aPacket.from != this._actor) {
+      return;
+    }
+    if (aPacket.sequence === undefined) {
+      this.emit(aPacket.type, aPacket);
+      return;
+    }
+    if (aPacket.sequence < this._expectedPacket) {
+      return;
+    }
+
+    this._waitingPackets.set(aPacket.sequence, aPacket);
+    while (this._waitingPackets.has(this._expectedPacket)) {
+      let packet = this._waitingPackets.get(this._expectedPacket);
+      this._waitingPackets.delete(this._expectedPacket);
+      this._expectedPacket++;
+      this.emit(packet.type, packet);
+    }
+  },
 };
 
+eventSource(TraceClient.prototype);
+exports.TraceClient = TraceClient;
+
 /**
  * Grip clients are used to retrieve information about the relevant object.
  *
@@ -3432,7 +4279,7 @@ SourceClient.prototype = {
       type: "source",
     };
     return this._client.request(packet).then(aResponse => {
-      return this._onSourceResponse(aResponse, aCallback);
+      return this._onSourceResponse(aResponse, aCallback, "source");
     });
   },
 
@@ -3451,7 +4298,7 @@ SourceClient.prototype = {
         this._activeThread._clearFrames();
         this._activeThread.emit("prettyprintchange", this);
       }
-      return this._onSourceResponse(aResponse, aCallback);
+      return this._onSourceResponse(aResponse, aCallback, `pretty:${aIndent}`);
     });
   },
 
@@ -3469,11 +4316,16 @@ SourceClient.prototype = {
         this._activeThread._clearFrames();
         this._activeThread.emit("prettyprintchange", this);
       }
-      return this._onSourceResponse(aResponse, aCallback);
+      return this._onSourceResponse(aResponse, aCallback, "source");
     });
   },
 
-  _onSourceResponse: function(aResponse, aCallback) {
+  /**
+   * @param aVariant string
+   *        Which text of the source the response holds, "source" or
+   *        "pretty:[indent]", to find it in the client's source cache.
+   */
+  _onSourceResponse: function(aResponse, aCallback, aVariant) {
     if (aResponse.error) {
       aCallback(aResponse);
       return aResponse;
@@ -3509,6 +4361,28 @@ SourceClient.prototype = {
     }
 
     let longString = this._activeThread.threadLongString(source);
+    let cache = this._client.sourceCache;
+    if (cache) {
+      return cache.getText(this, aVariant, source, longString).then(
+        aText => {
+          let response = { source: aText, contentType };
+          aCallback(response);
+          return response;
+        },
+        aError => {
+          let response = aError && aError.error
+            ? aError
+            : {
+                from: this.actor,
+                error: "unknownError",
+                message: `Couldn't get the text of the source: ${aError}`,
+              };
+          aCallback(response);
+          return promise.reject(response);
+        },
+      );
+    }
+
     return longString.substring(0, longString.length).then(function(aResponse) {
       if (aResponse.error) {
         aCallback(aResponse);
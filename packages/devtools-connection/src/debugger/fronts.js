@@ -0,0 +1,458 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const { DebuggerClient, eventSource } = require("./client");
+
+const FLOW_RESERVED_WORDS = new Set([
+  "case",
+  "catch",
+  "class",
+  "const",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "enum",
+  "export",
+  "extends",
+  "for",
+  "function",
+  "if",
+  "import",
+  "in",
+  "new",
+  "return",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+]);
+
+const FLOW_PRIMITIVE_TYPES = {
+  boolean: "boolean",
+  number: "number",
+  string: "string",
+};
+
+/**
+ * A positional argument whose value is sent as the property of the options
+ * object found at that position, like the Option() of protocol.js.
+ *
+ * @param aPosition number
+ *        The position of the options object in the arguments.
+ * @param aName string
+ *        The name of the option.
+ */
+function Option(aPosition, aName) {
+  DebuggerClient.Argument.call(this, aPosition);
+  this.name = aName;
+}
+
+Option.prototype = Object.create(DebuggerClient.Argument.prototype);
+
+Option.prototype.getArgument = function(aParams) {
+  let options = aParams[this.position];
+  return options ? toActorID(options[this.name]) : undefined;
+};
+
+/**
+ * A positional argument, which may be given a front rather than its actor ID.
+ */
+function FrontArgument(aPosition) {
+  DebuggerClient.Argument.call(this, aPosition);
+}
+
+FrontArgument.prototype = Object.create(DebuggerClient.Argument.prototype);
+
+FrontArgument.prototype.getArgument = function(aParams) {
+  return toActorID(
+    DebuggerClient.Argument.prototype.getArgument.call(this, aParams),
+  );
+};
+
+function toActorID(aValue) {
+  return aValue instanceof Front ? aValue.actor : aValue;
+}
+
+/**
+ * Turn the request template of a method description into a packet skeleton
+ * for DebuggerClient.requester. Only the top level of the template may hold
+ * arguments.
+ */
+function createSkeleton(aTemplate) {
+  let skeleton = {};
+  for (let key of Object.keys(aTemplate)) {
+    let value = aTemplate[key];
+    if (value && typeof value == "object" && "_arg" in value) {
+      skeleton[key] = new FrontArgument(value._arg);
+    } else if (value && typeof value == "object" && "_option" in value) {
+      skeleton[key] = new Option(value._option, key);
+    } else {
+      skeleton[key] = value;
+    }
+  }
+  return skeleton;
+}
+
+/**
+ * Create a method sending a packet to which the server doesn't reply.
+ */
+function createOnewayMethod(aSkeleton) {
+  return function(...args) {
+    let packet = { to: this.actor };
+    for (let key of Object.keys(aSkeleton)) {
+      let value = aSkeleton[key];
+      packet[key] = value instanceof DebuggerClient.Argument
+        ? value.getArgument(args)
+        : value;
+    }
+    return this._client.sendOneway(packet);
+  };
+}
+
+/**
+ * Create the method of a front from its description.
+ *
+ * @param aMethod object
+ *        The method description, with its |name|, |request| and |response|
+ *        templates, and whether it is |oneway| or |release|s the actor.
+ */
+function createMethod(aMethod) {
+  let skeleton = createSkeleton(aMethod.request);
+  if (aMethod.oneway) {
+    return createOnewayMethod(skeleton);
+  }
+
+  let config = {};
+  if (aMethod.release) {
+    config.after = function(aResponse) {
+      if (!aResponse.error && this._client._clients.get(this.actor) === this) {
+        this._client.unregisterClient(this);
+      }
+      return aResponse;
+    };
+  }
+  return DebuggerClient.requester(skeleton, config);
+}
+
+/**
+ * The base of the fronts created by ProtocolFronts. Like the hand-written
+ * clients, their methods take the arguments of the request, then a callback,
+ * and return a promise for the response packet.
+ *
+ * @param aClient DebuggerClient
+ *        The debugger client parent.
+ * @param aActor string
+ *        The actor ID of the front.
+ * @param aTypeName string
+ *        The name of the actor type.
+ */
+function Front(aClient, aActor, aTypeName) {
+  this._client = aClient;
+  this._actor = aActor;
+  this.typeName = aTypeName;
+}
+
+Front.prototype = {
+  get actor() {
+    return this._actor;
+  },
+  get _transport() {
+    return this._client._transport;
+  },
+  get request() {
+    return this._client.request;
+  },
+};
+
+eventSource(Front.prototype);
+
+/**
+ * Builds front objects at runtime from the protocol description returned by
+ * RootClient.protocolDescription, so that server methods without a
+ * hand-written client can be called, and generates the Flow types of these
+ * fronts.
+ *
+ * @param aDescription object
+ *        The protocol description, whose |types| map type names to
+ *        descriptions, see TabTarget.getActorDescription.
+ */
+function ProtocolFronts(aDescription) {
+  this.description = aDescription;
+  this._types = aDescription.types || {};
+  this._constructors = new Map();
+}
+
+/**
+ * Fetch the protocol description of the server a client is connected to.
+ *
+ * @param aClient DebuggerClient
+ *        A connected client.
+ * @return Promise
+ *         Resolved with the ProtocolFronts of the description.
+ */
+ProtocolFronts.fetch = function(aClient) {
+  return aClient.mainRoot.protocolDescription().then(aResponse => {
+    if (aResponse.error) {
+      throw new Error(
+        `Can't get the protocol description: ${aResponse.message}`,
+      );
+    }
+    return new ProtocolFronts(aResponse);
+  });
+};
+
+ProtocolFronts.prototype = {
+  /**
+   * The names of the actor types of the description.
+   */
+  get actorTypes() {
+    return Object.keys(this._types).filter(aName => this._isActorType(aName));
+  },
+
+  _isActorType: function(aTypeName) {
+    let type = this._types[aTypeName];
+    return !!type && type.category == "actor";
+  },
+
+  /**
+   * Whether an actor type has a method.
+   *
+   * @param aTypeName string
+   * @param aMethodName string
+   */
+  hasMethod: function(aTypeName, aMethodName) {
+    if (!this._isActorType(aTypeName)) {
+      return false;
+    }
+    let methods = this._types[aTypeName].methods || [];
+    return methods.some(aMethod => aMethod.name == aMethodName);
+  },
+
+  _getConstructor: function(aTypeName) {
+    if (this._constructors.has(aTypeName)) {
+      return this._constructors.get(aTypeName);
+    }
+
+    let type = this._types[aTypeName];
+    let TypedFront = function(aClient, aActor) {
+      Front.call(this, aClient, aActor, aTypeName);
+      this.events = Object.keys(type.events || {});
+    };
+    TypedFront.prototype = Object.create(Front.prototype);
+    for (let method of type.methods || []) {
+      // Don't let the server shadow the members fronts rely on.
+      if (method.name in Front.prototype) {
+        continue;
+      }
+      TypedFront.prototype[method.name] = createMethod(method);
+    }
+
+    this._constructors.set(aTypeName, TypedFront);
+    return TypedFront;
+  },
+
+  /**
+   * Get the front of an actor. Fronts of actor types with events are
+   * registered with the client, so that the events are emitted by the front,
+   * and are released by the methods of the actor that release it.
+   *
+   * @param aClient DebuggerClient
+   *        The client connected to the server of the actor.
+   * @param aTypeName string
+   *        The actor type.
+   * @param aActor string
+   *        The actor ID.
+   */
+  getFront: function(aClient, aTypeName, aActor) {
+    if (!this._isActorType(aTypeName)) {
+      throw new Error(`Unknown actor type: ${aTypeName}`);
+    }
+
+    if (aClient._packetValidator) {
+      aClient._packetValidator.registerActor(aActor, aTypeName);
+    }
+
+    let TypedFront = this._getConstructor(aTypeName);
+    let registered = aClient._clients.get(aActor);
+    if (registered instanceof TypedFront) {
+      return registered;
+    }
+
+    let front = new TypedFront(aClient, aActor);
+    if (front.events.length > 0 && !registered) {
+      aClient.registerClient(front);
+    }
+    return front;
+  },
+
+  /**
+   * Generate the Flow declarations of the fronts, and of the dictionaries
+   * their methods exchange.
+   *
+   * @param aModuleName string
+   *        The name of the declared module.
+   * @return string
+   *         The content of a file for the flow-typed directory.
+   */
+  generateFlowTypes: function(aModuleName = "devtools-connection-fronts") {
+    let declarations = [];
+    for (let name of Object.keys(this._types).sort()) {
+      let type = this._types[name];
+      if (type.category == "dict") {
+        declarations.push(this._flowDictType(name, type));
+      } else if (type.category == "actor") {
+        declarations.push(
+          `declare type ${flowTypeName(name)}Form = ` +
+            "{ actor: string, [key: string]: any };",
+        );
+        declarations.push(this._flowFrontType(name, type));
+      }
+    }
+
+    let lines = [
+      "// @flow",
+      "// Generated from a protocol description by generate-flow-types.",
+      "",
+      `declare module "${aModuleName}" {`,
+    ];
+    for (let declaration of declarations) {
+      lines.push(indent(declaration), "");
+    }
+    lines[lines.length - 1] = "}";
+    return `${lines.join("\n")}\n`;
+  },
+
+  _flowDictType: function(aName, aType) {
+    let properties = aType.specializations || {};
+    let fields = Object.keys(properties).map(aKey => {
+      return `  ${flowKey(aKey)}: ${this._flowType(properties[aKey])},`;
+    });
+    return [`declare type ${flowTypeName(aName)} = {`, ...fields, "};"].join(
+      "\n",
+    );
+  },
+
+  _flowFrontType: function(aName, aType) {
+    let fields = ["  actor: string,"];
+    for (let method of aType.methods || []) {
+      if (method.name in Front.prototype) {
+        continue;
+      }
+      let params = this._flowParameters(method.request).concat(
+        "onResponse?: Function",
+      );
+      let result = method.oneway
+        ? "void"
+        : this._flowResponse(method.response || {});
+      fields.push(
+        `  ${flowKey(method.name)}(${params.join(", ")}): Promise<${result}>,`,
+      );
+    }
+    return [`declare type ${flowTypeName(aName)}Front = {`, ...fields, "};"]
+      .join("\n");
+  },
+
+  _flowParameters: function(aTemplate) {
+    let params = [];
+    for (let key of Object.keys(aTemplate)) {
+      let value = aTemplate[key];
+      if (!value || typeof value != "object") {
+        continue;
+      }
+      if ("_arg" in value) {
+        params[value._arg] = `${flowParameterName(key)}: ` +
+          this._flowType(value.type);
+      } else if ("_option" in value) {
+        let options = params[value._option] || "options?: {}";
+        params[value._option] = options.replace(
+          /}$/,
+          `${options.endsWith("{}") ? "" : ", "}` +
+            `${flowKey(key)}?: ${this._flowType(value.type)}}`,
+        );
+      }
+    }
+
+    for (let i = 0; i < params.length; i++) {
+      if (!params[i]) {
+        params[i] = `arg${i}: any`;
+      }
+    }
+    return params;
+  },
+
+  _flowResponse: function(aTemplate) {
+    let fields = ["from: string"];
+    for (let key of Object.keys(aTemplate)) {
+      let value = aTemplate[key];
+      if (value && typeof value == "object" && "_retval" in value) {
+        fields.push(`${flowKey(key)}: ${this._flowType(value._retval)}`);
+      } else if (key != "from") {
+        fields.push(`${flowKey(key)}: any`);
+      }
+    }
+    return `{ ${fields.join(", ")} }`;
+  },
+
+  /**
+   * The Flow type of a protocol type name, like "nullable:array:string".
+   */
+  _flowType: function(aTypeName) {
+    if (typeof aTypeName != "string") {
+      return "any";
+    }
+    if (aTypeName.startsWith("nullable:")) {
+      return `?${this._flowType(aTypeName.slice("nullable:".length))}`;
+    }
+    if (aTypeName.startsWith("array:")) {
+      return `Array<${this._flowType(aTypeName.slice("array:".length))}>`;
+    }
+    // Detailed actor types, like "domnode#actorid", are actor IDs.
+    if (aTypeName.includes("#")) {
+      return "string";
+    }
+    if (aTypeName in FLOW_PRIMITIVE_TYPES) {
+      return FLOW_PRIMITIVE_TYPES[aTypeName];
+    }
+
+    let type = this._types[aTypeName];
+    if (type && type.category == "actor") {
+      return `${flowTypeName(aTypeName)}Form`;
+    }
+    if (type && type.category == "dict") {
+      return flowTypeName(aTypeName);
+    }
+    return "any";
+  },
+};
+
+function flowTypeName(aTypeName) {
+  return aTypeName
+    .split(/[^A-Za-z0-9]+/)
+    .filter(aPart => aPart)
+    .map(aPart => aPart[0].toUpperCase() + aPart.slice(1))
+    .join("");
+}
+
+function flowKey(aKey) {
+  return /^[A-Za-z_$][\w$]*$/.test(aKey) ? aKey : JSON.stringify(aKey);
+}
+
+function flowParameterName(aKey) {
+  let name = aKey.replace(/[^\w$]/g, "_");
+  return FLOW_RESERVED_WORDS.has(name) ? `${name}_` : name;
+}
+
+function indent(aText) {
+  return aText.split("\n").map(aLine => `  ${aLine}`).join("\n");
+}
+
+exports.ProtocolFronts = ProtocolFronts;
+exports.Front = Front;
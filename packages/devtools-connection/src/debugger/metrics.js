@@ -0,0 +1,151 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// The upper bounds, in milliseconds, of the histogram buckets. The last
+// bucket counts everything slower than a second.
+const BUCKETS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, Infinity];
+
+// Only the latest round trip times are kept to compute the percentiles.
+const MAX_SAMPLES = 1000;
+
+/**
+ * The round trip times measured for one actor or one packet type.
+ */
+function Histogram() {
+  this.count = 0;
+  this.total = 0;
+  this.min = Infinity;
+  this.max = 0;
+  this.buckets = BUCKETS.map(() => 0);
+  this._samples = [];
+}
+
+Histogram.prototype = {
+  add(duration) {
+    this.count++;
+    this.total += duration;
+    this.min = Math.min(this.min, duration);
+    this.max = Math.max(this.max, duration);
+    this.buckets[BUCKETS.findIndex(bound => duration <= bound)]++;
+
+    this._samples.push(duration);
+    if (this._samples.length > MAX_SAMPLES) {
+      this._samples.shift();
+    }
+  },
+
+  /**
+   * @param ratio number
+   *        The percentile to compute, between 0 and 1.
+   * @return number
+   *         The round trip time |ratio| of the latest samples are below of.
+   */
+  percentile(ratio) {
+    if (this._samples.length == 0) {
+      return 0;
+    }
+    let sorted = [...this._samples].sort((a, b) => a - b);
+    let index = Math.ceil(ratio * sorted.length) - 1;
+    return sorted[Math.max(index, 0)];
+  },
+
+  toJSON() {
+    return {
+      count: this.count,
+      mean: this.count > 0 ? this.total / this.count : 0,
+      min: this.count > 0 ? this.min : 0,
+      max: this.max,
+      p50: this.percentile(0.5),
+      p95: this.percentile(0.95),
+      buckets: BUCKETS.map((bound, i) => ({
+        upTo: bound,
+        count: this.buckets[i],
+      })),
+    };
+  },
+};
+
+/**
+ * Get the kind of an actor from its ID, the last part of the ID without its
+ * number: "server1.conn0.child1/obj23" is an "obj" actor. Pauses, objects and
+ * environments get a new actor each time, so their IDs can't be the keys of
+ * the metrics, which would grow for as long as the client is used.
+ *
+ * @param actor string
+ *        The ID of the actor.
+ */
+function getActorKind(actor) {
+  let name = actor.split(/[./]/).pop();
+  return name.replace(/\d+$/, "") || name;
+}
+
+/**
+ * Collects the round trip times of the requests sent by a DebuggerClient,
+ * grouped by kind of actor and by packet type, along with the depth of the
+ * request queues. See DebuggerClient.prototype.getMetrics.
+ */
+function RequestMetrics() {
+  this.reset();
+}
+
+RequestMetrics.prototype = {
+  reset() {
+    this._byActor = new Map();
+    this._byType = new Map();
+    this._all = new Histogram();
+    this.maxQueueDepth = 0;
+  },
+
+  /**
+   * Record the round trip time of a request.
+   *
+   * @param actor string
+   *        The actor the request was sent to.
+   * @param type string
+   *        The type of the request packet.
+   * @param duration number
+   *        The milliseconds elapsed between sending the request and receiving
+   *        its response.
+   */
+  addRoundTrip(actor, type, duration) {
+    this._all.add(duration);
+    getHistogram(this._byActor, getActorKind(actor)).add(duration);
+    getHistogram(this._byType, type).add(duration);
+  },
+
+  /**
+   * Record the number of requests waiting for another request to the same
+   * actor to be done.
+   */
+  addQueueDepth(depth) {
+    this.maxQueueDepth = Math.max(this.maxQueueDepth, depth);
+  },
+
+  toJSON() {
+    return {
+      all: this._all.toJSON(),
+      actors: mapToJSON(this._byActor),
+      types: mapToJSON(this._byType),
+      maxQueueDepth: this.maxQueueDepth,
+    };
+  },
+};
+
+function getHistogram(map, key) {
+  if (!map.has(key)) {
+    map.set(key, new Histogram());
+  }
+  return map.get(key);
+}
+
+function mapToJSON(map) {
+  let json = {};
+  for (let [key, histogram] of map) {
+    json[key] = histogram.toJSON();
+  }
+  return json;
+}
+
+exports.RequestMetrics = RequestMetrics;
+exports.getActorKind = getActorKind;
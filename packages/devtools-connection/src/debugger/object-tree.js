@@ -0,0 +1,311 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+const promise = require("../utils/promise");
+
+const DEFAULT_BUCKET_SIZE = 100;
+const ENTRIES_CLASSES = ["Map", "WeakMap", "Set", "WeakSet"];
+
+/**
+ * A model of the trees of objects shown by the scopes and watch expressions
+ * panes, shared by them so that the properties of an object are only fetched
+ * once per pause.
+ *
+ * The tree is made of nodes:
+ * - property nodes, { name, path, contents }, whose |contents| is the
+ *   property descriptor. The root nodes are property nodes created with
+ *   |createNode|.
+ * - bucket nodes, { name, path, bucket }, grouping the items of large arrays
+ *   and the entries of large maps and sets, e.g. "[100…199]". Their items are
+ *   fetched with a slice of the iterator of the object once the bucket is
+ *   expanded.
+ *
+ * The loaded children and the iterators are cached by actor until the thread
+ * resumes or is detached, since pause grips aren't valid anymore. The model
+ * emits "cleared" then.
+ *
+ * @param aThread ThreadClient|ChromeThreadClient
+ *        The thread the grips belong to.
+ * @param aOptions object
+ *        - bucketSize: the number of items in a bucket, 100 by default.
+ */
+function ObjectTreeModel(aThread, aOptions = {}) {
+  EventEmitter.decorate(this);
+
+  this.thread = aThread;
+  this.bucketSize = aOptions.bucketSize || DEFAULT_BUCKET_SIZE;
+
+  // Map cache keys, see |_cached|, to the promises of the loaded data.
+  this._cache = new Map();
+
+  this.clear = this.clear.bind(this);
+  this.thread.addListener("resumed", this.clear);
+  this.thread.addListener("detached", this.clear);
+}
+
+ObjectTreeModel.prototype = {
+  /**
+   * Create a root node, for a variable or a watch expression.
+   *
+   * @param aName string
+   *        The name of the node, also its path.
+   * @param aGrip object
+   *        The value of the node.
+   */
+  createNode: function(aName, aGrip) {
+    return { name: aName, path: aName, contents: { value: aGrip } };
+  },
+
+  /**
+   * Whether a node can be expanded.
+   */
+  hasChildren: function(aNode) {
+    if (aNode.bucket) {
+      return true;
+    }
+    let grip = getValue(aNode);
+    return !!grip && typeof grip == "object" && grip.type == "object";
+  },
+
+  /**
+   * Load the children of a node.
+   *
+   * @return Promise
+   *         Resolved with the nodes: the buckets or the items of arrays, maps
+   *         and sets first, then the properties and the prototype.
+   */
+  getChildren: function(aNode) {
+    if (!this.hasChildren(aNode)) {
+      return promise.resolve([]);
+    }
+    if (aNode.bucket) {
+      return this._getBucketChildren(aNode);
+    }
+
+    let grip = getValue(aNode);
+    return this._cached(`children:${grip.actor}`, () => {
+      if (isArrayLike(grip) && getLength(grip) > this.bucketSize) {
+        return this._getArrayChildren(aNode, grip);
+      }
+      if (ENTRIES_CLASSES.includes(grip.class) && this._canEnumEntries(grip)) {
+        return this._getEntriesChildren(aNode, grip);
+      }
+      return this._getPropertyNodes(aNode, grip);
+    });
+  },
+
+  /**
+   * Load the whole text of a long string grip.
+   *
+   * @return Promise
+   *         Resolved with the string.
+   */
+  getFullText: function(aGrip) {
+    if (aGrip.type != "longString") {
+      return promise.resolve(aGrip);
+    }
+    return this._cached(`text:${aGrip.actor}`, () => {
+      return this.thread
+        .pauseLongString(aGrip)
+        .substring(0, aGrip.length)
+        .then(aResponse => aResponse.substring);
+    });
+  },
+
+  /**
+   * Forget everything loaded, usually when the thread resumes.
+   */
+  clear: function() {
+    if (this._cache.size == 0) {
+      return;
+    }
+    this._cache.clear();
+    this.emit("cleared");
+  },
+
+  destroy: function() {
+    this.thread.removeListener("resumed", this.clear);
+    this.thread.removeListener("detached", this.clear);
+    this._cache.clear();
+  },
+
+  /**
+   * Get the promise cached under a key, or cache the one |aLoad| returns.
+   * Failed loads aren't cached.
+   */
+  _cached: function(aKey, aLoad) {
+    if (!this._cache.has(aKey)) {
+      let loading = aLoad();
+      this._cache.set(aKey, loading);
+      loading.then(null, () => {
+        if (this._cache.get(aKey) === loading) {
+          this._cache.delete(aKey);
+        }
+      });
+    }
+    return this._cache.get(aKey);
+  },
+
+  _getObjectClient: function(aGrip) {
+    return this.thread.pauseGrip(aGrip);
+  },
+
+  _canEnumEntries: function(aGrip) {
+    return typeof this._getObjectClient(aGrip).enumEntries == "function";
+  },
+
+  /**
+   * The own properties, the safe getters and the prototype of an object.
+   */
+  _getPropertyNodes: function(aNode, aGrip) {
+    return this._getPrototypeAndProperties(aGrip).then(aResponse => {
+      let descriptors = Object.assign(
+        {},
+        aResponse.ownProperties,
+        aResponse.safeGetterValues,
+      );
+      let nodes = this._createNodes(aNode, descriptors);
+      if (aResponse.prototype && aResponse.prototype.type == "object") {
+        nodes.push(this._createChild(aNode, "<prototype>", {
+          value: aResponse.prototype,
+        }));
+      }
+      return nodes;
+    });
+  },
+
+  _getPrototypeAndProperties: function(aGrip) {
+    return this._cached(`properties:${aGrip.actor}`, () => {
+      return this._getObjectClient(aGrip).getPrototypeAndProperties();
+    });
+  },
+
+  /**
+   * The buckets of the indexed properties of a large array, then its other
+   * properties and its prototype.
+   */
+  _getArrayChildren: function(aNode, aGrip) {
+    let client = this._getObjectClient(aGrip);
+    let nonIndexed = client
+      .enumProperties({ ignoreIndexedProperties: true })
+      .then(({ iterator }) => iterator.all());
+
+    return promise
+      .all([this._getIterator(aGrip, "indexed"), nonIndexed])
+      .then(([aIterator, aResponse]) => {
+        let nodes = this._createBuckets(aNode, aGrip, "indexed", aIterator);
+        nodes.push(...this._createNodes(aNode, aResponse.ownProperties));
+        return this._getPrototypeNode(aNode, aGrip).then(aPrototype => {
+          return aPrototype ? nodes.concat(aPrototype) : nodes;
+        });
+      });
+  },
+
+  /**
+   * The entries of a map or a set, in buckets if there are many, then its
+   * properties and its prototype.
+   */
+  _getEntriesChildren: function(aNode, aGrip) {
+    return promise
+      .all([
+        this._getIterator(aGrip, "entries"),
+        this._getPropertyNodes(aNode, aGrip),
+      ])
+      .then(([aIterator, aProperties]) => {
+        if (aIterator.count > this.bucketSize) {
+          return this._createBuckets(aNode, aGrip, "entries", aIterator)
+            .concat(aProperties);
+        }
+        return aIterator.all().then(({ ownProperties }) => {
+          return this._createNodes(aNode, ownProperties).concat(aProperties);
+        });
+      });
+  },
+
+  /**
+   * The prototype of a large array, without loading all its properties.
+   */
+  _getPrototypeNode: function(aNode, aGrip) {
+    return this._getObjectClient(aGrip)
+      .getPrototype()
+      .then(({ prototype }) => {
+        if (!prototype || prototype.type != "object") {
+          return null;
+        }
+        return this._createChild(aNode, "<prototype>", { value: prototype });
+      });
+  },
+
+  /**
+   * Get the iterator over the indexed properties or the entries of an
+   * object, shared by its buckets.
+   */
+  _getIterator: function(aGrip, aKind) {
+    return this._cached(`${aKind}:${aGrip.actor}`, () => {
+      let client = this._getObjectClient(aGrip);
+      let enumerating = aKind == "entries"
+        ? client.enumEntries()
+        : client.enumProperties({ ignoreNonIndexedProperties: true });
+      return enumerating.then(({ iterator }) => iterator);
+    });
+  },
+
+  _getBucketChildren: function(aNode) {
+    let { grip, kind, start, count } = aNode.bucket;
+    return this._cached(`slice:${grip.actor}:${kind}:${start}`, () => {
+      return this._getIterator(grip, kind)
+        .then(aIterator => aIterator.slice(start, count))
+        .then(({ ownProperties }) => {
+          return this._createNodes(aNode, ownProperties);
+        });
+    });
+  },
+
+  _createBuckets: function(aNode, aGrip, aKind, aIterator) {
+    let buckets = [];
+    for (let start = 0; start < aIterator.count; start += this.bucketSize) {
+      let count = Math.min(this.bucketSize, aIterator.count - start);
+      let name = `[${start}…${start + count - 1}]`;
+      buckets.push({
+        name,
+        path: `${aNode.path}/${name}`,
+        bucket: { grip: aGrip, kind: aKind, start, count },
+      });
+    }
+    return buckets;
+  },
+
+  _createNodes: function(aParent, aDescriptors = {}) {
+    return Object.keys(aDescriptors).map(aName => {
+      return this._createChild(aParent, aName, aDescriptors[aName]);
+    });
+  },
+
+  _createChild: function(aParent, aName, aContents) {
+    return {
+      name: aName,
+      path: `${aParent.path}/${aName}`,
+      contents: aContents,
+    };
+  },
+};
+
+function getValue(aNode) {
+  let { contents } = aNode;
+  if (!contents) {
+    return null;
+  }
+  return "value" in contents ? contents.value : contents.getterValue;
+}
+
+function isArrayLike(aGrip) {
+  return !!aGrip.preview && aGrip.preview.kind == "ArrayLike";
+}
+
+function getLength(aGrip) {
+  return aGrip.preview.length;
+}
+
+exports.ObjectTreeModel = ObjectTreeModel;
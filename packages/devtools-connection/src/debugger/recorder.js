@@ -0,0 +1,147 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const SESSION_VERSION = 1;
+
+/**
+ * Records every packet exchanged by a DebuggerClient into a session object
+ * that can be saved to disk and fed back to a fresh client through
+ * ReplayDebuggerTransport (see ../transport/replay.js).
+ *
+ * A session looks like:
+ *   {
+ *     version: 1,
+ *     startedAt: "2017-06-03T12:00:00.000Z",
+ *     packets: [
+ *       { direction: "received", format: "json", time: 0, packet: {...} },
+ *       { direction: "sent", format: "json", time: 12, packet: {...} },
+ *       ...
+ *     ]
+ *   }
+ *
+ * |time| is the number of milliseconds elapsed since the recording started.
+ * Bulk packets are recorded by their header only, the streamed data is not
+ * captured.
+ *
+ * Start the recorder before calling |client.connect()| in order to capture
+ * the greeting packet of the root actor, a replayed session can't get past
+ * the handshake without it. The --record option of bin/devtools-connection
+ * saves the session of its connection this way.
+ *
+ * @param client DebuggerClient
+ *        The client whose traffic should be recorded.
+ */
+function ProtocolRecorder(client) {
+  this._client = client;
+  this._packets = [];
+  this._startTime = null;
+  this._startedAt = null;
+  this.recording = false;
+
+  this._onPacketSent = this._onPacketSent.bind(this);
+  this._onPacketReceived = this._onPacketReceived.bind(this);
+}
+
+ProtocolRecorder.prototype = {
+  /**
+   * Start listening to the client traffic. Packets recorded by a previous
+   * recording are discarded.
+   */
+  start: function() {
+    if (this.recording) {
+      return;
+    }
+
+    this._packets = [];
+    this._startTime = Date.now();
+    this._startedAt = new Date(this._startTime).toISOString();
+    this._client.addListener("packet-sent", this._onPacketSent);
+    this._client.addListener("packet-received", this._onPacketReceived);
+    this.recording = true;
+  },
+
+  /**
+   * Stop listening to the client traffic.
+   *
+   * @return object
+   *         The recorded session.
+   */
+  stop: function() {
+    if (this.recording) {
+      this._client.removeListener("packet-sent", this._onPacketSent);
+      this._client.removeListener("packet-received", this._onPacketReceived);
+      this.recording = false;
+    }
+    return this.session;
+  },
+
+  /**
+   * The session recorded so far.
+   */
+  get session() {
+    return {
+      version: SESSION_VERSION,
+      startedAt: this._startedAt,
+      packets: this._packets.slice(),
+    };
+  },
+
+  /**
+   * A file name for the session, based on the time the recording started.
+   */
+  get fileName() {
+    let stamp = (this._startedAt || new Date().toISOString())
+      .replace(/[:.]/g, "-");
+    return `rdp-session-${stamp}.json`;
+  },
+
+  /**
+   * Serialize the recorded session, ready to be written to a session file.
+   *
+   * @return string
+   */
+  serialize: function() {
+    return JSON.stringify(this.session, null, 2);
+  },
+
+  _onPacketSent: function(name, packet, format) {
+    this._record("sent", packet, format);
+  },
+
+  _onPacketReceived: function(name, packet, format) {
+    this._record("received", packet, format);
+  },
+
+  _record: function(direction, packet, format) {
+    this._packets.push({
+      direction,
+      format,
+      time: Date.now() - this._startTime,
+      // Packets are mutated by the client once handled, keep a copy of what
+      // actually went through the wire.
+      packet: JSON.parse(JSON.stringify(packet)),
+    });
+  },
+};
+
+/**
+ * Parse a serialized session, as produced by ProtocolRecorder#serialize.
+ *
+ * @param text string
+ *        The content of a session file.
+ * @return object
+ *         The session.
+ */
+ProtocolRecorder.parseSession = function(text) {
+  let session = JSON.parse(text);
+  if (!session || !Array.isArray(session.packets)) {
+    throw new Error("Invalid protocol session: missing packets list.");
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported protocol session version: ${session.version}`);
+  }
+  return session;
+};
+
+exports.ProtocolRecorder = ProtocolRecorder;
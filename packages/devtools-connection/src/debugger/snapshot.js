@@ -0,0 +1,238 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const promise = require("../utils/promise");
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_DEPTH = 2;
+const DEFAULT_MAX_PROPERTIES = 50;
+
+const PauseSnapshot = {};
+
+/**
+ * Capture the state of a paused thread, its stack, the scopes of each frame
+ * and the values in them, as a plain object meant to be saved as JSON and
+ * attached to bug reports.
+ *
+ *   {
+ *     version: 1,
+ *     date: "2017-05-04T12:00:00.000Z",
+ *     why: <the reason of the pause>,
+ *     frames: [{
+ *       name: "onClick",
+ *       location: { url, line, column },
+ *       this: <value>,
+ *       arguments: [<value>],
+ *       scopes: [{ type: "function", name: "onClick", variables: {...} }],
+ *     }],
+ *   }
+ *
+ * Primitive values are kept as is, the ones JSON can't represent are
+ * described by their |type|, like { type: "undefined" }. Objects are
+ * described by their |class| and their own |properties|, fetched down to
+ * |depth| levels. Objects deeper than that, functions and the objects of
+ * global scopes only have their |class|. Objects with more properties than
+ * |maxProperties| are |truncated|.
+ *
+ * @param aThread ThreadClient|ChromeThreadClient
+ *        The paused thread.
+ * @param aOptions object
+ *        - depth: the depth at which objects stop being expanded, 2 by
+ *          default.
+ *        - maxProperties: the number of properties kept for each object, 50
+ *          by default.
+ *        - frames: the number of frames kept, all of them by default.
+ * @return Promise
+ *         Resolved with the snapshot.
+ */
+PauseSnapshot.take = function(aThread, aOptions = {}) {
+  if (!aThread.paused) {
+    return promise.reject(new Error("The thread isn't paused"));
+  }
+
+  let snapshot = new Snapshot(aThread, aOptions);
+  return snapshot.take();
+};
+
+/**
+ * Serialize a snapshot for saving it to a file.
+ */
+PauseSnapshot.stringify = function(aSnapshot) {
+  return JSON.stringify(aSnapshot, null, 2);
+};
+
+function Snapshot(aThread, aOptions) {
+  this.thread = aThread;
+  this.depth = aOptions.depth === undefined ? DEFAULT_DEPTH : aOptions.depth;
+  this.maxProperties = aOptions.maxProperties || DEFAULT_MAX_PROPERTIES;
+  this.frameCount = aOptions.frames || null;
+  // Map the actors of the sources to their URL.
+  this.urls = new Map();
+}
+
+Snapshot.prototype = {
+  take: function() {
+    let pause = this.thread.getLastPausePacket();
+    return this.thread
+      .getSources()
+      .then(({ sources }) => {
+        sources.forEach(aSource => this.urls.set(aSource.actor, aSource.url));
+        return this.thread.getFrames(0, this.frameCount);
+      })
+      .then(({ frames }) => promise.all(frames.map(f => this.frame(f))))
+      .then(aFrames => {
+        return {
+          version: SNAPSHOT_VERSION,
+          date: new Date().toISOString(),
+          why: pause ? pause.why : null,
+          frames: aFrames,
+        };
+      });
+  },
+
+  frame: function(aForm) {
+    let { where } = aForm;
+    let args = aForm.arguments || [];
+    let frame = {
+      name: aForm.displayName || "(anonymous)",
+      location: {
+        url: this.urls.get(where.actor) || null,
+        line: where.line,
+        column: where.column,
+      },
+    };
+
+    return promise
+      .all([
+        this.value(aForm.this, this.depth),
+        promise.all(args.map(aArg => this.value(aArg, this.depth))),
+        this.scopes(aForm.environment),
+      ])
+      .then(([aThis, aArguments, aScopes]) => {
+        return Object.assign(frame, {
+          this: aThis,
+          arguments: aArguments,
+          scopes: aScopes,
+        });
+      });
+  },
+
+  /**
+   * Describe an environment and its parents, innermost first.
+   */
+  scopes: function(aForm) {
+    if (!aForm) {
+      return promise.resolve([]);
+    }
+
+    let scope = { type: aForm.type };
+    if (aForm.function) {
+      scope.name = aForm.function.displayName || aForm.function.name;
+    }
+
+    let described;
+    if (aForm.type == "object") {
+      // Global and with scopes, listing their object would take long.
+      described = this.value(aForm.object, 0).then(aObject => {
+        scope.object = aObject;
+      });
+    } else {
+      described = this.bindings(aForm).then(aVariables => {
+        scope.variables = aVariables;
+      });
+    }
+
+    return promise
+      .all([described, this.scopes(aForm.parent)])
+      .then(([, aParents]) => [scope].concat(aParents));
+  },
+
+  bindings: function(aForm) {
+    // Firefox sends the bindings with the environment, CDP targets don't.
+    let getting = aForm.bindings
+      ? promise.resolve({ bindings: aForm.bindings })
+      : this.thread.environment(aForm).getBindings();
+
+    return getting.then(({ bindings }) => {
+      let descriptors = {};
+      for (let argument of bindings.arguments || []) {
+        Object.assign(descriptors, argument);
+      }
+      Object.assign(descriptors, bindings.variables);
+      return this.properties(descriptors, this.depth);
+    });
+  },
+
+  /**
+   * Describe the values of property descriptors.
+   */
+  properties: function(aDescriptors, aDepth) {
+    let names = Object.keys(aDescriptors);
+    let values = names.map(aName => {
+      let descriptor = aDescriptors[aName];
+      if ("value" in descriptor) {
+        return this.value(descriptor.value, aDepth);
+      }
+      if ("getterValue" in descriptor) {
+        return this.value(descriptor.getterValue, aDepth);
+      }
+      return { type: "accessor" };
+    });
+
+    return promise.all(values).then(aValues => {
+      let properties = {};
+      names.forEach((aName, i) => (properties[aName] = aValues[i]));
+      return properties;
+    });
+  },
+
+  /**
+   * Describe a grip, expanding the objects until |aDepth| is 0.
+   */
+  value: function(aGrip, aDepth) {
+    if (!aGrip || typeof aGrip != "object") {
+      return promise.resolve(aGrip === undefined ? null : aGrip);
+    }
+    if (aGrip.type == "null") {
+      return promise.resolve(null);
+    }
+    if (aGrip.type != "object") {
+      let value = Object.assign({}, aGrip);
+      delete value.actor;
+      return promise.resolve(value);
+    }
+
+    let object = { type: "object", class: aGrip.class };
+    if (aGrip.class == "Function") {
+      object.name = aGrip.displayName || aGrip.name || "";
+      return promise.resolve(object);
+    }
+    if (aDepth <= 0) {
+      return promise.resolve(object);
+    }
+
+    return this.thread
+      .pauseGrip(aGrip)
+      .getPrototypeAndProperties()
+      .then(aResponse => {
+        let descriptors = Object.assign(
+          {},
+          aResponse.ownProperties,
+          aResponse.safeGetterValues,
+        );
+        let names = Object.keys(descriptors);
+        if (names.length > this.maxProperties) {
+          object.truncated = true;
+          names.slice(this.maxProperties).forEach(n => delete descriptors[n]);
+        }
+        if (aResponse.prototype && aResponse.prototype.class) {
+          object.prototype = aResponse.prototype.class;
+        }
+        return this.properties(descriptors, aDepth - 1);
+      })
+      .then(aProperties => Object.assign(object, { properties: aProperties }));
+  },
+};
+
+exports.PauseSnapshot = PauseSnapshot;
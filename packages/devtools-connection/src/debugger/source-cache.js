@@ -0,0 +1,254 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const promise = require("../utils/promise");
+const { getStorage } = require("../utils/storage");
+
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+const DEFAULT_STORAGE_KEY = "devtools-connection.sources";
+
+/**
+ * Caches the text of sources so that SourceClient.prototype.source and
+ * prettyPrint don't download it again, see the |sourceCache| option of
+ * DebuggerClient.
+ *
+ * Texts are stored by the hash of their content, in memory and in the
+ * storage. They are found back by actor, for the sources already loaded since
+ * the last navigation, and returned without any request. After a reload, the
+ * actors are new and the texts are downloaded again: only the hash of the
+ * whole text tells whether it changed, and the text stored is then shared by
+ * the sources with the same content.
+ *
+ * The least recently used texts are evicted once their total length goes
+ * over |maxSize|.
+ *
+ * @param aOptions object
+ *        - storage: where to persist the texts, see |getStorage| in
+ *          utils/storage.
+ *        - storageKey: the prefix of the keys of the storage.
+ *        - maxSize: the total length of the texts kept, 50M characters by
+ *          default.
+ */
+function SourceCache(aOptions = {}) {
+  this._storage = getStorage(aOptions.storage);
+  this._storageKey = aOptions.storageKey || DEFAULT_STORAGE_KEY;
+  this.maxSize = aOptions.maxSize || DEFAULT_MAX_SIZE;
+
+  // Map "[actor]:[variant]" keys to the hash of their text.
+  this._actors = new Map();
+  // Map the hashes to { hash, size }, least recently used first. The index is
+  // persisted with the texts.
+  this._entries = new Map();
+  // Map the hashes to the texts loaded in memory.
+  this._texts = new Map();
+  this._size = 0;
+  this._loading = null;
+}
+
+SourceCache.prototype = {
+  /**
+   * Get the text of a source.
+   *
+   * @param aSource SourceClient
+   *        The source.
+   * @param aVariant string
+   *        Which text of the source this is, e.g. "pretty:2" for the source
+   *        pretty printed with an indent of 2.
+   * @param aGrip object
+   *        The long string grip of the text.
+   * @param aLongString LongStringClient
+   *        The client of the grip, to download the text if needed.
+   * @return Promise
+   *         Resolved with the text.
+   */
+  getText: function(aSource, aVariant, aGrip, aLongString) {
+    let key = `${aSource.actor}:${aVariant}`;
+    return this._load()
+      .then(() => {
+        let hash = this._actors.get(key);
+        return hash ? this._getStoredText(hash) : null;
+      })
+      .then(aText => {
+        if (aText !== null) {
+          return aText;
+        }
+        return this._fetch(aGrip, aLongString).then(aHash => {
+          this._actors.set(key, aHash);
+          return this._getStoredText(aHash);
+        });
+      });
+  },
+
+  /**
+   * Forget the sources loaded, their actors are replaced by new ones after
+   * navigating. The texts stay cached.
+   */
+  invalidate: function() {
+    this._actors.clear();
+  },
+
+  /**
+   * Remove all the texts, from the storage as well.
+   *
+   * @return Promise
+   *         Resolved once the storage is cleared.
+   */
+  clear: function() {
+    let hashes = [...this._entries.keys()];
+    this._actors.clear();
+    this._entries.clear();
+    this._texts.clear();
+    this._size = 0;
+    if (!this._storage) {
+      return promise.resolve();
+    }
+    return promise
+      .all(hashes.map(aHash => this._storage.removeItem(this._textKey(aHash))))
+      .then(() => this._saveIndex());
+  },
+
+  /**
+   * Load the index of the texts persisted, once.
+   */
+  _load: function() {
+    if (!this._loading) {
+      this._loading = this._storage
+        ? this._storage.getItem(`${this._storageKey}:index`)
+        : promise.resolve(null);
+      this._loading = this._loading.then(aIndex => {
+        for (let entry of aIndex || []) {
+          this._entries.set(entry.hash, entry);
+          this._size += entry.size;
+        }
+      });
+    }
+    return this._loading;
+  },
+
+  _saveIndex: function() {
+    if (!this._storage) {
+      return promise.resolve();
+    }
+    let index = [...this._entries.values()];
+    return this._storage.setItem(`${this._storageKey}:index`, index);
+  },
+
+  _textKey: function(aHash) {
+    return `${this._storageKey}:${aHash}`;
+  },
+
+  /**
+   * Download the text and store it.
+   *
+   * @return Promise
+   *         Resolved with the hash of the text.
+   */
+  _fetch: function(aGrip, aLongString) {
+    return aLongString.substring(0, aGrip.length).then(aResponse => {
+      return this._store(aResponse.substring);
+    });
+  },
+
+  /**
+   * Get a text by hash, from memory or from the storage.
+   *
+   * @return Promise
+   *         Resolved with the text, or null if it was evicted.
+   */
+  _getStoredText: function(aHash) {
+    let entry = this._entries.get(aHash);
+    if (!entry) {
+      return promise.resolve(null);
+    }
+    this._touch(entry);
+
+    if (this._texts.has(aHash)) {
+      return promise.resolve(this._texts.get(aHash));
+    }
+    if (!this._storage) {
+      return promise.resolve(null);
+    }
+    return this._storage.getItem(this._textKey(aHash)).then(aText => {
+      if (typeof aText != "string") {
+        return null;
+      }
+      this._texts.set(aHash, aText);
+      return aText;
+    });
+  },
+
+  _store: function(aText) {
+    let hash = hashString(aText);
+    let entry = this._entries.get(hash);
+    if (!entry) {
+      entry = { hash, size: aText.length };
+      this._entries.set(hash, entry);
+      this._size += entry.size;
+    }
+    this._texts.set(hash, aText);
+    this._touch(entry);
+
+    let evicted = this._evict(hash);
+    if (!this._storage) {
+      return promise.resolve(hash);
+    }
+    return promise
+      .all([
+        this._storage.setItem(this._textKey(hash), aText),
+        ...evicted.map(aHash => this._storage.removeItem(this._textKey(aHash))),
+      ])
+      .then(() => this._saveIndex())
+      .then(() => hash, () => hash);
+  },
+
+  /**
+   * Mark an entry as the most recently used.
+   */
+  _touch: function(aEntry) {
+    this._entries.delete(aEntry.hash);
+    this._entries.set(aEntry.hash, aEntry);
+  },
+
+  /**
+   * Evict the least recently used texts, but |aKept|, until the cache fits
+   * in |maxSize|.
+   *
+   * @return array
+   *         The hashes of the texts evicted.
+   */
+  _evict: function(aKept) {
+    let evicted = [];
+    for (let entry of [...this._entries.values()]) {
+      if (this._size <= this.maxSize) {
+        break;
+      }
+      if (entry.hash == aKept) {
+        continue;
+      }
+      this._entries.delete(entry.hash);
+      this._texts.delete(entry.hash);
+      this._size -= entry.size;
+      evicted.push(entry.hash);
+    }
+    return evicted;
+  },
+};
+
+/**
+ * A 64 bits hash of a string, as 16 hexadecimal digits, made of a 32 bits
+ * FNV-1a hash and of a second one with the multiplier of MurmurHash2.
+ */
+function hashString(aString) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x811c9dc5;
+  for (let i = 0; i < aString.length; i++) {
+    let c = aString.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 0x01000193);
+    h2 = Math.imul(h2 ^ c, 0x5bd1e995);
+  }
+  let hex = aHash => (aHash >>> 0).toString(16).padStart(8, "0");
+  return hex(h1) + hex(h2);
+}
+
+exports.SourceCache = SourceCache;
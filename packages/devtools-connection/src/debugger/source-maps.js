@@ -0,0 +1,452 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+const promise = require("../utils/promise");
+
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = new Map(
+  [...BASE64_CHARS].map((aChar, aValue) => [aChar, aValue]),
+);
+
+/**
+ * Decode the base 64 VLQ numbers of a segment of the mappings of a source
+ * map, e.g. "AAgBC" is [0, 0, 16, 1].
+ */
+function decodeSegment(aSegment) {
+  let values = [];
+  let value = 0;
+  let shift = 0;
+  for (let char of aSegment) {
+    let digit = BASE64_VALUES.get(char);
+    if (digit === undefined) {
+      throw new Error(`Invalid character in the mappings: ${char}`);
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+    // The lowest bit is the sign.
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+  return values;
+}
+
+/**
+ * Decode the mappings of a source map. The lines and columns are 0-based,
+ * the fields are relative to the ones of the previous segment, but the
+ * generated column, which is relative to the previous segment of its line.
+ *
+ * @return array
+ *         The mappings of each generated line, sorted by column.
+ */
+function decodeMappings(aMappings) {
+  let lines = [];
+  let source = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let name = 0;
+
+  aMappings.split(";").forEach((aLine, aGeneratedLine) => {
+    let mappings = [];
+    let generatedColumn = 0;
+    for (let segment of aLine.split(",")) {
+      if (!segment) {
+        continue;
+      }
+      let values = decodeSegment(segment);
+      generatedColumn += values[0];
+      let mapping = { generatedLine: aGeneratedLine, generatedColumn };
+      if (values.length >= 4) {
+        source += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        Object.assign(mapping, { source, originalLine, originalColumn });
+      }
+      if (values.length >= 5) {
+        name += values[4];
+        mapping.name = name;
+      }
+      mappings.push(mapping);
+    }
+    lines.push(mappings.sort((a, b) => a.generatedColumn - b.generatedColumn));
+  });
+  return lines;
+}
+
+/**
+ * A parsed source map.
+ *
+ * @param aMap object
+ *        The source map, as JSON.
+ * @param aMapUrl string
+ *        Its URL, which the URLs of the original sources are relative to.
+ */
+function SourceMap(aMap, aMapUrl) {
+  if (aMap.sections) {
+    throw new Error("Indexed source maps aren't supported.");
+  }
+
+  let sourceRoot = aMap.sourceRoot || "";
+  if (sourceRoot && !sourceRoot.endsWith("/")) {
+    sourceRoot += "/";
+  }
+  this.sources = (aMap.sources || []).map(aSource => {
+    return resolveURL(sourceRoot + aSource, aMapUrl);
+  });
+  this.sourcesContent = aMap.sourcesContent || [];
+  this.names = aMap.names || [];
+  this._lines = decodeMappings(aMap.mappings || "");
+  // Map the index of each original source to the mappings of each of its
+  // lines, built on demand.
+  this._originalLines = null;
+}
+
+SourceMap.prototype = {
+  /**
+   * Find the original location of a generated one, 0-based.
+   *
+   * @return object|null
+   *         The |sourceUrl|, |line|, |column| and |name| of the original
+   *         location, or null if the location isn't mapped.
+   */
+  originalLocationFor: function(aLine, aColumn) {
+    let mappings = this._lines[aLine] || [];
+    let found = null;
+    for (let mapping of mappings) {
+      if (mapping.generatedColumn > aColumn) {
+        break;
+      }
+      found = mapping;
+    }
+    if (!found || found.source === undefined) {
+      return null;
+    }
+
+    let location = {
+      sourceUrl: this.sources[found.source],
+      line: found.originalLine,
+      column: found.originalColumn,
+    };
+    if (found.name !== undefined) {
+      location.name = this.names[found.name];
+    }
+    return location;
+  },
+
+  /**
+   * Find the generated location of an original one, 0-based: the first one
+   * mapped to the original line at or after the column, or else the last one
+   * before it.
+   *
+   * @return object|null
+   *         The |line| and |column| of the generated location, or null if
+   *         the original line isn't mapped.
+   */
+  generatedLocationFor: function(aSourceUrl, aLine, aColumn) {
+    let source = this.sources.indexOf(aSourceUrl);
+    let mappings = this._getOriginalLines(source)[aLine];
+    if (!mappings) {
+      return null;
+    }
+
+    let found = mappings.find(aMapping => aMapping.originalColumn >= aColumn);
+    found = found || mappings[mappings.length - 1];
+    return { line: found.generatedLine, column: found.generatedColumn };
+  },
+
+  /**
+   * Get the text of an original source embedded in the map, if any.
+   */
+  getSourceContent: function(aSourceUrl) {
+    let content = this.sourcesContent[this.sources.indexOf(aSourceUrl)];
+    return typeof content == "string" ? content : null;
+  },
+
+  _getOriginalLines: function(aSource) {
+    if (!this._originalLines) {
+      this._originalLines = new Map();
+      for (let mappings of this._lines) {
+        for (let mapping of mappings) {
+          if (mapping.source === undefined) {
+            continue;
+          }
+          if (!this._originalLines.has(mapping.source)) {
+            this._originalLines.set(mapping.source, []);
+          }
+          let lines = this._originalLines.get(mapping.source);
+          let line = lines[mapping.originalLine] || [];
+          lines[mapping.originalLine] = line;
+          line.push(mapping);
+        }
+      }
+      for (let lines of this._originalLines.values()) {
+        lines.forEach(aLine => {
+          aLine.sort((a, b) => a.originalColumn - b.originalColumn);
+        });
+      }
+    }
+    return this._originalLines.get(aSource) || [];
+  },
+};
+
+/**
+ * Maps the locations of the generated sources of a thread, like the ones of
+ * pauses, frames and breakpoints, to the locations in their original sources
+ * and back, with the source maps the sources refer to.
+ *
+ * Source maps are fetched through the /get endpoint of the launchpad's
+ * development server by default, the pages' origins usually don't let the
+ * tools fetch them directly. Inline source maps, in data: URLs, are decoded
+ * without fetching.
+ *
+ * Locations are the ones of the protocol: objects with a |sourceUrl|, a
+ * 1-based |line| and a 0-based |column|. The locations that aren't mapped
+ * are returned unchanged.
+ *
+ * The service emits "error" with the error and the URL of the generated
+ * source when its source map can't be loaded, its locations stay unmapped.
+ *
+ * @param aThread ThreadClient|ChromeThreadClient
+ *        The thread whose sources are followed, through "newSource" events
+ *        and the responses to ThreadClient.prototype.getSources.
+ * @param aOptions object
+ *        - fetch: a function fetching the text at a URL, returning a promise.
+ *        - proxyUrl: the URL of the endpoint fetching the maps by default,
+ *          "/get".
+ */
+function SourceMapService(aThread, aOptions = {}) {
+  EventEmitter.decorate(this);
+
+  this.thread = aThread;
+  this._fetch = aOptions.fetch || createProxyFetch(aOptions.proxyUrl || "/get");
+
+  // Map the URLs of the generated sources to their forms.
+  this._sources = new Map();
+  // Map the URLs of the generated sources to the promises of their maps.
+  this._maps = new Map();
+  // Map the URLs of the original sources to their generated source's URL.
+  this._originals = new Map();
+
+  this._onNewSource = this._onNewSource.bind(this);
+  this._onPacket = this._onPacket.bind(this);
+  this.thread.addListener("newSource", this._onNewSource);
+  if (this.thread.client) {
+    this.thread.client.addListener("packet-received", this._onPacket);
+  }
+}
+
+SourceMapService.prototype = {
+  /**
+   * Follow a source of the thread.
+   *
+   * @param aForm object
+   *        The source form.
+   */
+  addSource: function(aForm) {
+    if (!aForm.url) {
+      return;
+    }
+    let known = this._sources.get(aForm.url);
+    this._sources.set(aForm.url, aForm);
+    // The source changed, e.g. after a reload.
+    if (known && known.sourceMapURL != aForm.sourceMapURL) {
+      this._maps.delete(aForm.url);
+    }
+  },
+
+  /**
+   * Get the original sources of a generated source.
+   *
+   * @param aSourceUrl string
+   *        The URL of the generated source.
+   * @return Promise
+   *         Resolved with the original sources, with their |url| and the
+   *         |fileName| to display, empty if the source isn't mapped.
+   */
+  getOriginalSources: function(aSourceUrl) {
+    return this._getSourceMap(aSourceUrl).then(aMap => {
+      // devtools-modules is loaded lazily, see utils/storage.
+      let sourceUtils = require("devtools-modules/src/source-utils");
+      return (aMap ? aMap.sources : []).map(aUrl => {
+        return { url: aUrl, fileName: sourceUtils.getSourceMappedFile(aUrl) };
+      });
+    });
+  },
+
+  /**
+   * Get the text of an original source, embedded in its map or fetched.
+   *
+   * @return Promise
+   *         Resolved with the text.
+   */
+  getOriginalSourceText: function(aSourceUrl) {
+    return this._getOriginalSourceMap(aSourceUrl).then(aMap => {
+      let content = aMap ? aMap.getSourceContent(aSourceUrl) : null;
+      return content === null ? this._fetch(aSourceUrl) : content;
+    });
+  },
+
+  /**
+   * Map a location in a generated source to the original one.
+   */
+  getOriginalLocation: function(aLocation) {
+    return this._getSourceMap(aLocation.sourceUrl).then(aMap => {
+      let original = aMap
+        ? aMap.originalLocationFor(aLocation.line - 1, aLocation.column || 0)
+        : null;
+      if (!original) {
+        return aLocation;
+      }
+      original.line += 1;
+      return original;
+    });
+  },
+
+  /**
+   * Map a location in an original source to the generated one.
+   */
+  getGeneratedLocation: function(aLocation) {
+    return this._getOriginalSourceMap(aLocation.sourceUrl).then(aMap => {
+      let generated = aMap
+        ? aMap.generatedLocationFor(
+          aLocation.sourceUrl,
+          aLocation.line - 1,
+          aLocation.column || 0,
+        )
+        : null;
+      if (!generated) {
+        return aLocation;
+      }
+      return {
+        sourceUrl: this._originals.get(aLocation.sourceUrl),
+        line: generated.line + 1,
+        column: generated.column,
+      };
+    });
+  },
+
+  /**
+   * Add the original location of frames, as returned by getFrames, to them.
+   *
+   * @return Promise
+   *         Resolved with copies of the frames with an |originalLocation|,
+   *         the same as their |where| location if it isn't mapped.
+   */
+  mapFrames: function(aFrames) {
+    let actors = new Map();
+    for (let form of this._sources.values()) {
+      actors.set(form.actor, form.url);
+    }
+
+    return promise.all(
+      aFrames.map(aFrame => {
+        let { actor, line, column } = aFrame.where;
+        let location = { sourceUrl: actors.get(actor) || null, line, column };
+        return this.getOriginalLocation(location).then(aOriginal => {
+          return Object.assign({}, aFrame, { originalLocation: aOriginal });
+        });
+      }),
+    );
+  },
+
+  destroy: function() {
+    this.thread.removeListener("newSource", this._onNewSource);
+    if (this.thread.client) {
+      this.thread.client.removeListener("packet-received", this._onPacket);
+    }
+  },
+
+  _getSourceMap: function(aSourceUrl) {
+    let form = this._sources.get(aSourceUrl);
+    if (!form || !form.sourceMapURL) {
+      return promise.resolve(null);
+    }
+    if (!this._maps.has(aSourceUrl)) {
+      this._maps.set(aSourceUrl, this._loadSourceMap(form));
+    }
+    return this._maps.get(aSourceUrl);
+  },
+
+  /**
+   * Get the map an original source comes from. The maps of all the sources
+   * are loaded if it isn't known yet.
+   */
+  _getOriginalSourceMap: function(aSourceUrl) {
+    let loading = promise.resolve();
+    if (!this._originals.has(aSourceUrl)) {
+      let urls = [...this._sources.keys()];
+      loading = promise.all(urls.map(aUrl => this._getSourceMap(aUrl)));
+    }
+    return loading.then(() => {
+      let generatedUrl = this._originals.get(aSourceUrl);
+      return generatedUrl ? this._getSourceMap(generatedUrl) : null;
+    });
+  },
+
+  _loadSourceMap: function(aForm) {
+    let url = resolveURL(aForm.sourceMapURL, aForm.url);
+    let loading = url.startsWith("data:")
+      ? promise.resolve(decodeDataURL(url))
+      : this._fetch(url);
+
+    return loading
+      .then(aText => {
+        let map = new SourceMap(JSON.parse(aText), url);
+        map.sources.forEach(aSource => {
+          this._originals.set(aSource, aForm.url);
+        });
+        return map;
+      })
+      .then(null, aError => {
+        this.emit("error", aError, aForm.url);
+        return null;
+      });
+  },
+
+  _onNewSource: function(aName, aPacket) {
+    this.addSource(aPacket.source);
+  },
+
+  _onPacket: function(aName, aPacket) {
+    if (aPacket.from == this.thread.actor && Array.isArray(aPacket.sources)) {
+      aPacket.sources.forEach(aSource => this.addSource(aSource));
+    }
+  },
+};
+
+function createProxyFetch(aProxyUrl) {
+  return aUrl => {
+    return fetch(`${aProxyUrl}?url=${encodeURIComponent(aUrl)}`).then(res => {
+      if (res.status < 200 || res.status >= 300) {
+        throw new Error(`Failed to fetch ${aUrl}: ${res.status}`);
+      }
+      return res.text();
+    });
+  };
+}
+
+function resolveURL(aUrl, aBase) {
+  try {
+    return new URL(aUrl, aBase).href;
+  } catch (e) {
+    return aUrl;
+  }
+}
+
+function decodeDataURL(aUrl) {
+  let comma = aUrl.indexOf(",");
+  let data = aUrl.slice(comma + 1);
+  if (aUrl.slice(0, comma).endsWith(";base64")) {
+    return decodeURIComponent(escape(atob(data)));
+  }
+  return decodeURIComponent(data);
+}
+
+exports.SourceMap = SourceMap;
+exports.SourceMapService = SourceMapService;
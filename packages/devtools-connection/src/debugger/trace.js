@@ -0,0 +1,223 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+
+const DEFAULT_TRACE_TYPES = ["name", "location", "time"];
+
+/**
+ * Records a trace of the JavaScript calls of a TraceClient, and turns its
+ * "enteredFrame" and "exitedFrame" packets into a call tree of nodes:
+ *
+ *   {
+ *     name: "onClick",
+ *     location: { url, line, column },
+ *     start: 1200, // ms
+ *     end: 1250,
+ *     duration: 50,
+ *     selfTime: 20, // the duration minus the one of the children
+ *     depth: 1,
+ *     children: [<node>],
+ *   }
+ *
+ * The root node, named "(root)", spans the whole trace. Times are the ones
+ * the server reports with the "time" trace type, or the times the packets
+ * are received at otherwise. Frames exited without being entered during the
+ * trace are ignored, the frames still running when it stops end with it.
+ *
+ * The collector emits "stopped" with the call tree once the trace stopped.
+ *
+ * @param aTraceClient TraceClient
+ *        The client of the trace actor of the tab.
+ * @param aOptions object
+ *        - traceTypes: the trace types to record, ["name", "location",
+ *          "time"] by default.
+ */
+function TraceCollector(aTraceClient, aOptions = {}) {
+  EventEmitter.decorate(this);
+
+  this.traceClient = aTraceClient;
+  this.traceTypes = aOptions.traceTypes || DEFAULT_TRACE_TYPES;
+  this.name = null;
+  this._reset();
+
+  this._onEnteredFrame = this._onEnteredFrame.bind(this);
+  this._onExitedFrame = this._onExitedFrame.bind(this);
+}
+
+TraceCollector.prototype = {
+  /**
+   * Start a new trace, forgetting the previous one.
+   *
+   * @param aName string
+   *        The name of the trace, the server makes one up by default.
+   * @return Promise
+   *         Resolved with the response of the trace actor.
+   */
+  start: function(aName) {
+    this._reset();
+    this.traceClient.addListener("enteredFrame", this._onEnteredFrame);
+    this.traceClient.addListener("exitedFrame", this._onExitedFrame);
+
+    return this.traceClient
+      .startTrace(this.traceTypes, aName)
+      .then(aResponse => {
+        this.name = aResponse.name;
+        return aResponse;
+      }, aError => {
+        this._removeListeners();
+        throw aError;
+      });
+  },
+
+  /**
+   * Stop the trace.
+   *
+   * @return Promise
+   *         Resolved with the call tree.
+   */
+  stop: function() {
+    return this.traceClient.stopTrace(this.name).then(() => {
+      this._removeListeners();
+      this._finish();
+      this.emit("stopped", this._root);
+      return this._root;
+    });
+  },
+
+  /**
+   * Get the call tree recorded so far, see the format above.
+   */
+  getCallTree: function() {
+    return this._root;
+  },
+
+  /**
+   * Convert the call tree to the JSON trace event format of Chrome, which
+   * about:tracing, the Performance panel of Chrome and other profilers open:
+   * one complete ("X") event per call, timed in microseconds from the start
+   * of the trace.
+   *
+   * @return object
+   *         The trace, to save as JSON.
+   */
+  toTraceEvents: function() {
+    let start = this._root.start || 0;
+    let events = [
+      {
+        name: "thread_name",
+        ph: "M",
+        pid: 1,
+        tid: 1,
+        args: { name: this.name || "JavaScript" },
+      },
+    ];
+
+    let addEvents = aNode => {
+      let args = {};
+      if (aNode.location) {
+        let { url, line, column } = aNode.location;
+        Object.assign(args, { url, line, column });
+      }
+      events.push({
+        name: aNode.name,
+        cat: "javascript",
+        ph: "X",
+        ts: Math.round((aNode.start - start) * 1000),
+        dur: Math.round(aNode.duration * 1000),
+        pid: 1,
+        tid: 1,
+        args,
+      });
+      aNode.children.forEach(addEvents);
+    };
+    this._root.children.forEach(addEvents);
+
+    return { traceEvents: events, displayTimeUnit: "ms" };
+  },
+
+  destroy: function() {
+    this._removeListeners();
+  },
+
+  _reset: function() {
+    this._root = createNode("(root)", null, null, 0);
+    // The frames entered and not exited yet, the innermost last.
+    this._stack = [];
+    this._lastTime = null;
+  },
+
+  _removeListeners: function() {
+    this.traceClient.removeListener("enteredFrame", this._onEnteredFrame);
+    this.traceClient.removeListener("exitedFrame", this._onExitedFrame);
+  },
+
+  _getTime: function(aPacket) {
+    let time = typeof aPacket.time == "number" ? aPacket.time : Date.now();
+    if (this._root.start === null) {
+      this._root.start = time;
+    }
+    this._lastTime = time;
+    return time;
+  },
+
+  _onEnteredFrame: function(aType, aPacket) {
+    let time = this._getTime(aPacket);
+    let parent = this._stack[this._stack.length - 1] || this._root;
+    let node = createNode(
+      aPacket.name || "(anonymous)",
+      aPacket.location || null,
+      time,
+      parent.depth + 1,
+    );
+    parent.children.push(node);
+    this._stack.push(node);
+  },
+
+  _onExitedFrame: function(aType, aPacket) {
+    let time = this._getTime(aPacket);
+    let node = this._stack.pop();
+    if (node) {
+      closeNode(node, time);
+    }
+  },
+
+  /**
+   * End the frames still running and the root at the last time seen.
+   */
+  _finish: function() {
+    let end = this._lastTime === null ? 0 : this._lastTime;
+    while (this._stack.length > 0) {
+      closeNode(this._stack.pop(), end);
+    }
+    if (this._root.start === null) {
+      this._root.start = end;
+    }
+    closeNode(this._root, end);
+  },
+};
+
+function createNode(aName, aLocation, aStart, aDepth) {
+  return {
+    name: aName,
+    location: aLocation,
+    start: aStart,
+    end: null,
+    duration: 0,
+    selfTime: 0,
+    depth: aDepth,
+    children: [],
+  };
+}
+
+function closeNode(aNode, aEnd) {
+  aNode.end = aEnd;
+  aNode.duration = Math.max(0, aEnd - aNode.start);
+  let childrenTime = aNode.children.reduce((aTotal, aChild) => {
+    return aTotal + aChild.duration;
+  }, 0);
+  aNode.selfTime = Math.max(0, aNode.duration - childrenTime);
+}
+
+exports.TraceCollector = TraceCollector;
@@ -0,0 +1,323 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const PRIMITIVE_TYPES = {
+  boolean: "boolean",
+  number: "number",
+  string: "string",
+};
+
+// Types whose values can be anything.
+const ANY_TYPES = new Set(["primitive", "json", "longstring"]);
+
+/**
+ * Checks the packets exchanged with actors against the templates of the
+ * protocol description returned by RootClient.protocolDescription, so that a
+ * malformed packet is reported with the field at fault rather than failing
+ * later on in the client using it. See DebuggerClient.enablePacketValidation.
+ *
+ * The type of an actor has to be known for its packets to be checked. It is
+ * learnt from the responses holding actors of a described type, from the
+ * forms holding "[typeName]Actor" properties, like the tab forms, and from
+ * |registerActor|.
+ *
+ * A violation is an object with the |actor|, the packet |type|, the |path| of
+ * the field at fault, like "frame.where.line", and a |message|.
+ *
+ * @param aDescription object
+ *        The protocol description, whose |types| map type names to
+ *        descriptions.
+ */
+function PacketValidator(aDescription) {
+  this._types = aDescription.types || {};
+  this._actorTypes = new Map();
+}
+
+PacketValidator.prototype = {
+  /**
+   * Set the type of an actor.
+   *
+   * @param aActor string
+   *        The actor ID.
+   * @param aTypeName string
+   *        The name of the type of the actor in the description.
+   */
+  registerActor: function(aActor, aTypeName) {
+    if (this._isActorType(aTypeName)) {
+      this._actorTypes.set(aActor, aTypeName);
+    }
+  },
+
+  /**
+   * Check a request about to be sent.
+   *
+   * @param aPacket object
+   *        The request packet.
+   * @return array
+   *         The violations found.
+   */
+  validateRequest: function(aPacket) {
+    let violations = [];
+    let method = this._getMethod(aPacket.to, aPacket.type);
+    if (method === undefined) {
+      return violations;
+    }
+
+    let context = { actor: aPacket.to, type: aPacket.type, violations };
+    if (!method) {
+      this._report(context, "", "the actor has no such method");
+      return violations;
+    }
+
+    this._checkTemplate(context, aPacket, method.request || {}, "");
+    return violations;
+  },
+
+  /**
+   * Check a packet received from the server. A packet with a |type| is only
+   * checked against the response of the request when the response has this
+   * type, other typed packets are notifications and only checked against the
+   * events of the actor.
+   *
+   * @param aPacket object
+   *        The received packet.
+   * @param aRequest object (optional)
+   *        The request packet the server may be replying to.
+   * @return array
+   *         The violations found.
+   */
+  validatePacket: function(aPacket, aRequest) {
+    let violations = [];
+    let actor = aPacket.from;
+    let typeName = this._actorTypes.get(actor);
+    let events = typeName ? this._types[typeName].events || {} : {};
+
+    if (aPacket.type && aPacket.type in events) {
+      let context = { actor, type: aPacket.type, violations };
+      this._checkTemplate(context, aPacket, events[aPacket.type], "");
+      return violations;
+    }
+
+    if (!aRequest) {
+      return violations;
+    }
+
+    let method = this._getMethod(actor, aRequest.type);
+    if (aPacket.type !== undefined && !isResponseType(method, aPacket.type)) {
+      return violations;
+    }
+
+    let context = { actor, type: aRequest.type, violations };
+    if (aPacket.error !== undefined) {
+      if (typeof aPacket.error != "string") {
+        this._report(context, "error", "expected a string");
+      }
+      return violations;
+    }
+
+    this._registerForm(aPacket);
+    if (method && method.response) {
+      this._checkTemplate(context, aPacket, method.response, "");
+    }
+    return violations;
+  },
+
+  _isActorType: function(aTypeName) {
+    let type = this._types[aTypeName];
+    return !!type && type.category == "actor";
+  },
+
+  /**
+   * @return object|null|undefined
+   *         The description of the method, null if the actor type has no
+   *         such method, and undefined if the type of the actor is unknown.
+   */
+  _getMethod: function(aActor, aMethodName) {
+    let typeName = this._actorTypes.get(aActor);
+    if (!typeName) {
+      return undefined;
+    }
+    let methods = this._types[typeName].methods || [];
+    return methods.find(aMethod => aMethod.name == aMethodName) || null;
+  },
+
+  /**
+   * Learn the types of the actors of a form, and of the forms it holds in its
+   * arrays, like the |tabs| of the listTabs response.
+   */
+  _registerForm: function(aForm) {
+    for (let key of Object.keys(aForm)) {
+      let value = aForm[key];
+      if (Array.isArray(value)) {
+        value.filter(isObject).forEach(aItem => {
+          this._registerFormActors(aItem);
+        });
+      }
+    }
+    this._registerFormActors(aForm);
+  },
+
+  _registerFormActors: function(aForm) {
+    for (let key of Object.keys(aForm)) {
+      if (key.endsWith("Actor") && typeof aForm[key] == "string") {
+        this.registerActor(aForm[key], key.slice(0, -"Actor".length));
+      }
+    }
+  },
+
+  /**
+   * Check the fields of a packet filled from the arguments or the return
+   * value of a method, or from the arguments of an event.
+   */
+  _checkTemplate: function(aContext, aPacket, aTemplate, aPath) {
+    for (let key of Object.keys(aTemplate)) {
+      let value = aTemplate[key];
+      let path = joinPath(aPath, key);
+      if (!isObject(value)) {
+        continue;
+      }
+
+      let typeName;
+      if ("_arg" in value || "_option" in value) {
+        typeName = value.type;
+      } else if ("_retval" in value) {
+        typeName = value._retval;
+      } else {
+        if (isObject(aPacket[key])) {
+          this._checkTemplate(aContext, aPacket[key], value, path);
+        }
+        continue;
+      }
+
+      // Options are optional, and so are arguments left to their default.
+      let optional = "_option" in value || "_arg" in value;
+      if (aPacket[key] === undefined) {
+        if (!optional && !isOptionalType(typeName)) {
+          this._report(aContext, path, "missing field");
+        }
+        continue;
+      }
+      this._checkType(aContext, aPacket[key], typeName, path);
+    }
+  },
+
+  /**
+   * Check a value against a protocol type name, like
+   * "nullable:array:string".
+   */
+  _checkType: function(aContext, aValue, aTypeName, aPath) {
+    if (typeof aTypeName != "string" || ANY_TYPES.has(aTypeName)) {
+      return;
+    }
+
+    if (aTypeName.startsWith("nullable:")) {
+      if (aValue !== null && aValue !== undefined) {
+        let typeName = aTypeName.slice("nullable:".length);
+        this._checkType(aContext, aValue, typeName, aPath);
+      }
+      return;
+    }
+
+    if (aTypeName.startsWith("array:")) {
+      if (!Array.isArray(aValue)) {
+        this._report(aContext, aPath, "expected an array");
+        return;
+      }
+      let typeName = aTypeName.slice("array:".length);
+      aValue.forEach((aItem, i) => {
+        this._checkType(aContext, aItem, typeName, `${aPath}[${i}]`);
+      });
+      return;
+    }
+
+    if (aTypeName in PRIMITIVE_TYPES) {
+      if (typeof aValue != PRIMITIVE_TYPES[aTypeName]) {
+        this._report(aContext, aPath, `expected a ${aTypeName}`);
+      }
+      return;
+    }
+
+    // Detailed actor types, like "domnode#actorid", are actor IDs.
+    let [typeName, detail] = aTypeName.split("#");
+    let type = this._types[typeName];
+    if (!type) {
+      return;
+    }
+
+    if (type.category == "actor") {
+      this._checkActor(aContext, aValue, typeName, detail, aPath);
+    } else if (type.category == "dict") {
+      this._checkDict(aContext, aValue, type, aPath);
+    }
+  },
+
+  _checkActor: function(aContext, aValue, aTypeName, aDetail, aPath) {
+    if (typeof aValue == "string" && aDetail) {
+      this.registerActor(aValue, aTypeName);
+      return;
+    }
+    if (!isObject(aValue) || typeof aValue.actor != "string") {
+      this._report(aContext, aPath, `expected a ${aTypeName} actor form`);
+      return;
+    }
+    this.registerActor(aValue.actor, aTypeName);
+  },
+
+  _checkDict: function(aContext, aValue, aType, aPath) {
+    if (!isObject(aValue)) {
+      this._report(aContext, aPath, "expected an object");
+      return;
+    }
+    let properties = aType.specializations || {};
+    for (let key of Object.keys(properties)) {
+      if (aValue[key] !== undefined) {
+        this._checkType(
+          aContext,
+          aValue[key],
+          properties[key],
+          joinPath(aPath, key),
+        );
+      }
+    }
+  },
+
+  _report: function(aContext, aPath, aMessage) {
+    aContext.violations.push({
+      actor: aContext.actor,
+      type: aContext.type,
+      path: aPath,
+      message: aMessage,
+    });
+  },
+};
+
+/**
+ * Format a violation, to log the "packet-violation" events of DebuggerClient.
+ */
+PacketValidator.formatViolation = function({ actor, type, path, message }) {
+  let field = path ? `, ${path}: ` : ": ";
+  return `Invalid '${type}' packet of '${actor}'${field}${message}`;
+};
+
+function isObject(aValue) {
+  return !!aValue && typeof aValue == "object" && !Array.isArray(aValue);
+}
+
+function isResponseType(aMethod, aType) {
+  return !!aMethod && !!aMethod.response && aMethod.response.type === aType;
+}
+
+function isOptionalType(aTypeName) {
+  return (
+    typeof aTypeName != "string" ||
+    ANY_TYPES.has(aTypeName) ||
+    aTypeName.startsWith("nullable:")
+  );
+}
+
+function joinPath(aPath, aKey) {
+  return aPath ? `${aPath}.${aKey}` : aKey;
+}
+
+exports.PacketValidator = PacketValidator;
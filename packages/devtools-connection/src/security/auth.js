@@ -0,0 +1,126 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const promise = require("../utils/promise");
+
+/**
+ * The results a server can send back to an authentication attempt. They match
+ * the ones of the Firefox server, with PENDING asking the client to prove it
+ * knows the out of band secret.
+ */
+const AuthenticationResult = {
+  // The server doesn't accept connections anymore.
+  DISABLE_ALL: "DISABLE_ALL",
+  // The connection is refused.
+  DENY: "DENY",
+  // The server waits for the client to authenticate.
+  PENDING: "PENDING",
+  // The connection is allowed.
+  ALLOW: "ALLOW",
+  // The connection is allowed, and the server remembers the client.
+  ALLOW_PERSIST: "ALLOW_PERSIST",
+};
+
+/**
+ * Authenticators handle the handshake happening on a transport before the
+ * root actor greets the client. Each one has a |mode| and a |Client|
+ * constructor whose |authenticate| method takes the settings the socket was
+ * opened with, including the |transport|, and returns a promise resolved once
+ * the server allowed the connection. The transport's hooks belong to the
+ * authenticator until then.
+ */
+const Authenticators = {};
+
+/**
+ * The server prompts its user to allow the connection, there is nothing to do
+ * on the client side.
+ */
+Authenticators.Prompt = {
+  mode: "PROMPT",
+  isSecure: false,
+};
+
+Authenticators.Prompt.Client = function() {};
+Authenticators.Prompt.Client.prototype = {
+  mode: Authenticators.Prompt.mode,
+
+  authenticate() {
+    return promise.resolve();
+  },
+};
+
+/**
+ * The client proves it knows a token shared out of band, e.g. the one
+ * bin/firefox-proxy is started with:
+ *
+ *   server -> { authResult: "PENDING" }
+ *   client -> { authResult: "PENDING", token }
+ *   server -> { authResult: "ALLOW" } or { authResult: "DENY" }
+ *
+ * The token is sent as is, so the connection should be encrypted with TLS.
+ *
+ * @param token string
+ *        The token the server expects.
+ */
+Authenticators.Token = {
+  mode: "TOKEN",
+  isSecure: true,
+};
+
+Authenticators.Token.Client = function(token) {
+  this.token = token;
+};
+Authenticators.Token.Client.prototype = {
+  mode: Authenticators.Token.mode,
+
+  authenticate({ transport }) {
+    let deferred = promise.defer();
+
+    let fail = message => {
+      transport.hooks = null;
+      transport.close(new Error(message));
+      deferred.reject(new Error(message));
+    };
+
+    transport.hooks = {
+      onPacket: packet => {
+        switch (packet.authResult) {
+          case AuthenticationResult.PENDING:
+            transport.send({
+              authResult: AuthenticationResult.PENDING,
+              token: this.token,
+            });
+            break;
+          case AuthenticationResult.ALLOW:
+          case AuthenticationResult.ALLOW_PERSIST:
+            transport.hooks = null;
+            deferred.resolve();
+            break;
+          case AuthenticationResult.DENY:
+          case AuthenticationResult.DISABLE_ALL:
+            fail("The server refused the authentication token.");
+            break;
+          default:
+            // Servers not requiring authentication greet right away.
+            fail("The server didn't ask for authentication.");
+        }
+      },
+      onBulkPacket: () => {
+        fail("Received a bulk packet while authenticating.");
+      },
+      onClosed: reason => {
+        transport.hooks = null;
+        deferred.reject(
+          reason || new Error("The connection closed while authenticating."),
+        );
+      },
+    };
+    transport.ready();
+
+    return deferred.promise;
+  },
+};
+
+exports.Authenticators = Authenticators;
+exports.AuthenticationResult = AuthenticationResult;
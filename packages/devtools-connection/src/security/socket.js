@@ -0,0 +1,86 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const { DebuggerTransport } = require("../transport");
+const WebSocketDebuggerTransport = require("../transport/websocket");
+const { Authenticators } = require("./auth");
+
+const DebuggerSocket = {};
+
+/**
+ * Connect to a debugger server over a WebSocket, either the one of Firefox
+ * (see the devtools.debugger.remote-websocket pref) or bin/firefox-proxy, and
+ * go through the authentication handshake.
+ *
+ * @param settings object
+ *        - host: the host of the server.
+ *        - port: the port of the server.
+ *        - encryption: whether to connect with TLS, through a wss:// URL.
+ *        - webSocket: whether the server speaks the WebSocket framing of
+ *          WebSocketDebuggerTransport rather than the stream framing of
+ *          DebuggerTransport, which bin/firefox-proxy forwards to Firefox.
+ *        - authenticator: the client of one of the Authenticators, the
+ *          Prompt one by default.
+ *        - multiplexer: a DebuggerMultiplexer to start the connection on
+ *          rather than opening a new socket. The other settings but
+ *          |authenticator| are ignored.
+ * @return Promise
+ *         Resolved with the transport once the server allowed the
+ *         connection, ready to be handed to a DebuggerClient. Rejected if the
+ *         socket can't be opened or the authentication failed.
+ */
+DebuggerSocket.connect = function(settings) {
+  let {
+    host,
+    port,
+    encryption = false,
+    webSocket = false,
+    authenticator = new Authenticators.Prompt.Client(),
+    multiplexer,
+  } = settings;
+  let scheme = encryption ? "wss" : "ws";
+
+  let opening;
+  if (multiplexer) {
+    opening = Promise.resolve(multiplexer.createTransport());
+  } else {
+    opening = openTransport(`${scheme}://${host}:${port}`, socket => {
+      return webSocket
+        ? new WebSocketDebuggerTransport(socket)
+        : new DebuggerTransport(socket);
+    });
+  }
+
+  return opening.then(transport => {
+    return authenticator
+      .authenticate({ host, port, encryption, transport })
+      .then(() => {
+        transport.connectionSettings = settings;
+        return transport;
+      });
+  });
+};
+
+/**
+ * Open a WebSocket and create its transport as soon as it is open: the
+ * transports keep the packets received before they are ready, but the first
+ * packet can come with the "open" event, before a promise callback runs.
+ */
+function openTransport(url, createTransport) {
+  return new Promise((resolve, reject) => {
+    let socket = new WebSocket(url);
+    let onOpen = () => {
+      socket.removeEventListener("error", onError);
+      resolve(createTransport(socket));
+    };
+    let onError = () => {
+      socket.removeEventListener("open", onOpen);
+      reject(new Error(`Could not connect to ${url}.`));
+    };
+    socket.addEventListener("open", onOpen);
+    socket.addEventListener("error", onError);
+  });
+}
+
+exports.DebuggerSocket = DebuggerSocket;
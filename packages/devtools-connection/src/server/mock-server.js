@@ -0,0 +1,1252 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const DevToolsUtils = require("../utils/DevToolsUtils");
+const promise = require("../utils/promise");
+const { LocalDebuggerTransport } = require("../transport");
+
+const LONG_STRING_LENGTH = 10000;
+const LONG_STRING_INITIAL_LENGTH = 1000;
+const OBJECT_PREVIEW_MAX_ITEMS = 10;
+
+/**
+ * An in-memory debugger server, serving the root, tab and thread actors of the
+ * remote debugging protocol out of declarative fixtures. It lets clients be
+ * exercised without a browser, for instance in unit tests:
+ *
+ *   let server = new MockDebuggerServer({
+ *     tabs: [{
+ *       url: "http://example.com/",
+ *       title: "Example",
+ *       sources: [{ url: "http://example.com/app.js", text: "foo();" }],
+ *     }],
+ *   });
+ *   let client = new DebuggerClient(server.createTransport());
+ *   await client.connect();
+ *
+ * Fixtures:
+ * - applicationType: sent in the greeting, defaults to "browser".
+ * - traits: merged into the traits sent in the greeting.
+ * - longStringLength: strings longer than this are sent as long string grips.
+ * - tabs: the tabs listed by the root actor, each with a |url|, a |title|, an
+ *   optional |outerWindowID| and the |sources| loaded in it. A source has a
+ *   |url|, a |text| and optionally a |contentType| and a |sourceMapURL|.
+ *
+ * Pauses are scripted with |pause|, see there for the frame fixtures. The
+ * values found in frames (this, arguments, variables) are plain JavaScript
+ * values, the server creates the grips and the actors to inspect them.
+ *
+ * @param fixtures object
+ *        The content served by the server.
+ */
+function MockDebuggerServer(fixtures = {}) {
+  this.applicationType = fixtures.applicationType || "browser";
+  this.traits = Object.assign(
+    {
+      sources: true,
+      noNeedToFakeResumptionOnNavigation: true,
+    },
+    fixtures.traits,
+  );
+  this.longStringLength = fixtures.longStringLength || LONG_STRING_LENGTH;
+  this.tabs = (fixtures.tabs || []).map((tab, index) => ({
+    url: tab.url,
+    title: tab.title || "",
+    outerWindowID: tab.outerWindowID || index + 1,
+    sources: (tab.sources || []).slice(),
+  }));
+
+  this.connections = new Set();
+  this._handlers = new Map();
+  this._nextConnectionID = 0;
+}
+
+MockDebuggerServer.prototype = {
+  /**
+   * Open a new connection to the server.
+   *
+   * @return LocalDebuggerTransport
+   *         The client end of the connection, ready to be handed to a
+   *         DebuggerClient.
+   */
+  createTransport: function() {
+    let serverTransport = new LocalDebuggerTransport();
+    let clientTransport = new LocalDebuggerTransport(serverTransport);
+    serverTransport.other = clientTransport;
+
+    let connection = new MockConnection(
+      this,
+      serverTransport,
+      `conn${this._nextConnectionID++}.`,
+    );
+    this.connections.add(connection);
+
+    // Greet the client once it starts listening, rather than right away, so
+    // that the greeting can't get lost before |DebuggerClient.connect|.
+    clientTransport.ready = () => connection.greet();
+
+    return clientTransport;
+  },
+
+  /**
+   * Close all the connections, as if the server went away.
+   */
+  closeConnections: function() {
+    for (let connection of [...this.connections]) {
+      connection.close();
+    }
+  },
+
+  /**
+   * Override how the server answers a request.
+   *
+   * @param actor string
+   *        The kind of actor the handler applies to ("root", "tab", "thread",
+   *        "source", "frame", "environment", "object", "propertyIterator" or
+   *        "longString"), or an actor ID.
+   * @param type string
+   *        The request type.
+   * @param handler function
+   *        Called with the request packet and the actor. Returns the reply
+   *        (its |from| is filled in), or a promise for it.
+   */
+  setRequestHandler: function(actor, type, handler) {
+    this._handlers.set(`${actor}:${type}`, handler);
+  },
+
+  /**
+   * Remove a handler set by |setRequestHandler|.
+   */
+  removeRequestHandler: function(actor, type) {
+    this._handlers.delete(`${actor}:${type}`);
+  },
+
+  _getRequestHandler: function(actor, type) {
+    return (
+      this._handlers.get(`${actor.actorID}:${type}`) ||
+      this._handlers.get(`${actor.kind}:${type}`) ||
+      null
+    );
+  },
+
+  /**
+   * Pause the threads attached to a tab.
+   *
+   * @param tab number|string
+   *        The index or the URL of the tab.
+   * @param pause object
+   *        - why: the reason of the pause, defaults to
+   *          { type: "debuggerStatement" }.
+   *        - frames: the stack, youngest frame first. A frame has the |source|
+   *          URL, a |line| and |column|, the |callee| (function or name),
+   *          |this|, the |arguments| and the variables in |scope|. The scope
+   *          is either an object mapping variable names to values or a list
+   *          of { type, variables } environments, innermost first. The
+   *          arguments are bound in the innermost function environment, to
+   *          the |parameters| names of the frame, or of its callee function
+   *          by default.
+   */
+  pause: function(tab, pause = {}) {
+    let threads = this._threadsOf(tab).filter(thread => {
+      return thread.state == "running";
+    });
+    if (threads.length == 0) {
+      throw new Error(`No running thread attached to tab ${tab}`);
+    }
+    for (let thread of threads) {
+      thread.pause(pause.why || { type: "debuggerStatement" }, pause.frames);
+    }
+  },
+
+  /**
+   * Load a new source in a tab, the threads attached to the tab are notified.
+   *
+   * @param tab number|string
+   *        The index or the URL of the tab.
+   * @param source object
+   *        The source fixture.
+   */
+  addSource: function(tab, source) {
+    this._getTab(tab).sources.push(source);
+    for (let thread of this._threadsOf(tab)) {
+      thread.addSource(source);
+    }
+  },
+
+  _getTab: function(tab) {
+    let fixture = typeof tab == "number"
+      ? this.tabs[tab]
+      : this.tabs.find(t => t.url === tab);
+    if (!fixture) {
+      throw new Error(`No such tab: ${tab}`);
+    }
+    return fixture;
+  },
+
+  _threadsOf: function(tab) {
+    let fixture = this._getTab(tab);
+    let threads = [];
+    for (let connection of this.connections) {
+      let tabActor = connection.tabs.find(actor => actor.fixture === fixture);
+      if (tabActor && tabActor.thread && tabActor.thread.state != "detached") {
+        threads.push(tabActor.thread);
+      }
+    }
+    return threads;
+  },
+};
+
+/**
+ * One connection to the server, with its own set of actors.
+ */
+function MockConnection(server, transport, prefix) {
+  this.server = server;
+  this.transport = transport;
+  this.prefix = prefix;
+  this._actors = new Map();
+  this._nextActorID = 1;
+
+  transport.hooks = this;
+
+  this.pool = new ActorPool(this);
+  this.root = this.pool.add(new RootActor(this));
+  this.tabs = server.tabs.map(fixture => {
+    return this.pool.add(new TabActor(this, fixture));
+  });
+}
+
+MockConnection.prototype = {
+  greet: function() {
+    this.send({
+      from: this.root.actorID,
+      applicationType: this.server.applicationType,
+      traits: this.server.traits,
+    });
+  },
+
+  send: function(packet) {
+    if (this.transport) {
+      this.transport.send(packet);
+    }
+  },
+
+  close: function() {
+    if (this.transport) {
+      this.transport.close();
+    }
+  },
+
+  addActor: function(actor) {
+    if (!actor.actorID) {
+      actor.actorID = actor.kind == "root"
+        ? "root"
+        : `${this.prefix}${actor.kind}${this._nextActorID++}`;
+    }
+    this._actors.set(actor.actorID, actor);
+  },
+
+  removeActor: function(actor) {
+    this._actors.delete(actor.actorID);
+  },
+
+  // Transport hooks.
+
+  onPacket: function(packet) {
+    let actor = this._actors.get(packet.to);
+    if (!actor) {
+      this.send({
+        from: packet.to || "root",
+        error: "noSuchActor",
+        message: `No such actor for ID: ${packet.to}`,
+      });
+      return;
+    }
+
+    let handler =
+      this.server._getRequestHandler(actor, packet.type) ||
+      actor.requestTypes[packet.type];
+    if (!handler) {
+      this.send({
+        from: actor.actorID,
+        error: "unrecognizedPacketType",
+        message:
+          `Actor ${actor.actorID} does not recognize ` +
+          `the packet type ${packet.type}`,
+      });
+      return;
+    }
+
+    promise
+      .resolve()
+      .then(() => handler.call(actor, packet, actor))
+      .then(
+        reply => {
+          // Handlers that need to send more than their reply send it
+          // themselves.
+          if (reply) {
+            this.send(Object.assign({ from: actor.actorID }, reply));
+          }
+        },
+        error => {
+          DevToolsUtils.reportException("MockConnection.onPacket", error);
+          this.send({
+            from: actor.actorID,
+            error: "unknownError",
+            message: `${error}`,
+          });
+        },
+      );
+  },
+
+  onClosed: function() {
+    this.transport = null;
+    this.pool.destroy();
+    this.server.connections.delete(this);
+  },
+};
+
+/**
+ * A set of actors sharing the same lifetime, e.g. the pause-lifetime actors
+ * that go away once the thread resumes. The object actors are cached, so
+ * that the same object is always described by the same actor.
+ */
+function ActorPool(connection) {
+  this.connection = connection;
+  this._actors = new Set();
+  this._objects = new Map();
+}
+
+ActorPool.prototype = {
+  add: function(actor) {
+    actor.pool = this;
+    this._actors.add(actor);
+    this.connection.addActor(actor);
+    return actor;
+  },
+
+  objectActor: function(value) {
+    let actor = this._objects.get(value);
+    if (!actor) {
+      actor = this.add(new ObjectActor(this.connection, value));
+      this._objects.set(value, actor);
+    }
+    return actor;
+  },
+
+  destroy: function() {
+    for (let actor of this._actors) {
+      this.connection.removeActor(actor);
+    }
+    this._actors.clear();
+    this._objects.clear();
+  },
+};
+
+/**
+ * Create the grip for a value.
+ *
+ * @param value any
+ *        The value.
+ * @param pool ActorPool
+ *        The pool in which actors get created for the value, if needed.
+ * @param preview boolean
+ *        Whether object grips should have a preview, previews of previews are
+ *        left out.
+ */
+function createValueGrip(value, pool, preview = true) {
+  switch (typeof value) {
+    case "boolean":
+      return value;
+    case "number":
+      if (value === Infinity) {
+        return { type: "Infinity" };
+      } else if (value === -Infinity) {
+        return { type: "-Infinity" };
+      } else if (Number.isNaN(value)) {
+        return { type: "NaN" };
+      } else if (value === 0 && 1 / value < 0) {
+        return { type: "-0" };
+      }
+      return value;
+    case "string":
+      if (value.length > pool.connection.server.longStringLength) {
+        return pool.add(new LongStringActor(pool.connection, value)).grip();
+      }
+      return value;
+    case "undefined":
+      return { type: "undefined" };
+    case "symbol":
+      return { type: "symbol", name: value.toString().slice(7, -1) };
+    case "object":
+      if (value === null) {
+        return { type: "null" };
+      }
+      return pool.objectActor(value).grip(preview);
+    case "function":
+      return pool.objectActor(value).grip(preview);
+  }
+  throw new Error(`Can't create a grip for ${typeof value} values`);
+}
+
+/**
+ * The grip of the value for each own property of an object.
+ */
+function createPropertyDescriptor(object, name, pool) {
+  let descriptor = Object.getOwnPropertyDescriptor(object, name);
+  let grip = {
+    configurable: descriptor.configurable,
+    enumerable: descriptor.enumerable,
+  };
+  if ("value" in descriptor) {
+    grip.writable = descriptor.writable;
+    grip.value = createValueGrip(descriptor.value, pool);
+  } else {
+    grip.get = createValueGrip(descriptor.get, pool);
+    grip.set = createValueGrip(descriptor.set, pool);
+  }
+  return grip;
+}
+
+/**
+ * The value described by a grip sent by the client.
+ */
+function gripToValue(grip, connection) {
+  if (typeof grip != "object" || grip === null) {
+    return grip;
+  }
+  switch (grip.type) {
+    case "undefined":
+      return undefined;
+    case "null":
+      return null;
+    case "Infinity":
+      return Infinity;
+    case "-Infinity":
+      return -Infinity;
+    case "NaN":
+      return NaN;
+    case "-0":
+      return -0;
+  }
+  let actor = connection._actors.get(grip.actor);
+  if (!actor) {
+    throw new Error(`No such actor for ID: ${grip.actor}`);
+  }
+  return actor.kind == "longString" ? actor.string : actor.value;
+}
+
+function getObjectClass(value) {
+  if (typeof value == "function") {
+    return "Function";
+  }
+  if (Array.isArray(value)) {
+    return "Array";
+  }
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+function getParameterNames(fn) {
+  let match = /^[^(]*\(([^)]*)\)/.exec(fn.toString()) ||
+    /^\s*(?:async\s+)?([\w$]+)\s*=>/.exec(fn.toString());
+  if (!match) {
+    return [];
+  }
+  return match[1]
+    .split(",")
+    .map(name => name.replace(/=.*$/, "").trim())
+    .filter(name => name);
+}
+
+/**
+ * The root actor, listing the tabs.
+ */
+function RootActor(connection) {
+  this.connection = connection;
+}
+
+RootActor.prototype = {
+  kind: "root",
+
+  requestTypes: {
+    listTabs: function() {
+      return {
+        tabs: this.connection.tabs.map(tab => tab.form()),
+        selected: 0,
+      };
+    },
+
+    getTab: function(packet) {
+      let tab = this.connection.tabs.find(actor => {
+        return actor.fixture.outerWindowID === packet.outerWindowID;
+      }) || (packet.outerWindowID === undefined && this.connection.tabs[0]);
+      if (!tab) {
+        return { error: "noTab", message: "Unexpected tab" };
+      }
+      return { tab: tab.form() };
+    },
+
+    listAddons: () => ({ addons: [] }),
+    listWorkers: () => ({ workers: [] }),
+    listServiceWorkerRegistrations: () => ({ registrations: [] }),
+    listProcesses: () => ({ processes: [] }),
+    protocolDescription: () => ({ types: {} }),
+  },
+};
+
+/**
+ * A tab, created from a tab fixture.
+ */
+function TabActor(connection, fixture) {
+  this.connection = connection;
+  this.fixture = fixture;
+  this.thread = null;
+}
+
+TabActor.prototype = {
+  kind: "tab",
+
+  form: function() {
+    return {
+      actor: this.actorID,
+      url: this.fixture.url,
+      title: this.fixture.title,
+      outerWindowID: this.fixture.outerWindowID,
+    };
+  },
+
+  requestTypes: {
+    attach: function() {
+      if (!this.thread) {
+        this.thread = this.pool.add(new ThreadActor(this.connection, this));
+      }
+      return {
+        type: "tabAttached",
+        threadActor: this.thread.actorID,
+        cacheDisabled: false,
+        javascriptEnabled: true,
+        traits: {},
+      };
+    },
+
+    detach: function() {
+      if (this.thread) {
+        this.thread.detach();
+      }
+      return { type: "detached" };
+    },
+
+    focus: () => ({}),
+    reload: () => ({}),
+    navigateTo: () => ({}),
+    reconfigure: () => ({}),
+    listWorkers: () => ({ workers: [] }),
+  },
+};
+
+/**
+ * The thread of a tab. Its state is "detached", "running" or "paused".
+ */
+function ThreadActor(connection, tab) {
+  this.connection = connection;
+  this.tab = tab;
+  this.state = "detached";
+  this.options = {};
+  this.breakpoints = [];
+  this.sources = [];
+  this._threadPool = null;
+  this._pausePool = null;
+  this._frameFixtures = [];
+  this._frames = [];
+}
+
+ThreadActor.prototype = {
+  kind: "thread",
+
+  /**
+   * Pause the thread and notify the client.
+   */
+  pause: function(why, frames = []) {
+    this._pausePool = new ActorPool(this.connection);
+    this._frameFixtures = frames;
+    this._frames = frames.map((frame, depth) => {
+      return this._pausePool.add(new FrameActor(this, frame, depth));
+    });
+    this.state = "paused";
+
+    let packet = {
+      from: this.actorID,
+      type: "paused",
+      actor: `${this.actorID}-pause`,
+      why,
+    };
+    if (this._frames.length > 0) {
+      packet.frame = this._frames[0].form();
+    }
+    this.connection.send(packet);
+  },
+
+  /**
+   * Make a source known to the thread and notify the client.
+   */
+  addSource: function(fixture) {
+    let source = this._addSource(fixture);
+    if (this.state != "detached") {
+      this.connection.send({
+        from: this.actorID,
+        type: "newSource",
+        source: source.form(),
+      });
+    }
+  },
+
+  detach: function() {
+    this._resume();
+    if (this._threadPool) {
+      this._threadPool.destroy();
+      this._threadPool = null;
+    }
+    this.sources = [];
+    this.state = "detached";
+  },
+
+  _addSource: function(fixture) {
+    let source = this._threadPool.add(new SourceActor(this, fixture));
+    this.sources.push(source);
+    return source;
+  },
+
+  _getSource: function(url) {
+    let source = this.sources.find(s => s.fixture.url === url);
+    if (!source) {
+      throw new Error(`No source loaded for ${url}`);
+    }
+    return source;
+  },
+
+  _resume: function() {
+    if (this._pausePool) {
+      this._pausePool.destroy();
+      this._pausePool = null;
+    }
+    this._frames = [];
+    this.state = "running";
+  },
+
+  requestTypes: {
+    attach: function(packet) {
+      if (this.state != "detached") {
+        return { error: "wrongState", message: "Thread already attached" };
+      }
+      this.options = Object.assign({}, packet.options);
+      this._threadPool = new ActorPool(this.connection);
+      this.tab.fixture.sources.forEach(fixture => this._addSource(fixture));
+      this.state = "running";
+      this.pause({ type: "attached" });
+    },
+
+    detach: function() {
+      this.detach();
+      return { type: "detached" };
+    },
+
+    reconfigure: function(packet) {
+      Object.assign(this.options, packet.options);
+      return {};
+    },
+
+    resume: function(packet) {
+      if (this.state != "paused") {
+        return {
+          error: "wrongState",
+          message: `Can't resume when the thread is ${this.state}`,
+        };
+      }
+      let frames = this._frameFixtures;
+      this._resume();
+      this.connection.send({ from: this.actorID, type: "resumed" });
+
+      // Stepping pauses again straight away, at the same location.
+      if (packet.resumeLimit) {
+        this.pause({ type: "resumeLimit" }, frames);
+      }
+    },
+
+    interrupt: function(packet) {
+      if (packet.when == "onNext") {
+        return { type: "willInterrupt" };
+      }
+      if (this.state != "running") {
+        return {
+          error: "wrongState",
+          message: `Can't interrupt when the thread is ${this.state}`,
+        };
+      }
+      this.pause({ type: "interrupted" });
+    },
+
+    sources: function() {
+      return { sources: this.sources.map(source => source.form()) };
+    },
+
+    frames: function(packet) {
+      let start = packet.start || 0;
+      let end = packet.count ? start + packet.count : undefined;
+      return {
+        frames: this._frames.slice(start, end).map(frame => frame.form()),
+      };
+    },
+
+    setBreakpoint: function(packet) {
+      let { location, options } = packet;
+      this.breakpoints.push({ location, options });
+      return {};
+    },
+
+    removeBreakpoint: function(packet) {
+      let { location } = packet;
+      this.breakpoints = this.breakpoints.filter(breakpoint => {
+        return JSON.stringify(breakpoint.location) != JSON.stringify(location);
+      });
+      return {};
+    },
+
+    skipBreakpoints: packet => ({ skip: packet.skip }),
+    releaseMany: () => ({}),
+    threadGrips: () => ({}),
+    eventListeners: () => ({ listeners: [] }),
+    setXHRBreakpoint: () => ({ value: true }),
+    removeXHRBreakpoint: () => ({ value: true }),
+    getAvailableEventBreakpoints: () => ({ value: [] }),
+    getActiveEventBreakpoints: () => ({ ids: [] }),
+    setActiveEventBreakpoints: () => ({}),
+
+    prototypesAndProperties: function(packet) {
+      let actors = {};
+      for (let actorID of packet.actors) {
+        let actor = this.connection._actors.get(actorID);
+        if (actor && actor.kind == "object") {
+          actors[actorID] = actor.prototypeAndProperties();
+        }
+      }
+      return { actors };
+    },
+  },
+};
+
+/**
+ * A source, created from a source fixture.
+ */
+function SourceActor(thread, fixture) {
+  this.connection = thread.connection;
+  this.thread = thread;
+  this.fixture = fixture;
+  this.isBlackBoxed = false;
+  this.isPrettyPrinted = false;
+}
+
+SourceActor.prototype = {
+  kind: "source",
+
+  form: function() {
+    return {
+      actor: this.actorID,
+      url: this.fixture.url,
+      introductionType: null,
+      isBlackBoxed: this.isBlackBoxed,
+      isPrettyPrinted: this.isPrettyPrinted,
+      sourceMapURL: this.fixture.sourceMapURL || null,
+    };
+  },
+
+  get _lines() {
+    return (this.fixture.text || "").split(/\r\n|\r|\n/);
+  },
+
+  _sourceResponse: function() {
+    return {
+      source: createValueGrip(this.fixture.text || "", this.pool),
+      contentType: this.fixture.contentType || "text/javascript",
+    };
+  },
+
+  requestTypes: {
+    source: function() {
+      return this._sourceResponse();
+    },
+
+    prettyPrint: function() {
+      this.isPrettyPrinted = true;
+      return this._sourceResponse();
+    },
+
+    disablePrettyPrint: function() {
+      this.isPrettyPrinted = false;
+      return this._sourceResponse();
+    },
+
+    blackbox: function() {
+      this.isBlackBoxed = true;
+      return { pausedInSource: false };
+    },
+
+    unblackbox: function() {
+      this.isBlackBoxed = false;
+      return {};
+    },
+
+    getBreakableLines: function() {
+      let lines = [];
+      this._lines.forEach((text, index) => {
+        if (text.trim()) {
+          lines.push(index + 1);
+        }
+      });
+      return { lines };
+    },
+
+    getBreakpointPositions: function(packet) {
+      let { start, end } = packet.query || {};
+      let positions = this.requestTypes.getBreakableLines
+        .call(this)
+        .lines.filter(line => {
+          return (!start || line >= start.line) && (!end || line <= end.line);
+        })
+        .map(line => ({ line, column: 0 }));
+      return { positions };
+    },
+
+    getBreakpointPositionsCompressed: function(packet) {
+      let positions = {};
+      this.requestTypes.getBreakpointPositions
+        .call(this, packet)
+        .positions.forEach(({ line, column }) => {
+          positions[line] = [column];
+        });
+      return { positions };
+    },
+  },
+};
+
+/**
+ * A frame of a paused thread, created from a frame fixture.
+ */
+function FrameActor(thread, fixture, depth) {
+  this.connection = thread.connection;
+  this.thread = thread;
+  this.fixture = fixture;
+  this.depth = depth;
+  this._environment = null;
+}
+
+FrameActor.prototype = {
+  kind: "frame",
+
+  get environment() {
+    if (!this._environment) {
+      let scopes = Array.isArray(this.fixture.scope)
+        ? this.fixture.scope
+        : [{ type: "function", variables: this.fixture.scope || {} }];
+      let functionScope = scopes.find(scope => {
+        return (scope.type || "function") == "function";
+      });
+      // Create the environments from the outermost one, so that each one can
+      // refer to its parent.
+      this._environment = scopes.reduceRight((parent, scope) => {
+        let args = scope === functionScope ? this._argumentBindings() : [];
+        return this.pool.add(
+          new EnvironmentActor(this.connection, scope, parent, args),
+        );
+      }, null);
+    }
+    return this._environment;
+  },
+
+  /**
+   * The arguments of the frame as [name, value] pairs.
+   */
+  _argumentBindings: function() {
+    let { fixture } = this;
+    let names = fixture.parameters ||
+      (typeof fixture.callee == "function"
+        ? getParameterNames(fixture.callee)
+        : []);
+    return (fixture.arguments || []).map((value, index) => {
+      return [names[index] || `arg${index}`, value];
+    });
+  },
+
+  form: function() {
+    let { fixture, pool } = this;
+    let source = this.thread._getSource(fixture.source);
+    let callee = typeof fixture.callee == "function"
+      ? fixture.callee.name
+      : fixture.callee;
+
+    let form = {
+      actor: this.actorID,
+      depth: this.depth,
+      type: "call",
+      displayName: callee || "(anonymous)",
+      this: createValueGrip(fixture.this, pool),
+      arguments: (fixture.arguments || []).map(arg => {
+        return createValueGrip(arg, pool);
+      }),
+      where: {
+        actor: source.actorID,
+        line: fixture.line || 1,
+        column: fixture.column || 0,
+      },
+      environment: this.environment.form(),
+    };
+    if (typeof fixture.callee == "function") {
+      form.callee = createValueGrip(fixture.callee, pool);
+    }
+    return form;
+  },
+
+  requestTypes: {
+    getEnvironment: function() {
+      return this.environment.form();
+    },
+  },
+};
+
+/**
+ * A lexical environment, created from a scope fixture.
+ */
+function EnvironmentActor(connection, scope, parent, args = []) {
+  this.connection = connection;
+  this.scope = scope;
+  this.parent = parent;
+  this.args = args;
+}
+
+EnvironmentActor.prototype = {
+  kind: "environment",
+
+  form: function() {
+    let form = {
+      actor: this.actorID,
+      type: this.scope.type || "function",
+      bindings: this._bindings(),
+    };
+    if (this.parent) {
+      form.parent = this.parent.form();
+    }
+    return form;
+  },
+
+  _bindings: function() {
+    let variables = {};
+    for (let name of Object.keys(this.scope.variables || {})) {
+      variables[name] = {
+        value: createValueGrip(this.scope.variables[name], this.pool),
+        configurable: false,
+        enumerable: true,
+        writable: true,
+      };
+    }
+    let args = this.args.map(([name, value]) => ({
+      [name]: {
+        value: createValueGrip(value, this.pool),
+        configurable: false,
+        enumerable: true,
+        writable: true,
+      },
+    }));
+    return { arguments: args, variables };
+  },
+
+  requestTypes: {
+    bindings: function() {
+      return { bindings: this._bindings() };
+    },
+
+    assign: function(packet) {
+      if (!this.scope.variables || !(packet.name in this.scope.variables)) {
+        return {
+          error: "noSuchBinding",
+          message: `No binding named ${packet.name}`,
+        };
+      }
+      this.scope.variables[packet.name] = gripToValue(
+        packet.value,
+        this.connection,
+      );
+      return {};
+    },
+  },
+};
+
+/**
+ * An object, or a function.
+ */
+function ObjectActor(connection, value) {
+  this.connection = connection;
+  this.value = value;
+}
+
+ObjectActor.prototype = {
+  kind: "object",
+
+  grip: function(preview = true) {
+    let { value } = this;
+    let grip = {
+      type: "object",
+      actor: this.actorID,
+      class: getObjectClass(value),
+      extensible: Object.isExtensible(value),
+      frozen: Object.isFrozen(value),
+      sealed: Object.isSealed(value),
+      ownPropertyLength: Object.getOwnPropertyNames(value).length,
+    };
+
+    if (typeof value == "function") {
+      grip.name = value.name;
+      grip.displayName = value.name;
+      return grip;
+    }
+    if (preview) {
+      grip.preview = this._preview();
+    }
+    return grip;
+  },
+
+  _preview: function() {
+    let { value, pool } = this;
+    if (Array.isArray(value)) {
+      return {
+        kind: "ArrayLike",
+        length: value.length,
+        items: value
+          .slice(0, OBJECT_PREVIEW_MAX_ITEMS)
+          .map(item => createValueGrip(item, pool, false)),
+      };
+    }
+    if (value instanceof Map || value instanceof Set) {
+      return { kind: "MapLike", size: value.size };
+    }
+
+    let names = Object.keys(value);
+    let ownProperties = {};
+    for (let name of names.slice(0, OBJECT_PREVIEW_MAX_ITEMS)) {
+      let descriptor = Object.getOwnPropertyDescriptor(value, name);
+      ownProperties[name] = "value" in descriptor
+        ? { value: createValueGrip(descriptor.value, pool, false) }
+        : {};
+    }
+    return {
+      kind: "Object",
+      ownProperties,
+      ownPropertiesLength: names.length,
+    };
+  },
+
+  prototypeAndProperties: function() {
+    let names = Object.getOwnPropertyNames(this.value);
+    return {
+      prototype: this._prototype(),
+      ownProperties: this._ownProperties(names),
+      safeGetterValues: {},
+      ownSymbols: [],
+    };
+  },
+
+  _prototype: function() {
+    return createValueGrip(Object.getPrototypeOf(this.value), this.pool);
+  },
+
+  _ownProperties: function(names) {
+    let ownProperties = {};
+    for (let name of names) {
+      ownProperties[name] = createPropertyDescriptor(
+        this.value,
+        name,
+        this.pool,
+      );
+    }
+    return ownProperties;
+  },
+
+  _iterator: function(names, ownProperties) {
+    let iterator = this.pool.add(
+      new PropertyIteratorActor(this.connection, names, ownProperties),
+    );
+    return { iterator: iterator.grip() };
+  },
+
+  requestTypes: {
+    prototypeAndProperties: function() {
+      return this.prototypeAndProperties();
+    },
+
+    prototype: function() {
+      return { prototype: this._prototype() };
+    },
+
+    ownPropertyNames: function() {
+      return { ownPropertyNames: Object.getOwnPropertyNames(this.value) };
+    },
+
+    property: function(packet) {
+      if (!Object.prototype.hasOwnProperty.call(this.value, packet.name)) {
+        return { descriptor: undefined };
+      }
+      let { value, pool } = this;
+      return { descriptor: createPropertyDescriptor(value, packet.name, pool) };
+    },
+
+    propertyValue: function(packet) {
+      return {
+        value: { return: createValueGrip(this.value[packet.name], this.pool) },
+      };
+    },
+
+    enumProperties: function(packet) {
+      let options = packet.options || {};
+      let names = Object.getOwnPropertyNames(this.value);
+      let isIndex = name => {
+        return Array.isArray(this.value) && /^\d+$/.test(name);
+      };
+      if (options.ignoreIndexedProperties) {
+        names = names.filter(name => !isIndex(name));
+      }
+      if (options.ignoreNonIndexedProperties) {
+        names = names.filter(isIndex);
+      }
+      if (options.sort) {
+        names.sort();
+      }
+      return this._iterator(names, this._ownProperties(names));
+    },
+
+    enumEntries: function() {
+      let entries = [...this.value.entries()];
+      let isMap = this.value instanceof Map;
+      let names = entries.map((entry, index) => `${index}`);
+      let ownProperties = {};
+      entries.forEach(([key, value], index) => {
+        ownProperties[index] = {
+          enumerable: true,
+          value: isMap
+            ? {
+              type: "mapEntry",
+              preview: {
+                key: createValueGrip(key, this.pool),
+                value: createValueGrip(value, this.pool),
+              },
+            }
+            : createValueGrip(value, this.pool),
+        };
+      });
+      return this._iterator(names, ownProperties);
+    },
+
+    parameterNames: function() {
+      if (typeof this.value != "function") {
+        return {
+          error: "objectNotFunction",
+          message: "'parameterNames' request is only valid for object grips " +
+            "with a 'Function' class.",
+        };
+      }
+      return { parameterNames: getParameterNames(this.value) };
+    },
+
+    displayString: function() {
+      let displayString;
+      try {
+        displayString = String(this.value);
+      } catch (e) {
+        displayString = `[object ${getObjectClass(this.value)}]`;
+      }
+      return { displayString: createValueGrip(displayString, this.pool) };
+    },
+
+    release: () => ({}),
+    threadGrip: () => ({}),
+  },
+};
+
+/**
+ * Iterates over a set of property descriptors, slice by slice.
+ */
+function PropertyIteratorActor(connection, names, ownProperties) {
+  this.connection = connection;
+  this.names = names;
+  this.ownProperties = ownProperties;
+}
+
+PropertyIteratorActor.prototype = {
+  kind: "propertyIterator",
+
+  grip: function() {
+    return {
+      type: "propertyIterator",
+      actor: this.actorID,
+      count: this.names.length,
+    };
+  },
+
+  _slice: function(names) {
+    let ownProperties = {};
+    for (let name of names) {
+      ownProperties[name] = this.ownProperties[name];
+    }
+    return { ownProperties };
+  },
+
+  requestTypes: {
+    names: function(packet) {
+      return { names: packet.indexes.map(index => this.names[index]) };
+    },
+
+    slice: function(packet) {
+      let { start, count } = packet;
+      return this._slice(this.names.slice(start, start + count));
+    },
+
+    all: function() {
+      return this._slice(this.names);
+    },
+  },
+};
+
+/**
+ * A string too long to be sent at once.
+ */
+function LongStringActor(connection, string) {
+  this.connection = connection;
+  this.string = string;
+}
+
+LongStringActor.prototype = {
+  kind: "longString",
+
+  grip: function() {
+    return {
+      type: "longString",
+      actor: this.actorID,
+      length: this.string.length,
+      initial: this.string.substring(0, this._initialLength),
+    };
+  },
+
+  get _initialLength() {
+    return Math.min(
+      LONG_STRING_INITIAL_LENGTH,
+      this.connection.server.longStringLength,
+    );
+  },
+
+  requestTypes: {
+    substring: function(packet) {
+      return { substring: this.string.substring(packet.start, packet.end) };
+    },
+
+    release: () => ({}),
+  },
+};
+
+exports.MockDebuggerServer = MockDebuggerServer;
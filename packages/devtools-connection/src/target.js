@@ -5,6 +5,7 @@
 const promise = require("./utils/promise");
 const EventEmitter = require("./utils/event-emitter");
 const { DebuggerClient } = require("./debugger/client");
+const { ProtocolFronts } = require("./debugger/fronts");
 
 const targets = new WeakMap();
 const promiseTargets = new WeakMap();
@@ -236,6 +237,35 @@ TabTarget.prototype = {
     });
   },
 
+  /**
+   * Returns a promise for a front to the tab's actor of the given type, built
+   * from the protocol description, so that methods without a hand-written
+   * client can be called. The restrictions of `getActorDescription` apply.
+   * Must be a remote target.
+   *
+   * @param {String} actorName
+   * @return {Promise}
+   */
+  getFront: function(actorName) {
+    if (!this.client) {
+      throw new Error("TabTarget#getFront() can only be called on remote " +
+                      "tabs.");
+    }
+    if (!this.hasActor(actorName)) {
+      return promise.reject(
+        new Error(`The tab has no ${actorName} actor.`));
+    }
+    return this.getActorDescription(actorName).then(() => {
+      // The description is fetched again for actors it doesn't describe.
+      if (!this._protocolFronts ||
+          this._protocolFronts.description !== this._protocolDescription) {
+        this._protocolFronts = new ProtocolFronts(this._protocolDescription);
+      }
+      return this._protocolFronts.getFront(this.client, actorName,
+                                           this.form[actorName + "Actor"]);
+    });
+  },
+
   /**
    * Returns a trait from the root actor.
    *
@@ -0,0 +1,73 @@
+const {
+  Authenticators,
+  AuthenticationResult,
+} = require("../security/auth");
+
+// A transport whose server packets are delivered by |receive(packet)|.
+function createTransport() {
+  return {
+    hooks: null,
+    sent: [],
+    closed: null,
+    ready: jest.fn(),
+    send(packet) {
+      this.sent.push(packet);
+    },
+    close(reason) {
+      this.closed = reason;
+    },
+    receive(packet) {
+      this.hooks.onPacket(packet);
+    },
+  };
+}
+
+describe("Authenticators.Token.Client", () => {
+  let transport, authenticating;
+
+  beforeEach(() => {
+    transport = createTransport();
+    const authenticator = new Authenticators.Token.Client("secret");
+    authenticating = authenticator.authenticate({ transport });
+  });
+
+  it("sends the token once asked for it", async () => {
+    expect(transport.ready).toHaveBeenCalled();
+    transport.receive({ authResult: AuthenticationResult.PENDING });
+    expect(transport.sent).toEqual([
+      { authResult: AuthenticationResult.PENDING, token: "secret" },
+    ]);
+
+    transport.receive({ authResult: AuthenticationResult.ALLOW });
+    await authenticating;
+    // The client takes the transport over.
+    expect(transport.hooks).toBe(null);
+    expect(transport.closed).toBe(null);
+  });
+
+  it("fails when the token is refused", async () => {
+    transport.receive({ authResult: AuthenticationResult.PENDING });
+    transport.receive({ authResult: AuthenticationResult.DENY });
+    await expect(authenticating).rejects.toThrow("refused");
+    expect(transport.closed.message).toMatch("refused");
+  });
+
+  it("fails when the server greets without asking for a token", async () => {
+    transport.receive({ from: "root", applicationType: "browser" });
+    await expect(authenticating).rejects.toThrow("didn't ask");
+    expect(transport.sent).toEqual([]);
+  });
+
+  it("fails when the connection closes", async () => {
+    transport.hooks.onClosed();
+    await expect(authenticating).rejects.toThrow("closed while");
+  });
+});
+
+describe("Authenticators.Prompt.Client", () => {
+  it("leaves the handshake to the server", async () => {
+    const transport = createTransport();
+    await new Authenticators.Prompt.Client().authenticate({ transport });
+    expect(transport.ready).not.toHaveBeenCalled();
+  });
+});
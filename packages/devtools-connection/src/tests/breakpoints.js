@@ -0,0 +1,131 @@
+const { BreakpointManager } = require("../debugger/breakpoints");
+const {
+  attachThread,
+  createStorage,
+  flush,
+  setupMockServer,
+  waitForEvent,
+} = require("./helpers");
+
+const URL = "http://example.com/app.js";
+const LIB_URL = "http://example.com/lib.js";
+const FRAMES = [{ source: URL, line: 1, column: 4, callee: "add" }];
+
+describe("BreakpointManager", () => {
+  const context = setupMockServer();
+  let threadClient, storage, manager, locations;
+
+  beforeEach(async () => {
+    // Record the locations the breakpoints are set at.
+    locations = [];
+    context.server.setRequestHandler("thread", "setBreakpoint", packet => {
+      locations.push(packet.location);
+      return {};
+    });
+
+    ({ threadClient } = await attachThread(context.client));
+    storage = createStorage();
+    manager = new BreakpointManager(threadClient, { storage });
+  });
+
+  afterEach(() => manager.destroy());
+
+  async function reload() {
+    const newSource = waitForEvent(threadClient, "newSource");
+    context.server.addSource(0, { url: URL, text: "add(1, 2);" });
+    await newSource;
+    await flush();
+  }
+
+  it("sets the breakpoints again in the sources reported", async () => {
+    await manager.setBreakpoint({ sourceUrl: URL, line: 1 });
+    expect(locations).toEqual([{ sourceUrl: URL, line: 1 }]);
+
+    // The source loaded when attaching is new to the manager.
+    await threadClient.getSources();
+    await flush();
+    expect(locations.length).toBe(2);
+    await threadClient.getSources();
+    await flush();
+    expect(locations.length).toBe(2);
+
+    // The page was reloaded.
+    await threadClient.resume();
+    await reload();
+    expect(locations.length).toBe(3);
+
+    // Only the breakpoints of that source are set again.
+    await manager.setBreakpoint({ sourceUrl: LIB_URL, line: 2 });
+    await reload();
+    expect(locations.slice(3)).toEqual([
+      { sourceUrl: LIB_URL, line: 2 },
+      { sourceUrl: URL, line: 1 },
+    ]);
+  });
+
+  it("emits the errors setting the breakpoints again", async () => {
+    await manager.setBreakpoint({ sourceUrl: URL, line: 1 });
+    context.server.setRequestHandler("thread", "setBreakpoint", () => {
+      return { error: "noCodeAtLocation", message: "No code at 1" };
+    });
+
+    const failed = new Promise(resolve => {
+      manager.once("error", (name, error, breakpoint) => {
+        resolve({ error, breakpoint });
+      });
+    });
+    await threadClient.getSources();
+    const { error, breakpoint } = await failed;
+    expect(error.message).toBe("No code at 1");
+    expect(breakpoint.location).toEqual({ sourceUrl: URL, line: 1 });
+  });
+
+  it("persists the breakpoints", async () => {
+    const options = { condition: "a > 1", hitCount: 2 };
+    const location = { sourceUrl: URL, line: 1, column: 4 };
+    await manager.setBreakpoint(location, options);
+    await manager.setBreakpoint({ sourceUrl: URL, line: 3 });
+    await manager.removeBreakpoint({ sourceUrl: URL, line: 3 });
+
+    expect(storage.items).toEqual({
+      "devtools-connection.breakpoints": [{ location, options }],
+    });
+
+    locations = [];
+    const other = new BreakpointManager(threadClient, { storage });
+    await other.load();
+    other.destroy();
+    expect(other.getBreakpoints()).toEqual([{ location, options, hits: 0 }]);
+    // The breakpoints loaded are set on the thread.
+    expect(locations).toEqual([location]);
+  });
+
+  it("resumes until the breakpoints are hit enough", async () => {
+    const location = { sourceUrl: URL, line: 1, column: 4 };
+    await manager.setBreakpoint(location, { hitCount: 2 });
+    await threadClient.getSources();
+    await threadClient.resume();
+
+    const hits = [];
+    manager.on("hit", (name, breakpoint) => hits.push(breakpoint.hits));
+
+    const resumed = waitForEvent(threadClient, "resumed");
+    context.server.pause(0, { why: { type: "breakpoint" }, frames: FRAMES });
+    await resumed;
+    expect(hits).toEqual([1]);
+
+    const paused = waitForEvent(threadClient, "paused");
+    context.server.pause(0, { why: { type: "breakpoint" }, frames: FRAMES });
+    await paused;
+    await flush();
+    expect(hits).toEqual([1, 2]);
+    expect(threadClient.paused).toBe(true);
+    expect(manager.getBreakpoints()[0].hits).toBe(2);
+
+    // Other pauses aren't hits.
+    await threadClient.resume();
+    context.server.pause(0, { frames: FRAMES });
+    await flush();
+    expect(hits).toEqual([1, 2]);
+  });
+});
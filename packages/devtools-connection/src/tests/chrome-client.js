@@ -0,0 +1,156 @@
+const EventEmitter = require("events");
+const { ChromeThreadClient } = require("../chrome/client");
+
+const SCRIPT = "function add(a, b) {\n  let sum = a + b;\n  debugger;\n}\n";
+
+// A CDP connection to a target paused in |add(1, 2)|.
+function createConnection() {
+  const connection = new EventEmitter();
+  connection.calls = [];
+  let breakpoints = 0;
+  const methods = {
+    "Debugger.getScriptSource": () => ({ scriptSource: SCRIPT }),
+    "Debugger.setBreakpoint": () => ({ breakpointId: `bp${++breakpoints}` }),
+    "Debugger.setBreakpointByUrl": () => ({
+      breakpointId: `bp${++breakpoints}`,
+    }),
+    "Runtime.getProperties": ({ objectId }) => {
+      if (objectId != "local") {
+        return { result: [] };
+      }
+      return {
+        result: [
+          { name: "a", value: { type: "number", value: 1 } },
+          { name: "b", value: { type: "number", value: 2 } },
+          { name: "sum", value: { type: "number", value: 3 } },
+        ],
+      };
+    },
+    "Debugger.evaluateOnCallFrame": ({ expression }) => {
+      if (expression == "oops") {
+        return {
+          result: {},
+          exceptionDetails: { exception: { type: "string", value: "oops" } },
+        };
+      }
+      return { result: { type: "number", value: 3 } };
+    },
+  };
+  connection.send = (method, params) => {
+    connection.calls.push({ method, params });
+    const handler = methods[method];
+    return Promise.resolve(handler ? handler(params) : {});
+  };
+  return connection;
+}
+
+const CALL_FRAME = {
+  callFrameId: "frame0",
+  functionName: "add",
+  functionLocation: { scriptId: "1", lineNumber: 0, columnNumber: 12 },
+  location: { scriptId: "1", lineNumber: 2, columnNumber: 2 },
+  this: { type: "undefined" },
+  scopeChain: [
+    { type: "local", object: { type: "object", objectId: "local" } },
+    {
+      type: "global",
+      object: { type: "object", objectId: "global", className: "Window" },
+    },
+  ],
+};
+
+function waitForPause(thread) {
+  return new Promise(resolve => {
+    thread.addOneTimeListener("paused", (type, packet) => resolve(packet));
+  });
+}
+
+describe("ChromeThreadClient", () => {
+  let connection, thread;
+
+  beforeEach(async () => {
+    connection = createConnection();
+    thread = new ChromeThreadClient(connection);
+    await thread.attach();
+    connection.emit("Debugger.scriptParsed", {
+      scriptId: "1",
+      url: "http://example.com/app.js",
+    });
+  });
+
+  async function pause() {
+    const paused = waitForPause(thread);
+    connection.emit("Debugger.paused", {
+      reason: "other",
+      callFrames: [CALL_FRAME],
+    });
+    return paused;
+  }
+
+  it("fills the arguments of frames in from their local scope", async () => {
+    const packet = await pause();
+    expect(packet.frame.arguments).toEqual([1, 2]);
+
+    const { frames } = await thread.getFrames(0, 1);
+    expect(frames[0].arguments).toEqual([1, 2]);
+
+    const { bindings } = await thread
+      .environment(frames[0].environment)
+      .getBindings();
+    expect(bindings.arguments).toEqual([
+      { a: expect.objectContaining({ value: 1 }) },
+      { b: expect.objectContaining({ value: 2 }) },
+    ]);
+    expect(Object.keys(bindings.variables)).toEqual(["sum"]);
+  });
+
+  it("evaluates in a frame and pauses again", async () => {
+    const { frame } = await pause();
+
+    const resumed = new Promise(resolve => {
+      thread.addOneTimeListener("resumed", resolve);
+    });
+    const evaluated = waitForPause(thread);
+    const response = await thread.eval(frame.actor, "a + b");
+    expect(response.type).toBe("resumed");
+    await resumed;
+
+    const packet = await evaluated;
+    expect(packet.why).toEqual({
+      type: "clientEvaluated",
+      frameFinished: { return: 3 },
+    });
+    expect(packet.frame).toBe(frame);
+    expect(thread.paused).toBe(true);
+
+    const thrown = waitForPause(thread);
+    await thread.eval(frame.actor, "oops");
+    expect((await thrown).why.frameFinished).toEqual({ throw: "oops" });
+  });
+
+  it("removes by URL a breakpoint set by source ID", async () => {
+    await thread.setBreakpoint({ sourceId: "1", line: 3 });
+    await thread.removeBreakpoint({
+      sourceUrl: "http://example.com/app.js",
+      line: 3,
+    });
+
+    const removed = connection.calls.filter(call => {
+      return call.method == "Debugger.removeBreakpoint";
+    });
+    expect(removed.map(call => call.params)).toEqual([
+      { breakpointId: "bp1" },
+    ]);
+  });
+
+  it("ends the event streams once disconnected", async () => {
+    const pauses = thread.pauses();
+    const first = await pause();
+    connection.emit("disconnect");
+
+    // The pause before the disconnection is still yielded.
+    expect(await pauses.next()).toEqual({ value: first, done: false });
+    expect(await pauses.next()).toEqual({ value: undefined, done: true });
+    expect(thread.state).toBe("detached");
+  });
+});
@@ -0,0 +1,176 @@
+const { ReadableStream } = require("stream/web");
+const { TextEncoder, TextDecoder } = require("util");
+
+// The transport reads bulk data with the stream and encoding globals of
+// browsers.
+Object.assign(global, { ReadableStream, TextEncoder, TextDecoder });
+
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { TCPDebuggerTransport } = require("../transport/tcp");
+const { MockDebuggerServer } = require("../server/mock-server");
+const { TABS } = require("./helpers");
+
+const CLI = path.join(__dirname, "../../bin/devtools-connection");
+
+const FRAMES = [
+  {
+    source: "http://example.com/app.js",
+    line: 1,
+    column: 4,
+    callee: "add",
+    parameters: ["a", "b"],
+    arguments: [1, 2],
+  },
+  { source: "http://example.com/app.js", line: 1, callee: null },
+];
+
+// Serve |server| over TCP, each socket being a connection of the server.
+function listen(server) {
+  const tcpServer = net.createServer(socket => {
+    const tcpTransport = new TCPDebuggerTransport(socket);
+    const mockTransport = server.createTransport();
+    tcpTransport.hooks = {
+      onPacket: packet => mockTransport.send(packet),
+      onClosed: () => mockTransport.close(),
+    };
+    mockTransport.hooks = {
+      onPacket: packet => tcpTransport.send(packet),
+      onClosed: () => tcpTransport.close(),
+    };
+    tcpTransport.ready();
+    mockTransport.ready();
+  });
+  return new Promise(resolve => {
+    tcpServer.listen(0, "127.0.0.1", () => resolve(tcpServer));
+  });
+}
+
+// Run the CLI, |onLine| is called with each JSON line it prints. Resolved
+// with the lines and the exit code once it exits.
+function run(args, onLine = () => {}) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [CLI, ...args]);
+    const lines = [];
+    let output = "";
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", data => {
+      output += data;
+      let end;
+      while ((end = output.indexOf("\n")) != -1) {
+        const line = JSON.parse(output.slice(0, end));
+        output = output.slice(end + 1);
+        lines.push(line);
+        onLine(line);
+      }
+    });
+    child.on("close", code => resolve({ lines, code }));
+  });
+}
+
+describe("devtools-connection CLI", () => {
+  let server, tcpServer, args;
+
+  beforeEach(async () => {
+    server = new MockDebuggerServer({ tabs: TABS });
+    tcpServer = await listen(server);
+    args = ["--host", "127.0.0.1", "--port", `${tcpServer.address().port}`];
+  });
+
+  afterEach(() => {
+    server.closeConnections();
+    return new Promise(resolve => tcpServer.close(resolve));
+  });
+
+  it("lists the tabs", async () => {
+    const { lines, code } = await run([...args, "--list-tabs"]);
+
+    expect(code).toBe(0);
+    expect(lines).toEqual([
+      {
+        type: "tabs",
+        tabs: [
+          {
+            id: "conn0.tab1",
+            title: "Example",
+            url: "http://example.com/",
+            selected: true,
+          },
+        ],
+      },
+    ]);
+  });
+
+  it("prints the pauses at the breakpoints", async () => {
+    // Evaluating resumes the thread, which pauses again once done.
+    server.setRequestHandler("thread", "clientEvaluate", (packet, thread) => {
+      setTimeout(() => {
+        thread.pause(
+          { type: "clientEvaluated", frameFinished: { return: 3 } },
+          FRAMES,
+        );
+      }, 0);
+      return { type: "resumed" };
+    });
+
+    // Pause once the CLI resumed the thread paused by attaching.
+    const hitBreakpoint = () => {
+      try {
+        server.pause(0, { why: { type: "breakpoint" }, frames: FRAMES });
+      } catch (e) {
+        setTimeout(hitBreakpoint, 10);
+      }
+    };
+
+    const { lines, code } = await run(
+      [
+        ...args,
+        "--break",
+        "http://example.com/app.js:1:4",
+        "--eval",
+        "a + b",
+        "--pauses",
+        "1",
+      ],
+      line => {
+        if (line.type == "breakpoint") {
+          hitBreakpoint();
+        }
+      },
+    );
+
+    expect(code).toBe(0);
+    expect(lines.map(line => line.type)).toEqual([
+      "attached",
+      "breakpoint",
+      "paused",
+    ]);
+    expect(lines[1].location).toEqual({
+      sourceUrl: "http://example.com/app.js",
+      line: 1,
+      column: 4,
+    });
+
+    const url = "http://example.com/app.js";
+    expect(lines[2]).toEqual({
+      type: "paused",
+      why: { type: "breakpoint" },
+      location: { url, line: 1, column: 4 },
+      frames: [
+        { depth: 0, name: "add", url, line: 1, column: 4 },
+        { depth: 1, name: "(anonymous)", url, line: 1, column: 0 },
+      ],
+      evaluations: [{ expression: "a + b", return: 3 }],
+    });
+  });
+
+  it("prints the errors", async () => {
+    const { lines, code } = await run([...args, "--tab", "nowhere"]);
+
+    expect(code).toBe(1);
+    expect(lines).toEqual([
+      { type: "error", message: "No tab matching nowhere" },
+    ]);
+  });
+});
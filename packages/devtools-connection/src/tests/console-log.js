@@ -0,0 +1,102 @@
+const { ConsoleLogService } = require("../webconsole/console-log");
+const { createConsoleClient, createStorage, flush } = require("./helpers");
+
+const T = 1494424400000;
+
+function createConsoleAPICall(timeStamp, text = "hello") {
+  return {
+    level: "log",
+    arguments: [text],
+    filename: "http://example.com/app.js",
+    lineNumber: 1,
+    columnNumber: 1,
+    timeStamp,
+  };
+}
+
+function log(consoleClient, timeStamp, text) {
+  consoleClient.emit("consoleAPICall", {
+    message: createConsoleAPICall(timeStamp, text),
+  });
+}
+
+describe("ConsoleLogService", () => {
+  it("counts the repeats logged in the same millisecond", () => {
+    const consoleClient = createConsoleClient();
+    const service = new ConsoleLogService(consoleClient, { storage: null });
+    for (let i = 0; i < 5; i++) {
+      log(consoleClient, T);
+    }
+    log(consoleClient, T + 1);
+    log(consoleClient, T + 1);
+
+    const messages = service.getMessages();
+    expect(messages.length).toBe(1);
+    expect(messages[0].repeat).toBe(7);
+    expect(messages[0].lastTimeStamp).toBe(T + 1);
+  });
+
+  it("skips the cached messages already streamed", async () => {
+    const cached = [T, T, T, T + 1, T + 2].map(timeStamp => {
+      return Object.assign(
+        { _type: "ConsoleAPI" },
+        createConsoleAPICall(timeStamp),
+      );
+    });
+    const consoleClient = createConsoleClient({
+      getCachedMessages: () => Promise.resolve({ messages: cached }),
+    });
+    const service = new ConsoleLogService(consoleClient, { storage: null });
+    log(consoleClient, T);
+    log(consoleClient, T);
+    log(consoleClient, T + 1);
+
+    const messages = await service.start();
+    expect(messages.length).toBe(1);
+    expect(messages[0].repeat).toBe(5);
+    expect(messages[0].lastTimeStamp).toBe(T + 2);
+  });
+
+  it("persists the messages", async () => {
+    const storage = createStorage({
+      "devtools-connection.console": [
+        {
+          source: "console-api",
+          level: "log",
+          type: "log",
+          text: "before",
+          url: null,
+          line: 0,
+          column: 0,
+          timeStamp: T - 1,
+          repeat: 2,
+        },
+      ],
+    });
+    const consoleClient = createConsoleClient();
+    const service = new ConsoleLogService(consoleClient, { storage });
+    // Logged while the history is restored.
+    log(consoleClient, T, "after");
+
+    const messages = await service.start();
+    expect(messages.map(({ text, repeat }) => [text, repeat])).toEqual([
+      ["before", 2],
+      ["after", 1],
+    ]);
+
+    log(consoleClient, T + 1, "later");
+    await flush();
+    const saved = storage.items["devtools-connection.console"];
+    expect(saved.map(message => message.text)).toEqual([
+      "before",
+      "after",
+      "later",
+    ]);
+    // The grips of the arguments aren't valid in another session.
+    expect(saved[2].arguments).toBeUndefined();
+    expect(saved[2].id).toBeUndefined();
+
+    await service.clear();
+    expect(storage.items["devtools-connection.console"]).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+const { eventSource } = require("../debugger/client");
+const { eventStream } = require("../utils/event-stream");
+
+// Consume a stream until it ends, as a for await loop would.
+async function drain(stream) {
+  const values = [];
+  for (;;) {
+    const { value, done } = await stream.next();
+    if (done) {
+      return values;
+    }
+    values.push(value);
+  }
+}
+
+function createSource() {
+  const source = {};
+  eventSource(source);
+  return source;
+}
+
+describe("eventStream", () => {
+  let source, closer;
+
+  beforeEach(() => {
+    source = createSource();
+    closer = createSource();
+  });
+
+  it("buffers the events until they are consumed", async () => {
+    const stream = eventStream(source, ["paused", "resumed"]);
+    source.emit("paused", { n: 1 });
+    source.emit("resumed", { n: 2 });
+    source.emit("newSource", { n: 3 });
+
+    expect(await stream.next()).toEqual({ value: { n: 1 }, done: false });
+    expect(await stream.next()).toEqual({ value: { n: 2 }, done: false });
+
+    // Waits for the next event.
+    const next = stream.next();
+    source.emit("paused", { n: 4 });
+    expect(await next).toEqual({ value: { n: 4 }, done: false });
+  });
+
+  it("ends once the buffered events are consumed", async () => {
+    const stream = eventStream(source, ["paused"], [
+      { source: closer, name: "closed" },
+    ]);
+    source.emit("paused", { n: 1 });
+    closer.emit("closed");
+    source.emit("paused", { n: 2 });
+
+    expect(await drain(stream)).toEqual([{ n: 1 }]);
+  });
+
+  it("ends the consumers waiting for an event", async () => {
+    const stream = eventStream(source, ["paused"], [
+      { source: closer, name: "closed" },
+    ]);
+    const next = stream.next();
+    closer.emit("closed");
+    expect(await next).toEqual({ value: undefined, done: true });
+  });
+
+  it("removes its listeners when returned", async () => {
+    jest.spyOn(source, "removeListener");
+    jest.spyOn(closer, "removeListener");
+    const stream = eventStream(source, ["paused"], [
+      { source: closer, name: "closed" },
+    ]);
+    source.emit("paused", { n: 1 });
+    source.emit("paused", { n: 2 });
+
+    expect(await stream.next()).toEqual({ value: { n: 1 }, done: false });
+    // What breaking out of a for await loop does.
+    await stream.return();
+    expect(source.removeListener).toHaveBeenCalledWith(
+      "paused",
+      expect.any(Function),
+    );
+    expect(closer.removeListener).toHaveBeenCalledWith(
+      "closed",
+      expect.any(Function),
+    );
+
+    // The buffered events are dropped and the new ones aren't kept.
+    source.emit("paused", { n: 3 });
+    expect(await stream.next()).toEqual({ value: undefined, done: true });
+  });
+});
@@ -0,0 +1,152 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ProtocolFronts } = require("../debugger/fronts");
+const { setupMockServer } = require("./helpers");
+
+const DESCRIPTION = {
+  types: {
+    tab: {
+      category: "actor",
+      methods: [
+        {
+          name: "setZoom",
+          request: {
+            type: "setZoom",
+            zoom: { _arg: 0, type: "number" },
+            smooth: { _option: 1, type: "boolean" },
+          },
+          response: { zoom: { _retval: "number" } },
+        },
+        {
+          name: "ping",
+          request: { type: "ping", count: { _arg: 0 } },
+          oneway: true,
+        },
+        {
+          name: "detach",
+          request: { type: "detach" },
+          response: {},
+          release: true,
+        },
+      ],
+      events: { tabNavigated: {} },
+    },
+    zoomLevel: {
+      category: "dict",
+      specializations: { zoom: "number", "max-zoom": "nullable:number" },
+    },
+  },
+};
+
+const FLOW_TYPES = `// @flow
+// Generated from a protocol description by generate-flow-types.
+
+declare module "devtools-connection-fronts" {
+  declare type TabForm = { actor: string, [key: string]: any };
+
+  declare type TabFront = {
+    actor: string,
+    setZoom(zoom: number, options?: {smooth?: boolean}, onResponse?: Function): Promise<{ from: string, zoom: number }>,
+    ping(count: any, onResponse?: Function): Promise<void>,
+    detach(onResponse?: Function): Promise<{ from: string }>,
+  };
+
+  declare type ZoomLevel = {
+    zoom: number,
+    "max-zoom": ?number,
+  };
+}
+`;
+
+describe("ProtocolFronts", () => {
+  const context = setupMockServer();
+  let server, client, fronts, tabActor;
+
+  beforeEach(async () => {
+    ({ server, client } = context);
+    server.setRequestHandler("root", "protocolDescription", () => DESCRIPTION);
+    fronts = await ProtocolFronts.fetch(client);
+    const { tabs } = await client.listTabs();
+    tabActor = tabs[0].actor;
+  });
+
+  it("sends the arguments and options of the methods", async () => {
+    server.setRequestHandler("tab", "setZoom", packet => ({
+      zoom: packet.zoom,
+      smooth: packet.smooth,
+    }));
+    const front = fronts.getFront(client, "tab", tabActor);
+    const response = await front.setZoom(2, { smooth: true });
+    expect(response).toMatchObject({ zoom: 2, smooth: true });
+  });
+
+  it("sends the oneway packets through the client", async () => {
+    const received = new Promise(resolve => {
+      server.setRequestHandler("tab", "ping", packet => {
+        resolve(packet);
+        return new Promise(() => {});
+      });
+    });
+    const sent = [];
+    client.addListener("packet-sent", (type, packet) => sent.push(packet));
+
+    const front = fronts.getFront(client, "tab", tabActor);
+    await front.ping(3);
+    expect(await received).toMatchObject({ to: tabActor, count: 3 });
+    expect(sent).toEqual([{ to: tabActor, type: "ping", count: 3 }]);
+  });
+
+  it("registers the fronts with events until released", async () => {
+    const front = fronts.getFront(client, "tab", tabActor);
+    expect(client._clients.get(tabActor)).toBe(front);
+    expect(fronts.getFront(client, "tab", tabActor)).toBe(front);
+
+    await front.detach();
+    expect(client._clients.has(tabActor)).toBe(false);
+  });
+
+  it("generates the Flow types of the fronts", () => {
+    expect(fronts.generateFlowTypes()).toBe(FLOW_TYPES);
+  });
+});
+
+describe("generate-flow-types", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "generate-flow-types-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  function run(...args) {
+    const bin = path.join(__dirname, "..", "..", "bin", "generate-flow-types");
+    return execFileSync(process.execPath, [bin, ...args], {
+      cwd: dir,
+      encoding: "utf8",
+      stdio: "pipe",
+    });
+  }
+
+  it("writes the types of a saved protocol description", () => {
+    const input = path.join(dir, "description.json");
+    fs.writeFileSync(input, JSON.stringify(DESCRIPTION));
+
+    expect(run(input, "fronts.js")).toBe(
+      "Wrote the types of 1 fronts to fronts.js.\n",
+    );
+    expect(fs.readFileSync(path.join(dir, "fronts.js"), "utf8")).toBe(
+      FLOW_TYPES,
+    );
+  });
+
+  it("fails on a file that isn't a protocol description", () => {
+    const input = path.join(dir, "tabs.json");
+    fs.writeFileSync(input, JSON.stringify({ tabs: [] }));
+    expect(() => run(input)).toThrow("is not a protocol description");
+  });
+});
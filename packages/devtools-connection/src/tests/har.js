@@ -0,0 +1,289 @@
+const { HarArchive } = require("../webconsole/har");
+const { createConsoleClient } = require("./helpers");
+
+const STARTED = "2017-05-10T13:53:20.000Z";
+
+// A form posted with XHR, and a page still loading.
+const NETWORK_EVENTS = [
+  {
+    _type: "NetworkEvent",
+    actor: "netEvent2",
+    timeStamp: Date.parse(STARTED) + 100,
+    startedDateTime: "2017-05-10T13:53:20.100Z",
+    request: {
+      url: "http://example.com/login?next=%2Fhome",
+      method: "POST",
+      bodySize: 19,
+    },
+    response: {
+      httpVersion: "HTTP/1.1",
+      status: "302",
+      statusText: "Found",
+      headersSize: 120,
+      transferredSize: 150,
+      bodySize: 12,
+      content: { mimeType: "text/html" },
+      remoteAddress: "93.184.216.34",
+      remotePort: 80,
+    },
+    isXHR: true,
+    cause: { type: "xhr" },
+    totalTime: 42,
+    updates: [
+      "requestHeaders",
+      "requestCookies",
+      "requestPostData",
+      "responseStart",
+      "responseHeaders",
+      "responseCookies",
+      "responseContent",
+      "eventTimings",
+    ],
+  },
+  {
+    _type: "NetworkEvent",
+    actor: "netEvent1",
+    timeStamp: Date.parse(STARTED),
+    startedDateTime: STARTED,
+    request: { url: "http://example.com/", method: "GET" },
+    response: {},
+    updates: ["requestHeaders"],
+  },
+];
+
+const DETAILS = {
+  netEvent1: {
+    requestHeaders: {
+      headers: [{ name: "Accept", value: "text/html" }],
+      headersSize: 30,
+    },
+  },
+  netEvent2: {
+    requestHeaders: {
+      headers: [
+        { name: "Content-Type", value: "application/x-www-form-urlencoded" },
+      ],
+      headersSize: 60,
+    },
+    requestCookies: { cookies: [{ name: "session", value: "1" }] },
+    requestPostData: {
+      postData: { text: "user=ada&pass=a+b%21" },
+      postDataDiscarded: false,
+    },
+    responseHeaders: {
+      headers: [{ name: "Location", value: "/home" }],
+    },
+    responseCookies: { cookies: [{ name: "session", value: "2" }] },
+    responseContent: {
+      content: { mimeType: "text/html", text: "<p>Moved</p>" },
+      contentDiscarded: false,
+    },
+    eventTimings: {
+      timings: {
+        blocked: 1,
+        dns: 2,
+        connect: 3,
+        send: 4,
+        wait: 30,
+        receive: 2,
+      },
+      totalTime: 42,
+    },
+  },
+};
+
+describe("HarArchive", () => {
+  let consoleClient, detailsRequested;
+
+  beforeEach(() => {
+    detailsRequested = [];
+    consoleClient = createConsoleClient({
+      getNetworkEvents: () => NETWORK_EVENTS.values(),
+      getNetworkEventDetails(actor, options) {
+        detailsRequested.push([actor, options]);
+        const details = Object.assign({}, DETAILS[actor]);
+        if (options.includeResponseContent === false) {
+          delete details.responseContent;
+        }
+        return Promise.resolve(details);
+      },
+    });
+  });
+
+  it("exports the requests with the fields HAR 1.2 requires", async () => {
+    const har = await HarArchive.fromConsole(consoleClient, {
+      creator: { name: "test", version: "1.0" },
+    });
+    const { log } = har;
+
+    expect(log.version).toBe("1.2");
+    expect(log.creator).toEqual({ name: "test", version: "1.0" });
+    expect(log.pages).toEqual([
+      {
+        startedDateTime: STARTED,
+        id: "page_1",
+        title: "http://example.com/",
+        pageTimings: { onContentLoad: -1, onLoad: -1 },
+      },
+    ]);
+
+    // Sorted by start time.
+    const [page, form] = log.entries;
+    expect(page.request.url).toBe("http://example.com/");
+    for (const entry of log.entries) {
+      expect(Object.keys(entry)).toEqual(
+        expect.arrayContaining([
+          "pageref",
+          "startedDateTime",
+          "time",
+          "request",
+          "response",
+          "cache",
+          "timings",
+        ]),
+      );
+      expect(Object.keys(entry.request)).toEqual(
+        expect.arrayContaining([
+          "method",
+          "url",
+          "httpVersion",
+          "cookies",
+          "headers",
+          "queryString",
+          "headersSize",
+          "bodySize",
+        ]),
+      );
+      expect(Object.keys(entry.response)).toEqual(
+        expect.arrayContaining([
+          "status",
+          "statusText",
+          "httpVersion",
+          "cookies",
+          "headers",
+          "content",
+          "redirectURL",
+          "headersSize",
+          "bodySize",
+        ]),
+      );
+      expect(typeof entry.response.content.size).toBe("number");
+      expect(typeof entry.response.content.mimeType).toBe("string");
+      for (const timing of ["send", "wait", "receive"]) {
+        expect(entry.timings[timing]).toBeGreaterThanOrEqual(0);
+      }
+    }
+
+    // The unknown values of the request in flight.
+    expect(page.response.status).toBe(0);
+    expect(page.request.bodySize).toBe(-1);
+    expect(page.response.bodySize).toBe(-1);
+    expect(page.timings.dns).toBe(-1);
+
+    expect(form).toEqual(
+      expect.objectContaining({
+        startedDateTime: "2017-05-10T13:53:20.100Z",
+        time: 42,
+        serverIPAddress: "93.184.216.34",
+        connection: "80",
+        _isXHR: true,
+        _cause: { type: "xhr" },
+      }),
+    );
+    expect(form.request.queryString).toEqual([
+      { name: "next", value: "/home" },
+    ]);
+    expect(form.request.postData).toEqual({
+      mimeType: "application/x-www-form-urlencoded",
+      text: "user=ada&pass=a+b%21",
+      params: [
+        { name: "user", value: "ada" },
+        { name: "pass", value: "a b!" },
+      ],
+    });
+    expect(form.response).toEqual(
+      expect.objectContaining({
+        status: 302,
+        redirectURL: "/home",
+        headersSize: 120,
+        bodySize: 30,
+        content: { size: 12, mimeType: "text/html", text: "<p>Moved</p>" },
+      }),
+    );
+    expect(form.timings).toEqual({
+      blocked: 1,
+      dns: 2,
+      connect: 3,
+      ssl: -1,
+      send: 4,
+      wait: 30,
+      receive: 2,
+    });
+  });
+
+  it("reads the requests back from the document", async () => {
+    const har = await HarArchive.fromConsole(consoleClient);
+    // Saved to a file and loaded again.
+    const events = HarArchive.toNetworkEvents(JSON.parse(JSON.stringify(har)));
+
+    expect(events.map(event => event.actor)).toEqual(["har-0", "har-1"]);
+    const form = events[1];
+    expect(form.timeStamp).toBe(NETWORK_EVENTS[0].timeStamp);
+    expect(form.request).toEqual({
+      url: "http://example.com/login?next=%2Fhome",
+      method: "POST",
+      headersSize: 60,
+      bodySize: 19,
+      headers: DETAILS.netEvent2.requestHeaders.headers,
+      cookies: DETAILS.netEvent2.requestCookies.cookies,
+      postData: { text: "user=ada&pass=a+b%21" },
+    });
+    expect(form.response).toEqual(
+      expect.objectContaining({
+        httpVersion: "HTTP/1.1",
+        status: "302",
+        statusText: "Found",
+        remoteAddress: "93.184.216.34",
+        remotePort: 80,
+        headers: DETAILS.netEvent2.responseHeaders.headers,
+        cookies: DETAILS.netEvent2.responseCookies.cookies,
+      }),
+    );
+    expect(form.response.content).toEqual({
+      mimeType: "text/html",
+      size: 12,
+      text: "<p>Moved</p>",
+    });
+    expect(form.isXHR).toBe(true);
+    expect(form.cause).toEqual({ type: "xhr" });
+    expect(form.totalTime).toBe(42);
+    expect(form.discardRequestBody).toBe(false);
+    expect(form.discardResponseBody).toBe(false);
+    expect(form.updates).toEqual(NETWORK_EVENTS[0].updates);
+
+    // Nothing came for the request in flight but its headers.
+    expect(events[0].updates).toEqual([
+      "requestHeaders",
+      "requestCookies",
+      "eventTimings",
+    ]);
+    expect(events[0].discardResponseBody).toBe(true);
+  });
+
+  it("leaves the response bodies out on demand", async () => {
+    const har = await HarArchive.fromConsole(consoleClient, {
+      includeResponseBodies: false,
+    });
+    expect(har.log.entries[1].response.content.text).toBeUndefined();
+    expect(detailsRequested.map(([, options]) => options)).toEqual([
+      { includeResponseContent: false },
+      { includeResponseContent: false },
+    ]);
+  });
+
+  it("only reads HAR documents", () => {
+    expect(() => HarArchive.toNetworkEvents({ log: {} })).toThrow(
+      "Not a HAR document",
+    );
+  });
+});
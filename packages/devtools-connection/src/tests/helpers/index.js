@@ -0,0 +1,126 @@
+const { DebuggerClient } = require("../../debugger/client");
+const { MockDebuggerServer } = require("../../server/mock-server");
+const EventEmitter = require("../../utils/event-emitter");
+
+const TABS = [
+  {
+    url: "http://example.com/",
+    title: "Example",
+    sources: [{ url: "http://example.com/app.js", text: "add(1, 2);" }],
+  },
+];
+
+/**
+ * Start a MockDebuggerServer and a DebuggerClient connected to it before each
+ * test of the enclosing describe block, and close the client after the test.
+ *
+ * @param options object
+ *        - server: the fixtures of the server, one tab with one source by
+ *          default.
+ *        - client: the options of the client, or a function returning them
+ *          from the server.
+ *        - connect: whether the client connects before the test, true by
+ *          default.
+ * @return object
+ *         The |server| and |client| of the test running.
+ */
+function setupMockServer(options = {}) {
+  const context = {};
+
+  beforeEach(async () => {
+    const server = new MockDebuggerServer(options.server || { tabs: TABS });
+    let clientOptions = options.client;
+    if (typeof clientOptions == "function") {
+      clientOptions = clientOptions(server);
+    }
+    const client = new DebuggerClient(server.createTransport(), clientOptions);
+    Object.assign(context, { server, client });
+    if (options.connect !== false) {
+      await client.connect();
+    }
+  });
+
+  afterEach(() => new Promise(resolve => context.client.close(resolve)));
+
+  return context;
+}
+
+/**
+ * Attach to a tab and its thread.
+ *
+ * @return object
+ *         The |tabActor| and the |threadClient|.
+ */
+async function attachThread(client, index = 0) {
+  const { tabs } = await client.listTabs();
+  const tabActor = tabs[index].actor;
+  const [tabResponse] = await client.attachTab(tabActor);
+  const [, threadClient] = await client.attachThread(tabResponse.threadActor);
+  return { tabActor, threadClient };
+}
+
+/**
+ * Resolve with the packet of the next |name| event of an eventSource object,
+ * like a DebuggerClient or a ThreadClient.
+ */
+function waitForEvent(source, name) {
+  return new Promise(resolve => {
+    source.addOneTimeListener(name, (type, packet) => resolve(packet));
+  });
+}
+
+/**
+ * Resolve once the callbacks of the promises settled, and the timers due,
+ * ran.
+ */
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * An in-memory storage with the methods of the asyncStorage of
+ * devtools-modules, whose |items| can be checked.
+ */
+function createStorage(items = {}) {
+  return {
+    items,
+    getItem(key) {
+      return Promise.resolve(key in items ? items[key] : null);
+    },
+    setItem(key, value) {
+      items[key] = value;
+      return Promise.resolve();
+    },
+    removeItem(key) {
+      delete items[key];
+      return Promise.resolve();
+    },
+  };
+}
+
+/**
+ * A WebConsoleClient without any server: the tests emit its packets, e.g.
+ * "consoleAPICall", and |methods| replace its requests, like
+ * |getCachedMessages| which resolves without any message by default.
+ */
+function createConsoleClient(methods = {}) {
+  const consoleClient = Object.assign(
+    {
+      getCachedMessages: () => Promise.resolve({ messages: [] }),
+      clearMessagesCache() {},
+    },
+    methods,
+  );
+  EventEmitter.decorate(consoleClient);
+  return consoleClient;
+}
+
+module.exports = {
+  TABS,
+  setupMockServer,
+  attachThread,
+  waitForEvent,
+  flush,
+  createStorage,
+  createConsoleClient,
+};
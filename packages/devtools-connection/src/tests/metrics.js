@@ -0,0 +1,50 @@
+const { getActorKind } = require("../debugger/metrics");
+const { setupMockServer } = require("./helpers");
+
+describe("getActorKind", () => {
+  it("drops the connection prefix and the number of actors", () => {
+    expect(getActorKind("server1.conn0.child1/obj23")).toBe("obj");
+    expect(getActorKind("server1.conn0.tab1")).toBe("tab");
+    expect(getActorKind("root")).toBe("root");
+    expect(getActorKind("42")).toBe("42");
+  });
+});
+
+describe("DebuggerClient metrics", () => {
+  let histograms;
+  const context = setupMockServer({
+    server: {
+      tabs: [
+        { url: "http://example.com/", title: "Example" },
+        { url: "http://example.org/", title: "Other" },
+      ],
+    },
+    client: () => {
+      histograms = {};
+      const telemetry = {
+        getKeyedHistogramById: id => ({
+          add: (key, value) => {
+            histograms[id] = histograms[id] || {};
+            histograms[id][key] = (histograms[id][key] || []).concat(value);
+          },
+        }),
+      };
+      return { telemetry };
+    },
+  });
+
+  it("groups the round trip times by kind of actor", async () => {
+    const { client } = context;
+    const { tabs } = await client.listTabs();
+    for (const tab of tabs) {
+      await client.request({ to: tab.actor, type: "focus" });
+    }
+
+    const { actors } = client.getMetrics();
+    const kind = getActorKind(tabs[0].actor);
+    expect(Object.keys(actors).sort()).toEqual([kind, "root"].sort());
+    expect(actors[kind].count).toBe(2);
+    expect(Object.keys(histograms.DEVTOOLS_DEBUGGER_RDP_ACTOR_MS).sort())
+      .toEqual([kind, "root"].sort());
+  });
+});
@@ -0,0 +1,90 @@
+const { TABS, attachThread, setupMockServer, waitForEvent } = require(
+  "./helpers",
+);
+
+describe("MockDebuggerServer", () => {
+  const context = setupMockServer({
+    server: {
+      tabs: TABS.concat({ url: "http://example.org/", title: "Other" }),
+    },
+    connect: false,
+  });
+  let server, client;
+
+  beforeEach(() => {
+    ({ server, client } = context);
+  });
+
+  it("connects", async () => {
+    const [applicationType, traits] = await client.connect();
+    expect(applicationType).toBe("browser");
+    expect(traits.sources).toBe(true);
+  });
+
+  it("lists tabs", async () => {
+    await client.connect();
+    const { tabs, selected } = await client.listTabs();
+    expect(selected).toBe(0);
+    expect(tabs.map(tab => tab.url)).toEqual([
+      "http://example.com/",
+      "http://example.org/",
+    ]);
+    expect(tabs[1].title).toBe("Other");
+  });
+
+  it("attaches to a tab and its thread", async () => {
+    await client.connect();
+    const { threadClient } = await attachThread(client);
+    expect(threadClient.state).toBe("paused");
+
+    await threadClient.resume();
+    expect(threadClient.state).toBe("attached");
+  });
+
+  it("pauses", async () => {
+    await client.connect();
+    const { threadClient } = await attachThread(client);
+    await threadClient.resume();
+
+    const paused = waitForEvent(threadClient, "paused");
+    server.pause(0, {
+      frames: [{ source: "http://example.com/app.js", line: 1 }],
+    });
+    const packet = await paused;
+
+    expect(packet.why).toEqual({ type: "debuggerStatement" });
+    expect(packet.frame.where.line).toBe(1);
+    expect(threadClient.paused).toBe(true);
+  });
+
+  it("gets frames with their arguments", async () => {
+    await client.connect();
+    const { threadClient } = await attachThread(client);
+    await threadClient.resume();
+
+    const paused = waitForEvent(threadClient, "paused");
+    server.pause(0, {
+      frames: [
+        {
+          source: "http://example.com/app.js",
+          callee: function add(a, b) {},
+          arguments: [1, 2],
+          scope: { sum: 3 },
+        },
+        { source: "http://example.com/app.js", callee: "main" },
+      ],
+    });
+    await paused;
+
+    const { frames } = await threadClient.getFrames(0, 2);
+    expect(frames.map(frame => frame.displayName)).toEqual(["add", "main"]);
+    expect(frames[0].arguments).toEqual([1, 2]);
+
+    const { bindings } = frames[0].environment;
+    expect(bindings.arguments).toEqual([
+      { a: expect.objectContaining({ value: 1 }) },
+      { b: expect.objectContaining({ value: 2 }) },
+    ]);
+    expect(bindings.variables.sum.value).toBe(3);
+  });
+});
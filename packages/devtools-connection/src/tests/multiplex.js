@@ -0,0 +1,213 @@
+const { DebuggerClient } = require("../debugger/client");
+const { DebuggerSocket } = require("../security/socket");
+const { Authenticators } = require("../security/auth");
+const { DebuggerMultiplexer } = require("../transport/multiplex");
+const { MockDebuggerServer } = require("../server/mock-server");
+const { TABS } = require("./helpers");
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// A WebSocket to a /multiplex endpoint of bin/firefox-proxy, which connects
+// each channel to its own connection of |server|, after checking |token| if
+// there is one. The socket opens with |open()|.
+function createSocket(server, token) {
+  const listeners = { open: [], message: [], close: [] };
+  const channels = new Map();
+
+  const socket = {
+    CONNECTING,
+    OPEN,
+    readyState: CONNECTING,
+    // The names of the messages sent by the client, in order.
+    sent: [],
+    addEventListener(type, listener) {
+      listeners[type].push(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners[type] = listeners[type].filter(l => l !== listener);
+    },
+    dispatch(event) {
+      listeners[event.type].forEach(listener => listener(event));
+    },
+    open() {
+      this.readyState = OPEN;
+      this.dispatch({ type: "open" });
+    },
+    close() {
+      this.readyState = CLOSED;
+      this.dispatch({ type: "close" });
+    },
+    send(data) {
+      const { name, data: packet } = JSON.parse(data);
+      this.sent.push(name);
+      // Answer after a round trip.
+      Promise.resolve().then(() => serve(name, packet));
+    },
+    receive(name, data) {
+      this.dispatch({ type: "message", data: JSON.stringify({ name, data }) });
+    },
+    channels,
+  };
+
+  function connect(prefix, channel) {
+    channel.transport = server.createTransport();
+    channel.transport.hooks = {
+      onPacket: packet => socket.receive(`debug:${prefix}:packet`, packet),
+      onClosed: () => {},
+    };
+    channel.transport.ready();
+  }
+
+  function serve(name, packet) {
+    const [, prefix, type] = /^debug:(.+):(\w+)$/.exec(name);
+    const channel = channels.get(prefix);
+    if (!channel && type != "open") {
+      // The proxy forgets the channels it closed.
+      return;
+    }
+    if (type == "open") {
+      const opened = { transport: null, authenticated: !token };
+      channels.set(prefix, opened);
+      if (token) {
+        socket.receive(name.replace("open", "packet"), {
+          authResult: "PENDING",
+        });
+      } else {
+        connect(prefix, opened);
+      }
+    } else if (type == "close") {
+      channels.delete(prefix);
+      channel.transport.close();
+    } else if (!channel.authenticated) {
+      if (packet.token != token) {
+        channels.delete(prefix);
+        socket.receive(name, { authResult: "DENY" });
+        socket.receive(`debug:${prefix}:close`);
+        return;
+      }
+      channel.authenticated = true;
+      socket.receive(name, { authResult: "ALLOW" });
+      connect(prefix, channel);
+    } else {
+      channel.transport.send(packet);
+    }
+  }
+
+  return socket;
+}
+
+function closeClient(client) {
+  return new Promise(resolve => client.close(resolve));
+}
+
+describe("DebuggerMultiplexer", () => {
+  let server;
+
+  beforeEach(() => {
+    server = new MockDebuggerServer({ tabs: TABS });
+  });
+
+  it("routes the packets of each client to its own connection", async () => {
+    const socket = createSocket(server);
+    const multiplexer = new DebuggerMultiplexer(socket);
+    const first = new DebuggerClient(multiplexer.createTransport());
+    const second = new DebuggerClient(multiplexer.createTransport());
+
+    const connecting = Promise.all([first.connect(), second.connect()]);
+    // The connections wait for the socket to open.
+    expect(socket.sent).toEqual([]);
+    socket.open();
+    await connecting;
+    expect(socket.sent.slice(0, 2)).toEqual([
+      "debug:conn0:open",
+      "debug:conn1:open",
+    ]);
+    expect(multiplexer.connectionCount).toBe(2);
+
+    const [firstTabs, secondTabs] = await Promise.all([
+      first.listTabs(),
+      second.listTabs(),
+    ]);
+    // The server names the actors after its connections.
+    expect(firstTabs.tabs[0].actor).toMatch(/^conn0\./);
+    expect(secondTabs.tabs[0].actor).toMatch(/^conn1\./);
+    expect(server.connections.size).toBe(2);
+
+    await closeClient(first);
+    await closeClient(second);
+  });
+
+  it("authenticates each connection with its own token", async () => {
+    const socket = createSocket(server, "secret");
+    socket.open();
+    const multiplexer = new DebuggerMultiplexer(socket);
+
+    const refused = DebuggerSocket.connect({
+      multiplexer,
+      authenticator: new Authenticators.Token.Client("guess"),
+    });
+    await expect(refused).rejects.toThrow("refused");
+
+    const transport = await DebuggerSocket.connect({
+      multiplexer,
+      authenticator: new Authenticators.Token.Client("secret"),
+    });
+    const client = new DebuggerClient(transport);
+    const [applicationType] = await client.connect();
+    expect(applicationType).toBe("browser");
+
+    // Only the connection sending the right token got through.
+    expect(server.connections.size).toBe(1);
+    expect([...socket.channels.keys()]).toEqual(["conn1"]);
+    expect(multiplexer.connectionCount).toBe(1);
+
+    await closeClient(client);
+  });
+
+  it("closes a connection without closing the others", async () => {
+    const socket = createSocket(server);
+    socket.open();
+    const multiplexer = new DebuggerMultiplexer(socket);
+    const first = new DebuggerClient(multiplexer.createTransport());
+    const second = new DebuggerClient(multiplexer.createTransport());
+    await Promise.all([first.connect(), second.connect()]);
+
+    await closeClient(first);
+    expect(socket.sent).toContain("debug:conn0:close");
+    expect(multiplexer.connectionCount).toBe(1);
+    const { tabs } = await second.listTabs();
+    expect(tabs.length).toBe(1);
+
+    // The server closing the other connection.
+    const closed = new Promise(resolve => {
+      second.addListener("closed", resolve);
+    });
+    socket.receive("debug:conn1:close");
+    await closed;
+    expect(multiplexer.connectionCount).toBe(0);
+    expect(socket.sent).not.toContain("debug:conn1:close");
+  });
+
+  it("closes all the connections with the socket", async () => {
+    const socket = createSocket(server);
+    socket.open();
+    const multiplexer = new DebuggerMultiplexer(socket);
+    const clients = [
+      new DebuggerClient(multiplexer.createTransport()),
+      new DebuggerClient(multiplexer.createTransport()),
+    ];
+    await Promise.all(clients.map(client => client.connect()));
+
+    const closing = clients.map(client => {
+      return new Promise(resolve => client.addListener("closed", resolve));
+    });
+    const multiplexerClosed = new Promise(resolve => {
+      multiplexer.once("closed", resolve);
+    });
+    multiplexer.close();
+    await Promise.all([...closing, multiplexerClosed]);
+    expect(multiplexer.connectionCount).toBe(0);
+  });
+});
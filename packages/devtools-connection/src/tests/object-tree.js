@@ -0,0 +1,146 @@
+const { ObjectTreeModel } = require("../debugger/object-tree");
+const { attachThread, setupMockServer, waitForEvent } = require("./helpers");
+
+const URL = "http://example.com/app.js";
+
+function range(length) {
+  return Array.from({ length }, (value, index) => index);
+}
+
+const SCOPE = {
+  point: { x: 1, y: 2 },
+  list: range(250),
+  map: new Map(range(150).map(index => [`key${index}`, index])),
+  set: new Set(["a", "b"]),
+};
+
+function names(nodes) {
+  return nodes.map(node => node.name);
+}
+
+describe("ObjectTreeModel", () => {
+  const context = setupMockServer();
+  let threadClient, tree, requests;
+
+  beforeEach(async () => {
+    ({ threadClient } = await attachThread(context.client));
+    await threadClient.resume();
+    tree = new ObjectTreeModel(threadClient, { bucketSize: 100 });
+
+    // The types of the requests sent, in order.
+    requests = [];
+    const { client } = context;
+    const request = client.request;
+    client.request = function(packet) {
+      requests.push(packet.type);
+      return request.apply(this, arguments);
+    };
+  });
+
+  afterEach(() => tree.destroy());
+
+  function count(type) {
+    return requests.filter(sent => sent == type).length;
+  }
+
+  // Pause, and create the root node of a variable of the scope.
+  async function pause(name) {
+    const paused = waitForEvent(threadClient, "paused");
+    context.server.pause(0, { frames: [{ source: URL, scope: SCOPE }] });
+    const { frame } = await paused;
+    const { value } = frame.environment.bindings.variables[name];
+    return tree.createNode(name, value);
+  }
+
+  it("caches the children until the thread resumes", async () => {
+    const node = await pause("point");
+    expect(tree.hasChildren(node)).toBe(true);
+    const children = await tree.getChildren(node);
+    expect(names(children)).toEqual(["x", "y", "<prototype>"]);
+    expect(children[0]).toEqual({
+      name: "x",
+      path: "point/x",
+      contents: expect.objectContaining({ value: 1 }),
+    });
+    expect(tree.hasChildren(children[0])).toBe(false);
+    expect(tree.hasChildren(children[2])).toBe(true);
+
+    expect(await tree.getChildren(node)).toBe(children);
+    expect(requests).toEqual(["prototypeAndProperties"]);
+
+    // The pause grips aren't valid anymore.
+    const cleared = tree.once("cleared");
+    await threadClient.resume();
+    await cleared;
+    const again = await pause("point");
+    await tree.getChildren(again);
+    expect(count("prototypeAndProperties")).toBe(2);
+  });
+
+  it("forgets the children once the thread is detached", async () => {
+    const node = await pause("point");
+    await tree.getChildren(node);
+
+    const cleared = tree.once("cleared");
+    await threadClient.detach();
+    await cleared;
+    expect(tree._cache.size).toBe(0);
+  });
+
+  it("groups the items of large arrays in buckets", async () => {
+    const node = await pause("list");
+    const children = await tree.getChildren(node);
+    expect(names(children)).toEqual([
+      "[0…99]",
+      "[100…199]",
+      "[200…249]",
+      "length",
+      "<prototype>",
+    ]);
+    expect(children[2]).toEqual({
+      name: "[200…249]",
+      path: "list/[200…249]",
+      bucket: {
+        grip: node.contents.value,
+        kind: "indexed",
+        start: 200,
+        count: 50,
+      },
+    });
+
+    // Only the items of the buckets expanded are loaded, once.
+    const items = await tree.getChildren(children[2]);
+    expect(names(items)).toEqual(range(50).map(index => `${200 + index}`));
+    expect(items[0].contents.value).toBe(200);
+    expect(items[0].path).toBe("list/[200…249]/200");
+    await tree.getChildren(children[2]);
+    await tree.getChildren(children[0]);
+    expect(count("slice")).toBe(2);
+    // One iterator over the other properties, one shared by the buckets.
+    expect(count("enumProperties")).toBe(2);
+  });
+
+  it("groups the entries of large maps in buckets", async () => {
+    const node = await pause("map");
+    const children = await tree.getChildren(node);
+    expect(names(children)).toEqual(["[0…99]", "[100…149]", "<prototype>"]);
+
+    const entries = await tree.getChildren(children[1]);
+    expect(entries.length).toBe(50);
+    expect(entries[0].contents.value.preview).toEqual({
+      key: "key100",
+      value: 100,
+    });
+  });
+
+  it("lists the entries of small sets", async () => {
+    const node = await pause("set");
+    const children = await tree.getChildren(node);
+    expect(names(children)).toEqual(["0", "1", "<prototype>"]);
+    expect(children.map(child => child.contents.value)).toEqual([
+      "a",
+      "b",
+      expect.objectContaining({ type: "object" }),
+    ]);
+  });
+});
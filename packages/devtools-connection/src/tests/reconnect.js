@@ -0,0 +1,74 @@
+const { attachThread, setupMockServer, waitForEvent } = require("./helpers");
+
+describe("DebuggerClient reconnect", () => {
+  const context = setupMockServer({
+    client: server => ({
+      reconnect: {
+        createTransport: () => server.createTransport(),
+        delay: 0,
+      },
+    }),
+  });
+  let server, client, tabActor;
+
+  beforeEach(async () => {
+    ({ server, client } = context);
+    ({ tabActor } = await attachThread(client));
+  });
+
+  // Leave the first request of a type without reply, as if the connection
+  // dropped while the server was handling it. Resolves once it came in.
+  function hangOnce(type) {
+    let calls = 0;
+    return new Promise(resolve => {
+      server.setRequestHandler("tab", type, () => {
+        if (calls++ == 0) {
+          resolve();
+          return new Promise(() => {});
+        }
+        return { calls };
+      });
+    });
+  }
+
+  it("sends again the requests safe to repeat", async () => {
+    const received = hangOnce("listWorkers");
+    const request = client.request({ to: tabActor, type: "listWorkers" });
+    await received;
+
+    const reconnected = waitForEvent(client, "reconnected");
+    server.closeConnections();
+    await reconnected;
+
+    const response = await request;
+    expect(response.calls).toBe(2);
+  });
+
+  it("rejects the requests that aren't safe to repeat", async () => {
+    const received = hangOnce("reload");
+    const request = client.request({ to: tabActor, type: "reload" });
+    await received;
+
+    const reconnected = waitForEvent(client, "reconnected");
+    server.closeConnections();
+    await expect(request).rejects.toMatchObject({ error: "connectionLost" });
+    await reconnected;
+  });
+
+  it("sends again the requests marked safe to repeat", async () => {
+    const received = hangOnce("reload");
+    const request = client.request(
+      { to: tabActor, type: "reload" },
+      null,
+      { replay: true },
+    );
+    await received;
+
+    const reconnected = waitForEvent(client, "reconnected");
+    server.closeConnections();
+    await reconnected;
+
+    const response = await request;
+    expect(response.calls).toBe(2);
+  });
+});
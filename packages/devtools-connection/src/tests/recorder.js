@@ -0,0 +1,74 @@
+const { DebuggerClient } = require("../debugger/client");
+const { ProtocolRecorder } = require("../debugger/recorder");
+const { ReplayDebuggerTransport } = require("../transport/replay");
+const { attachThread, setupMockServer } = require("./helpers");
+
+async function getSources(client) {
+  const { tabActor, threadClient } = await attachThread(client);
+  const { sources } = await threadClient.getSources();
+  return { tabActor, urls: sources.map(source => source.url) };
+}
+
+describe("ProtocolRecorder", () => {
+  const context = setupMockServer({ connect: false });
+  let session, transport, replayClient;
+
+  beforeEach(async () => {
+    const recorder = new ProtocolRecorder(context.client);
+    recorder.start();
+    await context.client.connect();
+    await getSources(context.client);
+    session = ProtocolRecorder.parseSession(recorder.serialize());
+    recorder.stop();
+
+    transport = new ReplayDebuggerTransport(session);
+    replayClient = new DebuggerClient(transport);
+  });
+
+  afterEach(() => {
+    // Detaching would send requests that aren't recorded.
+    transport.close();
+  });
+
+  it("records the packets sent and received", () => {
+    const sent = session.packets.filter(({ direction }) => direction == "sent");
+    expect(session.packets[0]).toMatchObject({
+      direction: "received",
+      format: "json",
+      packet: { from: "root", applicationType: "browser" },
+    });
+    expect(sent.map(({ packet }) => packet.type)).toEqual([
+      // Fetched to check the packets in development.
+      "protocolDescription",
+      "listTabs",
+      "attach",
+      "attach",
+      "sources",
+    ]);
+  });
+
+  it("plays back the recorded session", async () => {
+    await replayClient.connect();
+    const { urls } = await getSources(replayClient);
+    expect(urls).toEqual(["http://example.com/app.js"]);
+  });
+
+  it("answers the requests that aren't recorded with an error", async () => {
+    const mismatches = [];
+    transport.on("mismatch", (type, mismatch) => {
+      mismatches.push(mismatch);
+    });
+    await replayClient.connect();
+    const { tabs } = await replayClient.listTabs();
+
+    await expect(
+      replayClient.request({ to: tabs[0].actor, type: "reload" }),
+    ).rejects.toMatchObject({ error: "replayMismatch" });
+    expect(mismatches).toEqual([
+      {
+        expected: expect.objectContaining({ type: "attach" }),
+        actual: { to: tabs[0].actor, type: "reload" },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+const { ReplService } = require("../webconsole/repl");
+const { createConsoleClient, createStorage, flush } = require("./helpers");
+
+const HISTORY_KEY = "devtools-connection.repl:example.com";
+
+describe("ReplService", () => {
+  let requests, consoleClient;
+
+  beforeEach(() => {
+    // The inputs completed by the server, which knows the globals of a page.
+    requests = [];
+    consoleClient = createConsoleClient({
+      autocomplete(input) {
+        requests.push(input);
+        const [matchProp] = input.match(/[\w$]*$/);
+        const globals = ["document", "documentElement", "dump", "window"];
+        return Promise.resolve({
+          matches: globals.filter(name => name.startsWith(matchProp)),
+          matchProp,
+        });
+      },
+      evaluateJSAsync(input) {
+        return Promise.resolve({ input, result: 1, timestamp: 1 });
+      },
+    });
+  });
+
+  describe("autocomplete", () => {
+    let repl;
+
+    beforeEach(() => {
+      repl = new ReplService(consoleClient, {
+        storage: null,
+        autocompleteDelay: 10,
+      });
+    });
+
+    afterEach(() => repl.destroy());
+
+    it("only requests the completions of the last input", async () => {
+      const first = repl.autocomplete("d");
+      const second = repl.autocomplete("do");
+      // The first one is superseded before being sent.
+      expect(repl._pendingCompletion).not.toBe(null);
+      expect(await first).toBe(null);
+      expect(requests).toEqual([]);
+
+      expect(await second).toEqual({
+        matches: ["document", "documentElement"],
+        matchProp: "do",
+      });
+      expect(requests).toEqual(["do"]);
+      expect(repl._pendingCompletion).toBe(null);
+    });
+
+    it("filters the completions of the shorter inputs", async () => {
+      await repl.autocomplete("do");
+
+      // Completed at once, without waiting for the input to settle.
+      expect(await repl.autocomplete("documentE")).toEqual({
+        matches: ["documentElement"],
+        matchProp: "documentE",
+      });
+      expect(await repl.autocomplete("do")).toEqual({
+        matches: ["document", "documentElement"],
+        matchProp: "do",
+      });
+      expect(requests).toEqual(["do"]);
+
+      // Another property, another frame.
+      await repl.autocomplete("document.");
+      repl.selectFrame("frame1");
+      await repl.autocomplete("doc");
+      expect(requests).toEqual(["do", "document.", "doc"]);
+    });
+
+    it("completes again after an evaluation", async () => {
+      await repl.autocomplete("w");
+      await repl.evaluate("var wx = 1");
+      await repl.autocomplete("w");
+      expect(requests).toEqual(["w", "w"]);
+    });
+  });
+
+  describe("history", () => {
+    let storage, repl;
+
+    beforeEach(() => {
+      storage = createStorage({ [HISTORY_KEY]: ["a = 1", "b"] });
+      repl = new ReplService(consoleClient, {
+        historyKey: "example.com",
+        storage,
+        maxHistory: 3,
+      });
+    });
+
+    it("persists the expressions evaluated", async () => {
+      const changes = [];
+      repl.on("history-changed", () => changes.push(repl._history.slice()));
+      await repl.evaluate("c");
+      await repl.evaluate("a = 1");
+      // Blank expressions aren't kept.
+      await repl.evaluate("  ");
+      await flush();
+
+      expect(changes.length).toBe(2);
+      expect(await repl.getHistory()).toEqual(["b", "c", "a = 1"]);
+      expect(storage.items[HISTORY_KEY]).toEqual(["b", "c", "a = 1"]);
+
+      // The oldest expressions are forgotten.
+      await repl.evaluate("d");
+      await flush();
+      expect(storage.items[HISTORY_KEY]).toEqual(["c", "a = 1", "d"]);
+
+      // Each target has its own history.
+      const other = new ReplService(consoleClient, { storage });
+      expect(await other.getHistory()).toEqual([]);
+
+      await repl.clearHistory();
+      expect(storage.items[HISTORY_KEY]).toEqual([]);
+    });
+
+    it("searches the history", async () => {
+      await repl.evaluate("a + b");
+      expect(await repl.getHistory("a")).toEqual(["a = 1", "a + b"]);
+      expect(await repl.getHistory(/^b/g)).toEqual(["b"]);
+      // The last index of global regular expressions is reset.
+      expect(await repl.getHistory(/^b/g)).toEqual(["b"]);
+    });
+
+    it("emits the errors saving the history", async () => {
+      storage.setItem = () => Promise.reject(new Error("storage full"));
+      const failed = repl.once("error");
+      await repl.evaluate("c");
+      expect((await failed).message).toBe("storage full");
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { setupMockServer, waitForEvent } = require("./helpers");
+
+describe("DebuggerClient request timeouts", () => {
+  const context = setupMockServer();
+  let server, client, tabActor;
+
+  beforeEach(async () => {
+    ({ server, client } = context);
+    const { tabs } = await client.listTabs();
+    tabActor = tabs[0].actor;
+  });
+
+  // Hold the reply to the requests of a type, resolves with the function
+  // sending it once the request came in.
+  function holdReply(type) {
+    return new Promise(resolve => {
+      server.setRequestHandler("tab", type, () => {
+        return new Promise(answer => resolve(answer));
+      });
+    });
+  }
+
+  it("rejects a request left without reply", async () => {
+    server.setRequestHandler("tab", "reload", () => new Promise(() => {}));
+    const request = client.request(
+      { to: tabActor, type: "reload" },
+      null,
+      { timeout: 10 },
+    );
+    await expect(request).rejects.toMatchObject({ error: "timeout" });
+  });
+
+  it("sends the request queued behind a timed out one its reply", async () => {
+    const held = holdReply("reload");
+    const sent = [];
+    server.setRequestHandler("tab", "focus", () => {
+      sent.push("focus");
+      return { answerFor: "focus" };
+    });
+    const late = client.request(
+      { to: tabActor, type: "reload" },
+      null,
+      { timeout: 10 },
+    );
+    const next = client.request({ to: tabActor, type: "focus" });
+    const answer = await held;
+    await expect(late).rejects.toMatchObject({ error: "timeout" });
+    expect(sent).toEqual([]);
+
+    answer({ answerFor: "reload" });
+    await expect(next).resolves.toMatchObject({ answerFor: "focus" });
+    expect(sent).toEqual(["focus"]);
+  });
+
+  it("drops the reply coming in after the timeout", async () => {
+    const held = holdReply("reload");
+    const late = client.request(
+      { to: tabActor, type: "reload" },
+      null,
+      { timeout: 10 },
+    );
+    const answer = await held;
+    await expect(late).rejects.toMatchObject({ error: "timeout" });
+
+    const received = waitForEvent(client, "packet-received");
+    answer({ late: true });
+    expect(await received).toMatchObject({ late: true });
+
+    const response = await client.request({ to: tabActor, type: "focus" });
+    expect(response.late).toBeUndefined();
+  });
+
+  it("drops the reply coming in after the request was cancelled", async () => {
+    const held = holdReply("reload");
+    const cancelled = client.request({ to: tabActor, type: "reload" });
+    const next = client.request({ to: tabActor, type: "focus" });
+    const answer = await held;
+    cancelled.cancel();
+    await expect(cancelled).rejects.toMatchObject({ error: "cancelled" });
+
+    answer({ late: true });
+    const response = await next;
+    expect(response.late).toBeUndefined();
+  });
+});
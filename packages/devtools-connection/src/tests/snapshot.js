@@ -0,0 +1,129 @@
+const { PauseSnapshot } = require("../debugger/snapshot");
+const { attachThread, setupMockServer, waitForEvent } = require("./helpers");
+
+const URL = "http://example.com/app.js";
+
+function add(a, b) {
+  return a + b;
+}
+
+const FRAMES = [
+  {
+    source: URL,
+    line: 1,
+    column: 4,
+    callee: add,
+    this: { name: "calculator" },
+    arguments: [1, undefined],
+    scope: [
+      {
+        type: "block",
+        variables: { sum: NaN, nested: { a: { b: { c: 1 } } } },
+      },
+      {
+        type: "function",
+        variables: { total: null, wide: { x: 1, y: 2, z: 3 } },
+      },
+    ],
+  },
+  { source: URL, line: 2, callee: null },
+];
+
+// The description of a plain object, with its prototype and properties if it
+// is expanded.
+function object(properties) {
+  const described = { type: "object", class: "Object" };
+  if (!properties) {
+    return described;
+  }
+  return Object.assign(described, { prototype: "Object", properties });
+}
+
+describe("PauseSnapshot.take", () => {
+  const context = setupMockServer();
+  let threadClient;
+
+  beforeEach(async () => {
+    ({ threadClient } = await attachThread(context.client));
+    await threadClient.resume();
+  });
+
+  async function pause() {
+    const paused = waitForEvent(threadClient, "paused");
+    context.server.pause(0, { why: { type: "breakpoint" }, frames: FRAMES });
+    await paused;
+  }
+
+  it("rejects while the thread is running", async () => {
+    await expect(PauseSnapshot.take(threadClient)).rejects.toThrow(
+      "The thread isn't paused",
+    );
+  });
+
+  it("describes the frames and their scopes", async () => {
+    await pause();
+    const snapshot = await PauseSnapshot.take(threadClient);
+
+    expect(snapshot.version).toBe(1);
+    expect(new Date(snapshot.date).toISOString()).toBe(snapshot.date);
+    expect(snapshot.why).toEqual({ type: "breakpoint" });
+    expect(snapshot.frames).toEqual([
+      {
+        name: "add",
+        location: { url: URL, line: 1, column: 4 },
+        this: object({ name: "calculator" }),
+        arguments: [1, { type: "undefined" }],
+        scopes: [
+          {
+            type: "block",
+            variables: {
+              sum: { type: "NaN" },
+              // Objects stop being expanded at the depth.
+              nested: object({ a: object({ b: object() }) }),
+            },
+          },
+          {
+            type: "function",
+            variables: {
+              a: 1,
+              b: { type: "undefined" },
+              total: null,
+              wide: object({ x: 1, y: 2, z: 3 }),
+            },
+          },
+        ],
+      },
+      {
+        name: "(anonymous)",
+        location: { url: URL, line: 2, column: 0 },
+        this: { type: "undefined" },
+        arguments: [],
+        scopes: [{ type: "function", variables: {} }],
+      },
+    ]);
+
+    // The values JSON can't represent survive saving the snapshot.
+    const saved = JSON.parse(PauseSnapshot.stringify(snapshot));
+    expect(saved).toEqual(snapshot);
+  });
+
+  it("truncates the objects and the stack", async () => {
+    await pause();
+    const snapshot = await PauseSnapshot.take(threadClient, {
+      depth: 1,
+      maxProperties: 2,
+      frames: 1,
+    });
+
+    expect(snapshot.frames.length).toBe(1);
+    const [block, fn] = snapshot.frames[0].scopes;
+    expect(block.variables.nested).toEqual(object({ a: object() }));
+    expect(fn.variables.wide).toEqual(
+      Object.assign(object({ x: 1, y: 2 }), { truncated: true }),
+    );
+
+    // Depth 0 only keeps the class of the objects.
+    const shallow = await PauseSnapshot.take(threadClient, { depth: 0 });
+    expect(shallow.frames[0].this).toEqual(object());
+  });
+});
@@ -0,0 +1,74 @@
+const { SourceCache } = require("../debugger/source-cache");
+const { TABS, attachThread, setupMockServer } = require("./helpers");
+
+// A source whose long string records the substrings requested.
+function createSource(actor, text) {
+  const requests = [];
+  return {
+    requests,
+    source: { actor, url: "http://example.com/app.js" },
+    grip: { type: "longString", length: text.length, initial: text[0] },
+    longString: {
+      substring(start, end) {
+        requests.push([start, end]);
+        return Promise.resolve({ substring: text.substring(start, end) });
+      },
+    },
+  };
+}
+
+function getText(cache, { source, grip, longString }) {
+  return cache.getText(source, "source", grip, longString);
+}
+
+describe("SourceCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new SourceCache({ storage: null });
+  });
+
+  it("doesn't download the sources loaded again", async () => {
+    const source = createSource("source1", "let a = 1;");
+    expect(await getText(cache, source)).toBe("let a = 1;");
+    expect(await getText(cache, source)).toBe("let a = 1;");
+    expect(source.requests).toEqual([[0, 10]]);
+  });
+
+  it("gets the new text of a source changed after a reload", async () => {
+    // Only the middle of the source changed, not its length, start or end.
+    const end = "\n".repeat(2000);
+    await getText(cache, createSource("source1", `let a = 1;${end}`));
+    cache.invalidate();
+
+    const changed = createSource("source2", `let b = 1;${end}`);
+    expect(await getText(cache, changed)).toBe(`let b = 1;${end}`);
+  });
+});
+
+describe("SourceClient with a source cache", () => {
+  const storage = {
+    getItem: () => Promise.reject(new Error("storage unavailable")),
+    setItem: () => Promise.resolve(),
+    removeItem: () => Promise.resolve(),
+  };
+  const context = setupMockServer({
+    server: { longStringLength: 5, tabs: TABS },
+    client: () => ({ sourceCache: new SourceCache({ storage }) }),
+  });
+
+  it("calls back when the cache fails to get the text", async () => {
+    const { threadClient } = await attachThread(context.client);
+    const { sources } = await threadClient.getSources();
+
+    const callback = jest.fn();
+    await expect(
+      threadClient.source(sources[0]).source(callback),
+    ).rejects.toMatchObject({ error: "unknownError" });
+    expect(callback).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: expect.stringContaining("storage unavailable"),
+      }),
+    );
+  });
+});
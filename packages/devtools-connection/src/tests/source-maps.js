@@ -0,0 +1,206 @@
+const { SourceMapService } = require("../debugger/source-maps");
+const {
+  attachThread,
+  flush,
+  setupMockServer,
+  waitForEvent,
+} = require("./helpers");
+
+const GENERATED_URL = "http://example.com/dist/app.min.js";
+const MAP_URL = "http://example.com/dist/app.min.js.map";
+const ADD_URL = "http://example.com/dist/src/add.js";
+const MAIN_URL = "http://example.com/dist/src/main.js";
+const INLINE_URL = "http://example.com/dist/inline.min.js";
+const PLAIN_URL = "http://example.com/plain.js";
+
+// The map of:
+//   function add(a,b){return a+b}
+//   main();
+// built from src/add.js:
+//   function add(a, b) {
+//     return a + b;
+//   }
+// and src/main.js.
+const MAP = {
+  version: 3,
+  file: "app.min.js",
+  sourceRoot: "src",
+  sources: ["add.js", "main.js"],
+  sourcesContent: ["function add(a, b) {\n  return a + b;\n}\n", null],
+  names: ["add"],
+  mappings: "AAAA,SAASA,SACP,OAAO;ACDT",
+};
+
+const INLINE_MAP = Object.assign({}, MAP, {
+  sourceRoot: "http://example.com/inline/",
+});
+
+const SOURCES = [
+  {
+    url: GENERATED_URL,
+    text: "function add(a,b){return a+b}\nmain();",
+    sourceMapURL: "app.min.js.map",
+  },
+  {
+    url: INLINE_URL,
+    text: "function add(a,b){return a+b}\nmain();",
+    sourceMapURL: "data:application/json;charset=utf-8;base64," +
+      Buffer.from(JSON.stringify(INLINE_MAP)).toString("base64"),
+  },
+  { url: PLAIN_URL, text: "add(1, 2);" },
+];
+
+describe("SourceMapService", () => {
+  const context = setupMockServer({
+    server: { tabs: [{ url: "http://example.com/", sources: SOURCES }] },
+  });
+  let threadClient, service, fetched;
+
+  beforeEach(async () => {
+    ({ threadClient } = await attachThread(context.client));
+    fetched = [];
+    const texts = {
+      [MAP_URL]: JSON.stringify(MAP),
+      [MAIN_URL]: "main();",
+    };
+    service = new SourceMapService(threadClient, {
+      fetch: url => {
+        fetched.push(url);
+        return url in texts
+          ? Promise.resolve(texts[url])
+          : Promise.reject(new Error(`Failed to fetch ${url}: 404`));
+      },
+    });
+    await threadClient.getSources();
+  });
+
+  afterEach(() => service.destroy());
+
+  it("maps the generated locations to the original ones", async () => {
+    const original = location => {
+      return service.getOriginalLocation(
+        Object.assign({ sourceUrl: GENERATED_URL }, location),
+      );
+    };
+    expect(await original({ line: 1, column: 20 })).toEqual({
+      sourceUrl: ADD_URL,
+      line: 2,
+      column: 2,
+    });
+    expect(await original({ line: 1, column: 9 })).toEqual({
+      sourceUrl: ADD_URL,
+      line: 1,
+      column: 9,
+      name: "add",
+    });
+    expect(await original({ line: 2, column: 0 })).toEqual({
+      sourceUrl: MAIN_URL,
+      line: 1,
+      column: 0,
+    });
+
+    // The locations that aren't mapped are kept.
+    expect(await original({ line: 3, column: 0 })).toEqual({
+      sourceUrl: GENERATED_URL,
+      line: 3,
+      column: 0,
+    });
+    const plain = { sourceUrl: PLAIN_URL, line: 1, column: 0 };
+    expect(await service.getOriginalLocation(plain)).toBe(plain);
+
+    // The map is only fetched once, relative to its source.
+    expect(fetched).toEqual([MAP_URL]);
+  });
+
+  it("maps the original locations to the generated ones", async () => {
+    expect(
+      await service.getGeneratedLocation({ sourceUrl: ADD_URL, line: 2 }),
+    ).toEqual({ sourceUrl: GENERATED_URL, line: 1, column: 18 });
+    expect(
+      await service.getGeneratedLocation({
+        sourceUrl: ADD_URL,
+        line: 2,
+        column: 5,
+      }),
+    ).toEqual({ sourceUrl: GENERATED_URL, line: 1, column: 25 });
+
+    const unmapped = { sourceUrl: ADD_URL, line: 3, column: 0 };
+    expect(await service.getGeneratedLocation(unmapped)).toBe(unmapped);
+  });
+
+  it("lists the original sources and gets their text", async () => {
+    expect(await service.getOriginalSources(GENERATED_URL)).toEqual([
+      { url: ADD_URL, fileName: "add.js" },
+      { url: MAIN_URL, fileName: "main.js" },
+    ]);
+    expect(await service.getOriginalSources(PLAIN_URL)).toEqual([]);
+
+    // Embedded in the map, or fetched.
+    expect(await service.getOriginalSourceText(ADD_URL)).toBe(
+      MAP.sourcesContent[0],
+    );
+    expect(await service.getOriginalSourceText(MAIN_URL)).toBe("main();");
+    expect(fetched).toEqual([MAP_URL, MAIN_URL]);
+  });
+
+  it("decodes the maps in data: URLs", async () => {
+    expect(
+      await service.getOriginalLocation({
+        sourceUrl: INLINE_URL,
+        line: 1,
+        column: 20,
+      }),
+    ).toEqual({
+      sourceUrl: "http://example.com/inline/add.js",
+      line: 2,
+      column: 2,
+    });
+    expect(fetched).toEqual([]);
+  });
+
+  it("maps the locations of the frames", async () => {
+    await threadClient.resume();
+    const paused = waitForEvent(threadClient, "paused");
+    context.server.pause(0, {
+      frames: [
+        { source: GENERATED_URL, line: 1, column: 20, callee: "add" },
+        { source: PLAIN_URL, line: 1, column: 0 },
+      ],
+    });
+    await paused;
+
+    const { frames } = await threadClient.getFrames(0, 2);
+    const mapped = await service.mapFrames(frames);
+    expect(mapped.map(frame => frame.originalLocation)).toEqual([
+      { sourceUrl: ADD_URL, line: 2, column: 2 },
+      { sourceUrl: PLAIN_URL, line: 1, column: 0 },
+    ]);
+    expect(mapped[0].where).toEqual(frames[0].where);
+  });
+
+  it("emits the errors loading the maps", async () => {
+    const newSource = waitForEvent(threadClient, "newSource");
+    await threadClient.resume();
+    context.server.addSource(0, {
+      url: "http://example.com/missing.min.js",
+      sourceMapURL: "missing.min.js.map",
+    });
+    await newSource;
+    await flush();
+
+    const failed = new Promise(resolve => {
+      service.once("error", (name, error, sourceUrl) => {
+        resolve({ error, sourceUrl });
+      });
+    });
+    const location = {
+      sourceUrl: "http://example.com/missing.min.js",
+      line: 1,
+      column: 0,
+    };
+    expect(await service.getOriginalLocation(location)).toBe(location);
+    const { error, sourceUrl } = await failed;
+    expect(error.message).toContain("404");
+    expect(sourceUrl).toBe("http://example.com/missing.min.js");
+  });
+});
@@ -0,0 +1,185 @@
+const { ReadableStream } = require("stream/web");
+const { TextEncoder, TextDecoder } = require("util");
+
+// The transport reads bulk data with the stream and encoding globals of
+// browsers.
+Object.assign(global, { ReadableStream, TextEncoder, TextDecoder });
+
+const net = require("net");
+const { TCPDebuggerTransport } = require("../transport/tcp");
+const { BulkInput, copyBulkData } = require("../transport/stream-utils");
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function frame(packet) {
+  const data = Buffer.from(JSON.stringify(packet), "utf8");
+  return Buffer.concat([Buffer.from(`${data.length}:`), data]);
+}
+
+// An output collecting the chunks of bulk data copied to it.
+function createOutput() {
+  const chunks = [];
+  return {
+    write(chunk) {
+      chunks.push(Buffer.from(chunk));
+    },
+    get text() {
+      return Buffer.concat(chunks).toString("utf8");
+    },
+  };
+}
+
+describe("TCPDebuggerTransport", () => {
+  let server, socket, transport, packets, bulkPackets;
+
+  beforeEach(async () => {
+    server = net.createServer();
+    const connected = new Promise(resolve => {
+      server.once("connection", resolve);
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    transport = await TCPDebuggerTransport.connect({
+      host: "127.0.0.1",
+      port: server.address().port,
+    });
+    socket = await connected;
+    socket.setNoDelay(true);
+
+    packets = [];
+    bulkPackets = [];
+    transport.hooks = {
+      onPacket: packet => packets.push(packet),
+      onBulkPacket: packet => bulkPackets.push(packet),
+      onClosed: () => {},
+    };
+    transport.ready();
+  });
+
+  afterEach(async () => {
+    transport.close();
+    socket.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Write data to the client in chunks, giving the client time to receive
+  // each of them.
+  async function writeChunks(chunks) {
+    for (const chunk of chunks) {
+      socket.write(chunk);
+      await wait(10);
+    }
+  }
+
+  function received(count) {
+    return new Promise(resolve => {
+      const check = () => {
+        if (packets.length >= count) {
+          resolve(packets);
+        } else {
+          setTimeout(check, 5);
+        }
+      };
+      check();
+    });
+  }
+
+  it("reads JSON packets split across chunks", async () => {
+    const data = frame({ from: "root", text: "déjà vu" });
+    // Split the header, and the middle of a two bytes character.
+    const split = data.indexOf(Buffer.from("é")) + 1;
+    await writeChunks([
+      data.subarray(0, 1),
+      data.subarray(1, split),
+      data.subarray(split),
+    ]);
+
+    expect(await received(1)).toEqual([{ from: "root", text: "déjà vu" }]);
+  });
+
+  it("reads JSON packets coalesced in one chunk", async () => {
+    const first = frame({ from: "root", n: 1 });
+    const second = frame({ from: "root", n: 2 });
+    socket.write(Buffer.concat([first, second, second.subarray(0, 4)]));
+    await received(2);
+    socket.write(second.subarray(4));
+
+    expect((await received(3)).map(packet => packet.n)).toEqual([1, 2, 2]);
+  });
+
+  it("reads bulk packets and the packets after them", async () => {
+    await writeChunks([
+      Buffer.from("bulk actor1 sour"),
+      Buffer.concat([Buffer.from("ce 11:hello"), Buffer.from(" wor")]),
+      Buffer.concat([Buffer.from("ld"), frame({ from: "actor1", n: 1 })]),
+    ]);
+
+    expect(bulkPackets.length).toBe(1);
+    const [bulk] = bulkPackets;
+    expect(bulk).toMatchObject({ actor: "actor1", type: "source", length: 11 });
+    // The packet after the bulk data waits for it to be read.
+    expect(packets).toEqual([]);
+
+    const output = createOutput();
+    await bulk.copyTo(output);
+    expect(output.text).toBe("hello world");
+    expect(await received(1)).toEqual([{ from: "actor1", n: 1 }]);
+  });
+
+  it("closes on an invalid header", async () => {
+    const closed = new Promise(resolve => {
+      transport.hooks.onClosed = resolve;
+    });
+    socket.write("nope:");
+    expect((await closed).message).toBe("Received an invalid packet header.");
+  });
+
+  it("writes JSON and bulk packets", async () => {
+    const chunks = [];
+    socket.on("data", chunk => chunks.push(chunk));
+
+    transport.send({ to: "root", type: "listTabs" });
+    const { copyFrom } = await transport.startBulkSend({
+      actor: "actor1",
+      type: "upload",
+      length: 5,
+    });
+    // Sent once the bulk packet is written.
+    transport.send({ to: "root", type: "echo" });
+    await copyFrom("hello");
+    await wait(20);
+
+    expect(Buffer.concat(chunks).toString("utf8")).toBe(
+      `${frame({ to: "root", type: "listTabs" })}` +
+        "bulk actor1 upload 5:hello" +
+        `${frame({ to: "root", type: "echo" })}`,
+    );
+  });
+});
+
+describe("copyBulkData", () => {
+  it("copies the length of the data from pushed chunks", async () => {
+    const input = new BulkInput(6);
+    expect(input.push(Buffer.from("abc")).length).toBe(0);
+    // The data past the end of the packet is given back.
+    expect(input.push(Buffer.from("defgh")).toString()).toBe("gh");
+    expect(input.done).toBe(true);
+
+    const output = createOutput();
+    const progress = [];
+    const copying = copyBulkData(input.stream, output, 6);
+    copying.on("progress", (type, { bytesSent }) => progress.push(bytesSent));
+    await copying;
+
+    expect(output.text).toBe("abcdef");
+    expect(progress).toEqual([3, 6]);
+  });
+
+  it("fails when the input ends early", async () => {
+    await expect(copyBulkData("abc", createOutput(), 5)).rejects.toThrow(
+      "Bulk data ended after 3 of 5 bytes.",
+    );
+  });
+});
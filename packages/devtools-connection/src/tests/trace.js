@@ -0,0 +1,159 @@
+const { TraceClient, eventSource } = require("../debugger/client");
+const { TraceCollector } = require("../debugger/trace");
+
+const TRACE_ACTOR = "trace1";
+const URL = "http://example.com/app.js";
+
+// A DebuggerClient answering the requests of the trace client.
+function createDebuggerClient() {
+  const client = {
+    _transport: {},
+    request(packet, onResponse) {
+      const response = { from: packet.to, name: "page-load" };
+      return Promise.resolve().then(() => onResponse(response));
+    },
+  };
+  eventSource(client);
+  return client;
+}
+
+function entered(sequence, time, name, line) {
+  return {
+    from: TRACE_ACTOR,
+    type: "enteredFrame",
+    sequence,
+    time,
+    name,
+    location: { url: URL, line, column: 0 },
+  };
+}
+
+function exited(sequence, time) {
+  return { from: TRACE_ACTOR, type: "exitedFrame", sequence, time };
+}
+
+describe("TraceCollector", () => {
+  let client, collector;
+
+  beforeEach(async () => {
+    client = createDebuggerClient();
+    collector = new TraceCollector(new TraceClient(client, TRACE_ACTOR));
+    await collector.start();
+  });
+
+  afterEach(() => collector.destroy());
+
+  it("builds the call tree of the packets in sequence order", async () => {
+    const packets = [
+      entered(0, 100, "main", 1),
+      entered(1, 110, "add", 5),
+      exited(2, 130),
+      entered(3, 140, "add", 5),
+      exited(4, 150),
+      exited(5, 170),
+      // Still running when the trace stops.
+      entered(6, 180, "tick", 9),
+    ];
+    // The server sends them out of order, and again.
+    const received = [1, 0, 3, 2, 2, 5, 4, 6].map(index => packets[index]);
+    // The packets of the other tracers are left out.
+    received.splice(3, 0, Object.assign({}, packets[4], { from: "trace2" }));
+    for (const packet of received) {
+      client.emit(packet.type, packet);
+    }
+
+    const root = await collector.stop();
+    const simplify = node => ({
+      name: node.name,
+      start: node.start,
+      end: node.end,
+      selfTime: node.selfTime,
+      depth: node.depth,
+      children: node.children.map(simplify),
+    });
+    expect(simplify(root)).toEqual({
+      name: "(root)",
+      start: 100,
+      end: 180,
+      selfTime: 10,
+      depth: 0,
+      children: [
+        {
+          name: "main",
+          start: 100,
+          end: 170,
+          selfTime: 40,
+          depth: 1,
+          children: [
+            {
+              name: "add",
+              start: 110,
+              end: 130,
+              selfTime: 20,
+              depth: 2,
+              children: [],
+            },
+            {
+              name: "add",
+              start: 140,
+              end: 150,
+              selfTime: 10,
+              depth: 2,
+              children: [],
+            },
+          ],
+        },
+        {
+          name: "tick",
+          start: 180,
+          end: 180,
+          selfTime: 0,
+          depth: 1,
+          children: [],
+        },
+      ],
+    });
+    expect(root.children[0].location).toEqual(packets[0].location);
+
+    const { traceEvents, displayTimeUnit } = collector.toTraceEvents();
+    expect(displayTimeUnit).toBe("ms");
+    expect(traceEvents[0]).toEqual({
+      name: "thread_name",
+      ph: "M",
+      pid: 1,
+      tid: 1,
+      args: { name: "page-load" },
+    });
+    // Timed in microseconds from the start of the trace.
+    const timings = traceEvents.slice(1).map(({ name, ts, dur }) => {
+      return [name, ts, dur];
+    });
+    expect(timings).toEqual([
+      ["main", 0, 70000],
+      ["add", 10000, 20000],
+      ["add", 40000, 10000],
+      ["tick", 80000, 0],
+    ]);
+    expect(traceEvents[2]).toEqual({
+      name: "add",
+      cat: "javascript",
+      ph: "X",
+      ts: 10000,
+      dur: 20000,
+      pid: 1,
+      tid: 1,
+      args: { url: URL, line: 5, column: 0 },
+    });
+  });
+
+  it("waits for the packets missing in the sequence", async () => {
+    client.emit("exitedFrame", exited(1, 120));
+    expect(collector.getCallTree().children).toEqual([]);
+
+    client.emit("enteredFrame", entered(0, 100, "main", 1));
+    const [main] = collector.getCallTree().children;
+    expect(main).toEqual(
+      expect.objectContaining({ name: "main", start: 100, end: 120 }),
+    );
+  });
+});
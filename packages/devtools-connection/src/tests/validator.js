@@ -0,0 +1,157 @@
+const { DebuggerClient } = require("../debugger/client");
+const { PacketValidator } = require("../debugger/validator");
+const { setupMockServer } = require("./helpers");
+
+const DESCRIPTION = {
+  types: {
+    thread: {
+      category: "actor",
+      methods: [
+        {
+          name: "frames",
+          request: {},
+          response: { frames: { _retval: "array:json" } },
+        },
+        {
+          name: "resume",
+          request: {},
+          response: { type: "resumed", count: { _retval: "number" } },
+        },
+      ],
+      events: {
+        newSource: { source: { _arg: 0, type: "json" } },
+      },
+    },
+  },
+};
+
+describe("PacketValidator", () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new PacketValidator(DESCRIPTION);
+    validator.registerActor("thread1", "thread");
+  });
+
+  it("checks the replies against the response of the request", () => {
+    const violations = validator.validatePacket(
+      { from: "thread1", frames: 3 },
+      { to: "thread1", type: "frames" },
+    );
+    expect(violations).toEqual([
+      {
+        actor: "thread1",
+        type: "frames",
+        path: "frames",
+        message: "expected an array",
+      },
+    ]);
+  });
+
+  it("checks typed replies of the response's type", () => {
+    const violations = validator.validatePacket(
+      { from: "thread1", type: "resumed" },
+      { to: "thread1", type: "resume" },
+    );
+    expect(violations.map(v => v.path)).toEqual(["count"]);
+  });
+
+  it("doesn't take notifications for replies", () => {
+    const request = { to: "thread1", type: "frames" };
+    expect(
+      validator.validatePacket(
+        { from: "thread1", type: "newSource", source: {} },
+        request,
+      ),
+    ).toEqual([]);
+    expect(
+      validator.validatePacket({ from: "thread1", type: "paused" }, request),
+    ).toEqual([]);
+  });
+});
+
+// Tab lists without a |selected| string are invalid.
+const ROOT_DESCRIPTION = {
+  types: {
+    root: {
+      category: "actor",
+      methods: [
+        {
+          name: "listTabs",
+          request: {},
+          response: { selected: { _retval: "string" } },
+        },
+      ],
+    },
+  },
+};
+
+function collectViolations(client) {
+  const violations = [];
+  client.addListener("packet-violation", (type, violation) => {
+    violations.push(violation);
+  });
+  return violations;
+}
+
+describe("DebuggerClient packet validation", () => {
+  const context = setupMockServer();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("emits the violations without logging them", async () => {
+    const { client } = context;
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const validator = await client.enablePacketValidation(ROOT_DESCRIPTION);
+    expect(validator).not.toBe(null);
+
+    const violations = collectViolations(client);
+    await client.listTabs();
+
+    expect(violations).toEqual([
+      {
+        actor: "root",
+        type: "listTabs",
+        path: "selected",
+        message: "expected a string",
+      },
+    ]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
+
+describe("DebuggerClient packet validation once connected", () => {
+  const context = setupMockServer({
+    connect: false,
+    client: server => {
+      server.setRequestHandler("root", "protocolDescription", () => {
+        return ROOT_DESCRIPTION;
+      });
+      return {};
+    },
+  });
+
+  it("checks the packets with the description of the server", async () => {
+    const { client } = context;
+    await client.connect();
+    const violations = collectViolations(client);
+    await client.listTabs();
+
+    expect(violations.map(v => v.path)).toEqual(["selected"]);
+  });
+
+  it("can be left disabled", async () => {
+    const { server } = context;
+    const client = new DebuggerClient(server.createTransport(), {
+      packetValidation: false,
+    });
+    await client.connect();
+    const violations = collectViolations(client);
+    await client.listTabs();
+
+    expect(violations).toEqual([]);
+    await new Promise(resolve => client.close(resolve));
+  });
+});
@@ -0,0 +1,124 @@
+const { eventSource } = require("../debugger/client");
+const { WebConsoleClient } = require("../webconsole/client");
+const { flush } = require("./helpers");
+
+const CONSOLE_ACTOR = "console1";
+
+// A DebuggerClient answering the requests of the console client: the new
+// requests sent are "netEvent2", and the listeners are always stopped.
+function createDebuggerClient() {
+  const client = {
+    request(packet, onResponse) {
+      const response = { from: packet.to };
+      if (packet.type == "sendHTTPRequest") {
+        response.eventActor = { actor: "netEvent2" };
+      } else if (packet.type == "stopListeners") {
+        response.stoppedListeners = packet.listeners || ["NetworkActivity"];
+      }
+      return Promise.resolve().then(() => {
+        if (onResponse) {
+          onResponse(response);
+        }
+        return response;
+      });
+    },
+  };
+  eventSource(client);
+  return client;
+}
+
+function sendNetworkEvent(client, actor) {
+  client.emit("networkEvent", {
+    from: CONSOLE_ACTOR,
+    type: "networkEvent",
+    eventActor: { actor, url: "http://example.com/", method: "GET" },
+  });
+}
+
+function sendNetworkEventUpdate(client, actor, updateType) {
+  client.emit("networkEventUpdate", {
+    from: actor,
+    type: "networkEventUpdate",
+    updateType,
+  });
+}
+
+function waitForRequest(client, type) {
+  return new Promise(resolve => {
+    const original = client.request;
+    client.request = (packet, onResponse) => {
+      const response = original(packet, onResponse);
+      if (packet.type == type) {
+        resolve(packet);
+      }
+      return response;
+    };
+  });
+}
+
+describe("WebConsoleClient.resendRequest", () => {
+  let client, consoleClient;
+
+  function createConsoleClient(startedListeners) {
+    consoleClient = new WebConsoleClient(
+      client,
+      { from: CONSOLE_ACTOR, startedListeners },
+      null,
+    );
+    sendNetworkEvent(client, "netEvent1");
+  }
+
+  beforeEach(() => {
+    client = createDebuggerClient();
+  });
+
+  it("resolves once the new request completed", async () => {
+    createConsoleClient(["NetworkActivity"]);
+    const sent = waitForRequest(client, "sendHTTPRequest");
+    const resending = consoleClient.resendRequest("netEvent1");
+    await sent;
+    // Let the console client handle the response to the request sent.
+    await flush();
+
+    sendNetworkEvent(client, "netEvent2");
+    sendNetworkEventUpdate(client, "netEvent2", "eventTimings");
+    const info = await resending;
+    expect(info.actor).toBe("netEvent2");
+  });
+
+  it("rejects when the network listener isn't started", async () => {
+    createConsoleClient(["PageError"]);
+    await expect(consoleClient.resendRequest("netEvent1")).rejects.toThrow(
+      "NetworkActivity listener isn't started",
+    );
+  });
+
+  it("rejects when the network listener is stopped", async () => {
+    createConsoleClient(["NetworkActivity"]);
+    const sent = waitForRequest(client, "sendHTTPRequest");
+    const resending = consoleClient.resendRequest("netEvent1");
+    await sent;
+    await flush();
+
+    consoleClient.stopListeners(["NetworkActivity"]);
+    await expect(resending).rejects.toThrow("listener was stopped");
+  });
+
+  it("rejects when the client is detached", async () => {
+    createConsoleClient(["NetworkActivity"]);
+    const sent = waitForRequest(client, "sendHTTPRequest");
+    const resending = consoleClient.resendRequest("netEvent1");
+    await sent;
+    await flush();
+
+    consoleClient.detach();
+    await expect(resending).rejects.toThrow("detached");
+  });
+
+  it("rejects once the timeout is over", async () => {
+    createConsoleClient(["NetworkActivity"]);
+    await expect(
+      consoleClient.resendRequest("netEvent1", {}, { timeout: 10 }),
+    ).rejects.toThrow("Timed out");
+  });
+});
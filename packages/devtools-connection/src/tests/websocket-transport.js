@@ -0,0 +1,82 @@
+const { ReadableStream } = require("stream/web");
+const { TextEncoder, TextDecoder } = require("util");
+
+// The transport reads bulk data with the stream and encoding globals of
+// browsers.
+Object.assign(global, { ReadableStream, TextEncoder, TextDecoder });
+
+const WebSocketDebuggerTransport = require("../transport/websocket");
+
+// A WebSocket whose incoming messages are dispatched by |receive(data)|.
+function createSocket() {
+  const listeners = { message: [], close: [] };
+  return {
+    sent: [],
+    addEventListener(type, listener) {
+      listeners[type].push(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners[type] = listeners[type].filter(l => l !== listener);
+    },
+    send(data) {
+      this.sent.push(data);
+    },
+    close() {},
+    receive(data) {
+      listeners.message.forEach(l => l.handleEvent({ type: "message", data }));
+    },
+  };
+}
+
+describe("WebSocketDebuggerTransport", () => {
+  let socket, transport, hooks;
+
+  beforeEach(() => {
+    socket = createSocket();
+    transport = new WebSocketDebuggerTransport(socket);
+    hooks = {
+      onPacket: jest.fn(),
+      onBulkPacket: jest.fn(),
+      onClosed: jest.fn(),
+    };
+    transport.hooks = hooks;
+    transport.ready();
+  });
+
+  it("closes once when closed during a bulk copy", async () => {
+    const closed = jest.fn();
+    transport.on("close", closed);
+
+    socket.receive(new TextEncoder().encode("bulk actor1 type 10:").buffer);
+    const [packet] = hooks.onBulkPacket.mock.calls[0];
+    const copying = packet.copyTo({ write() {} });
+    socket.receive(new Uint8Array(4).buffer);
+
+    transport.close();
+    await expect(copying).rejects.toThrow("closed while reading bulk data");
+    // Let the failed copy close the transport again.
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(closed).toHaveBeenCalledTimes(1);
+    expect(hooks.onClosed).toHaveBeenCalledTimes(1);
+    expect(transport.socket).toBe(null);
+  });
+
+  it("keeps the packets received before being ready", () => {
+    const earlySocket = createSocket();
+    const early = new WebSocketDebuggerTransport(earlySocket);
+    early.hooks = { onPacket: jest.fn() };
+    earlySocket.receive(JSON.stringify({ authResult: "PENDING" }));
+    expect(early.hooks.onPacket).not.toHaveBeenCalled();
+
+    early.ready();
+    expect(early.hooks.onPacket).toHaveBeenCalledWith({
+      authResult: "PENDING",
+    });
+  });
+
+  it("can be closed twice", () => {
+    transport.close();
+    expect(() => transport.close()).not.toThrow();
+  });
+});
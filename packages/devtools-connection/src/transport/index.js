@@ -2,6 +2,7 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+const { Ci } = require("../utils/chrome");
 const DevToolsUtils = require("../utils/DevToolsUtils");
 const { dumpn, dumpv } = DevToolsUtils;
 const StreamUtils = require("./stream-utils");
@@ -88,6 +89,11 @@ function DebuggerTransport(socket) {
   this._incomingEnabled = true;
   this._outgoingEnabled = true;
 
+  // The messages received before |ready|, servers asking for a token send a
+  // packet as soon as the socket is open.
+  this._earlyMessages = [];
+  this._socket.onmessage = event => this._earlyMessages.push(event);
+
   this.close = this.close.bind(this);
 }
 
@@ -284,7 +290,22 @@ DebuggerTransport.prototype = {
    */
   ready: function() {
     this.active = true;
+    this._socket.onmessage = null;
     this._waitForIncoming();
+    this._earlyMessages.splice(0).forEach(event => {
+      this.onInputStreamReady(event);
+    });
+
+    // Close the transport if the socket drops, so that the hooks get to know
+    // the connection is gone. The packets are delivered soon after being read,
+    // wait for the last ones, like the DENY of a server refusing a token.
+    this._socket.onclose = () => {
+      DevToolsUtils.executeSoon(() => {
+        if (this.active) {
+          this.close();
+        }
+      });
+    };
   },
 
   /**
@@ -719,6 +740,9 @@ exports.LocalDebuggerTransport = LocalDebuggerTransport;
  *
  * This transport exchanges messages named 'debug:<prefix>:packet', where
  * <prefix> is |prefix|, whose data is the protocol packet.
+ *
+ * DebuggerMultiplexer (see ./multiplex.js) plays the part of |sender| to carry
+ * several of these transports over a single WebSocket.
  */
 function ChildDebuggerTransport(sender, prefix) {
   EventEmitter.decorate(this);
@@ -744,7 +768,10 @@ ChildDebuggerTransport.prototype = {
   close: function() {
     this._sender.removeMessageListener(this._messageName, this);
     this.emit("onClosed");
-    this.hooks.onClosed();
+    if (this.hooks) {
+      this.hooks.onClosed();
+      this.hooks = null;
+    }
   },
 
   receiveMessage: function({ data }) {
@@ -0,0 +1,180 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+const { dumpn } = require("../utils/DevToolsUtils");
+const { ChildDebuggerTransport } = require("./index");
+
+const MESSAGE_NAME = /^debug:(.+):(packet|open|close)$/;
+
+/**
+ * Carries several debugger connections over a single WebSocket, so that a
+ * tool watching many tabs doesn't need a socket for each of them.
+ *
+ * The multiplexer plays the part of the nsIMessageSender of
+ * ChildDebuggerTransport, whose prefix routing it reuses: each connection is a
+ * ChildDebuggerTransport with its own prefix, handed to its own
+ * DebuggerClient. Messages are sent as text frames holding a JSON object with
+ * the message |name| and its |data|:
+ *
+ *   { name: "debug:<prefix>:open" }
+ *     The connection is starting, bin/firefox-proxy connects to Firefox.
+ *   { name: "debug:<prefix>:packet", data: <packet> }
+ *     A protocol packet, in either direction.
+ *   { name: "debug:<prefix>:close" }
+ *     The connection is closed, in either direction.
+ *
+ * Bulk packets can't be sent through a multiplexed connection.
+ *
+ * @param socket WebSocket
+ *        The socket, connected or connecting to the /multiplex endpoint of
+ *        bin/firefox-proxy.
+ */
+function DebuggerMultiplexer(socket) {
+  EventEmitter.decorate(this);
+
+  this.socket = socket;
+  // Map message names to the transports listening to them.
+  this._listeners = new Map();
+  // Messages sent while the socket is connecting.
+  this._outgoing = [];
+  this._nextPrefix = 0;
+
+  // The WebSocket of ws, in Node, only takes functions as listeners.
+  this.handleEvent = this.handleEvent.bind(this);
+  this.socket.addEventListener("open", this.handleEvent);
+  this.socket.addEventListener("message", this.handleEvent);
+  this.socket.addEventListener("close", this.handleEvent);
+}
+
+DebuggerMultiplexer.prototype = {
+  /**
+   * Start a new connection over the socket.
+   *
+   * @param prefix string (optional)
+   *        The prefix routing the packets of the connection, unique among the
+   *        connections of this multiplexer. One is generated by default.
+   * @return ChildDebuggerTransport
+   *         The transport of the connection, see DebuggerTransport. The
+   *         connection starts once it's made ready, usually by
+   *         DebuggerClient.prototype.connect.
+   */
+  createTransport(prefix = `conn${this._nextPrefix++}`) {
+    if (this._listeners.has(`debug:${prefix}:packet`)) {
+      throw new Error(`The connection '${prefix}' already exists.`);
+    }
+    return new ChildDebuggerTransport(this, prefix);
+  },
+
+  /**
+   * The number of connections currently open.
+   */
+  get connectionCount() {
+    return this._listeners.size;
+  },
+
+  /**
+   * Close the socket, and all the connections with it.
+   */
+  close() {
+    this.socket.close();
+  },
+
+  // The nsIMessageSender API used by ChildDebuggerTransport.
+
+  QueryInterface() {
+    return this;
+  },
+
+  addMessageListener(name, listener) {
+    // The transport is made ready again once authenticated.
+    if (this._listeners.get(name) === listener) {
+      return;
+    }
+    this._listeners.set(name, listener);
+    this._sendMessage(name.replace(MESSAGE_NAME, "debug:$1:open"));
+  },
+
+  removeMessageListener(name, listener) {
+    if (this._listeners.get(name) !== listener) {
+      return;
+    }
+    this._listeners.delete(name);
+    this._sendMessage(name.replace(MESSAGE_NAME, "debug:$1:close"));
+  },
+
+  sendAsyncMessage(name, data) {
+    this._sendMessage(name, data);
+  },
+
+  _sendMessage(name, data) {
+    let message = JSON.stringify({ name, data });
+    if (this.socket.readyState == this.socket.CONNECTING) {
+      this._outgoing.push(message);
+    } else if (this.socket.readyState == this.socket.OPEN) {
+      this.socket.send(message);
+    }
+  },
+
+  handleEvent(event) {
+    switch (event.type) {
+      case "open":
+        this._outgoing.forEach(message => this.socket.send(message));
+        this._outgoing = [];
+        break;
+      case "message":
+        this._onMessage(event.data);
+        break;
+      case "close":
+        this._onSocketClosed();
+        break;
+    }
+  },
+
+  _onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      dumpn(`Error parsing incoming message: ${data} (${e})`);
+      return;
+    }
+
+    let match = MESSAGE_NAME.exec(message.name);
+    if (!match) {
+      dumpn(`Unexpected message: ${message.name}`);
+      return;
+    }
+
+    let [, prefix, type] = match;
+    let name = `debug:${prefix}:packet`;
+    let listener = this._listeners.get(name);
+    if (!listener) {
+      return;
+    }
+
+    if (type == "packet") {
+      listener.receiveMessage({ name, data: message.data });
+    } else if (type == "close") {
+      // The server is gone, there is no need to tell it the connection is
+      // closed.
+      this._listeners.delete(name);
+      listener.close();
+    }
+  },
+
+  _onSocketClosed() {
+    this.socket.removeEventListener("open", this.handleEvent);
+    this.socket.removeEventListener("message", this.handleEvent);
+    this.socket.removeEventListener("close", this.handleEvent);
+    this._outgoing = [];
+
+    let listeners = [...this._listeners.values()];
+    this._listeners.clear();
+    listeners.forEach(listener => listener.close());
+    this.emit("closed");
+  },
+};
+
+exports.DebuggerMultiplexer = DebuggerMultiplexer;
@@ -0,0 +1,170 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const DevToolsUtils = require("../utils/DevToolsUtils");
+const { dumpn } = DevToolsUtils;
+const EventEmitter = require("../utils/event-emitter");
+
+/**
+ * A transport that plays back a session recorded by ProtocolRecorder (see
+ * ../debugger/recorder.js) instead of talking to a server, so that a client
+ * can be exercised deterministically and offline.
+ *
+ * The recorded packets are replayed in order. Packets received from the
+ * server are handed to the client until the next packet the client is
+ * expected to send. Once the client sends a packet matching that recorded
+ * request (same destination and type), playback carries on.
+ *
+ * A request that doesn't match the recording is answered with a
+ * "replayMismatch" error, and the transport emits a "mismatch" event with the
+ * expected and the actual packets. Playback then still waits for the expected
+ * request. Once the whole session has been played back, the transport emits
+ * "end".
+ *
+ * @param session object
+ *        The recorded session.
+ *
+ * @see DebuggerTransport
+ */
+function ReplayDebuggerTransport(session) {
+  EventEmitter.decorate(this);
+
+  this.hooks = null;
+  this.active = false;
+
+  this._packets = session.packets;
+  this._index = 0;
+
+  this.close = this.close.bind(this);
+}
+
+ReplayDebuggerTransport.prototype = {
+  /**
+   * Start playing back the session, beginning with the root actor greeting.
+   */
+  ready: function() {
+    if (this.active) {
+      return;
+    }
+    this.active = true;
+    this._playReceived();
+  },
+
+  /**
+   * Match a packet sent by the client against the recording, and play back
+   * the server packets that followed it.
+   */
+  send: function(packet) {
+    this.emit("send", packet);
+
+    let expected = this._packets[this._index];
+    if (
+      !expected ||
+      expected.direction !== "sent" ||
+      expected.packet.to !== packet.to ||
+      expected.packet.type !== packet.type
+    ) {
+      let mismatch = {
+        expected: expected ? expected.packet : null,
+        actual: packet,
+      };
+      this.emit("mismatch", mismatch);
+      this._deliver([
+        {
+          format: "json",
+          packet: {
+            from: packet.to,
+            error: "replayMismatch",
+            message:
+              `'${packet.type}' request packet to '${packet.to}' isn't ` +
+              "the next request of the recorded session.",
+          },
+        },
+      ]);
+      return;
+    }
+
+    this._index++;
+    this._playReceived();
+  },
+
+  /**
+   * Bulk data is not part of recorded sessions.
+   */
+  startBulkSend: function() {
+    throw new Error("Bulk send is not supported by the replay transport");
+  },
+
+  /**
+   * Close the transport.
+   */
+  close: function() {
+    this.emit("close");
+    this.active = false;
+
+    if (this.hooks) {
+      this.hooks.onClosed();
+      this.hooks = null;
+    }
+  },
+
+  /**
+   * Whether every recorded packet has been played back.
+   */
+  get done() {
+    return this._index >= this._packets.length;
+  },
+
+  /**
+   * Hand the client every recorded server packet up to the next packet the
+   * client is expected to send.
+   */
+  _playReceived: function() {
+    let packets = [];
+    while (
+      !this.done &&
+      this._packets[this._index].direction === "received"
+    ) {
+      packets.push(this._packets[this._index++]);
+    }
+    this._deliver(packets);
+
+    if (this.done) {
+      DevToolsUtils.executeSoon(() => {
+        if (this.active) {
+          this.emit("end");
+        }
+      });
+    }
+  },
+
+  /**
+   * Hand the client recorded packets, asynchronously as a server would.
+   */
+  _deliver: function(packets) {
+    DevToolsUtils.executeSoon(
+      DevToolsUtils.makeInfallible(() => {
+        for (let { format, packet } of packets) {
+          // Ensure the transport is still alive by the time this runs.
+          if (!this.active || !this.hooks) {
+            return;
+          }
+
+          if (format === "bulk") {
+            dumpn(`Skipping recorded bulk packet for actor ${packet.actor}`);
+            continue;
+          }
+
+          // Clients mutate the packets they handle, keep the session intact
+          // so that it can be played back again.
+          packet = JSON.parse(JSON.stringify(packet));
+          this.emit("onPacket", packet);
+          this.hooks.onPacket(packet);
+        }
+      }, "ReplayDebuggerTransport instance's this.hooks.onPacket"),
+    );
+  },
+};
+
+exports.ReplayDebuggerTransport = ReplayDebuggerTransport;
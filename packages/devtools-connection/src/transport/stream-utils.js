@@ -98,7 +98,193 @@ function delimitedRead(stream, delimiter, count) {
   return data;
 }
 
+/**
+ * The output stream handed to the senders of bulk packets by the transports
+ * that don't use nsIStreams, WebSocketDebuggerTransport and
+ * TCPDebuggerTransport. It enforces the length of the packet.
+ *
+ * @param send function
+ *        Sends a Uint8Array of data, or throws if the transport is closed.
+ * @param length number
+ *        The number of bytes of the packet.
+ */
+function BulkOutputStream(send, length) {
+  this._send = send;
+  this.length = length;
+  this.written = 0;
+}
+
+BulkOutputStream.prototype = {
+  /**
+   * Send data.
+   *
+   * @param data string|ArrayBuffer|ArrayBufferView
+   * @return number
+   *         The number of bytes written.
+   */
+  write(data) {
+    let bytes = toBytes(data);
+    if (this.written + bytes.length > this.length) {
+      throw new Error(
+        `Tried to write more than the ${this.length} bytes of the packet.`,
+      );
+    }
+
+    for (let i = 0; i < bytes.length; i += BUFFER_SIZE) {
+      this._send(bytes.subarray(i, i + BUFFER_SIZE));
+    }
+    this.written += bytes.length;
+    return bytes.length;
+  },
+};
+
+/**
+ * The input of the receivers of bulk packets, for the transports that don't
+ * use nsIStreams. The data received is pushed to it, and read from its
+ * |stream|, a ReadableStream of Uint8Arrays closed after |length| bytes.
+ *
+ * @param length number
+ *        The number of bytes of the packet.
+ */
+function BulkInput(length) {
+  this.remaining = length;
+  this.stream = new ReadableStream({
+    start: controller => {
+      this._controller = controller;
+    },
+  });
+  if (length === 0) {
+    this._controller.close();
+  }
+}
+
+BulkInput.prototype = {
+  get done() {
+    return this.remaining === 0;
+  },
+
+  /**
+   * Push received data to the stream.
+   *
+   * @param bytes Uint8Array
+   * @return Uint8Array
+   *         The part of the data past the end of the packet.
+   */
+  push(bytes) {
+    let data = bytes.subarray(0, this.remaining);
+    this._controller.enqueue(data);
+    this.remaining -= data.length;
+    if (this.remaining === 0) {
+      this._controller.close();
+    }
+    return bytes.subarray(data.length);
+  },
+
+  /**
+   * Make reading the stream fail, when the transport is closed early.
+   */
+  error(reason) {
+    if (!this.done) {
+      this._controller.error(reason);
+    }
+  },
+};
+
+function toBytes(data) {
+  if (typeof data === "string") {
+    return new TextEncoder().encode(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * Get a reader, like the one of a ReadableStream, of the chunks of an input.
+ */
+function getReader(input) {
+  if (typeof input.getReader === "function") {
+    return input.getReader();
+  }
+  if (typeof input.stream === "function") {
+    // A Blob.
+    return input.stream().getReader();
+  }
+
+  let bytes = toBytes(input);
+  let offset = 0;
+  return {
+    read() {
+      if (offset >= bytes.length) {
+        return promise.resolve({ done: true });
+      }
+      let value = bytes.subarray(offset, offset + BUFFER_SIZE);
+      offset += value.length;
+      return promise.resolve({ value, done: false });
+    },
+    releaseLock() {},
+  };
+}
+
+/**
+ * Copy exactly |length| bytes of bulk data from an input to an output, like
+ * |copyStream| does for nsIStreams.
+ *
+ * @param input ReadableStream|Blob|ArrayBuffer|ArrayBufferView|string
+ *        The data to copy.
+ * @param output WritableStream|object
+ *        A WritableStream, or an object with a |write(chunk)| method, called
+ *        with Uint8Arrays, which may return a promise.
+ * @param length number
+ *        The number of bytes to copy.
+ * @return Promise
+ *         Resolved when copying completes, it emits "progress" events, with
+ *         the |bytesSent| and |totalBytes|, for each chunk copied.
+ */
+function copyBulkData(input, output, length) {
+  let copying;
+  let copy = async function() {
+    let reader = getReader(input);
+    let writer = typeof output.getWriter === "function"
+      ? output.getWriter()
+      : output;
+
+    let bytesSent = 0;
+    try {
+      while (bytesSent < length) {
+        let { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        let chunk = toBytes(value).subarray(0, length - bytesSent);
+        await writer.write(chunk);
+        bytesSent += chunk.length;
+        copying.emit("progress", { bytesSent, totalBytes: length });
+      }
+    } finally {
+      reader.releaseLock();
+      if (writer !== output) {
+        writer.releaseLock();
+      }
+    }
+
+    if (bytesSent < length) {
+      throw new Error(`Bulk data ended after ${bytesSent} of ${length} bytes.`);
+    }
+  };
+
+  copying = copy();
+  EventEmitter.decorate(copying);
+  return copying;
+}
+
 module.exports = {
+  BulkInput: BulkInput,
+  BulkOutputStream: BulkOutputStream,
+  copyBulkData: copyBulkData,
   copyStream: copyStream,
   delimitedRead: delimitedRead,
+  toBytes: toBytes,
 };
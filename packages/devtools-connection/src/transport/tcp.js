@@ -0,0 +1,372 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const net = require("net");
+
+const EventEmitter = require("../utils/event-emitter");
+const DevToolsUtils = require("../utils/DevToolsUtils");
+const { dumpn, dumpv } = DevToolsUtils;
+const promise = require("../utils/promise");
+const { JSONPacket, BulkPacket } = require("./packets");
+const {
+  BulkInput,
+  BulkOutputStream,
+  copyBulkData,
+} = require("./stream-utils");
+
+const PACKET_HEADER_MAX = 200;
+const COLON = ":".charCodeAt(0);
+
+/**
+ * A transport speaking the framing of the Remote Debugging Protocol Stream
+ * Transport, "[length]:[JSON]" and "bulk [actor] [type] [length]:[data]", over
+ * a Node net.Socket, so that Node tools can connect to a Firefox debugger
+ * server without going through bin/firefox-proxy. It has the same API as
+ * DebuggerTransport.
+ *
+ * Like with WebSocketDebuggerTransport, bulk receivers get a ReadableStream of
+ * Uint8Arrays, and bulk senders an object whose |write(data)| method takes
+ * strings, ArrayBuffers and typed arrays, see stream-utils.js. The socket is
+ * paused while a bulk packet received is not done being read.
+ *
+ * This module depends on Node, so it isn't exported by the package's index.
+ *
+ * @param socket net.Socket
+ *        The socket, connected or connecting to the server.
+ */
+function TCPDebuggerTransport(socket) {
+  EventEmitter.decorate(this);
+
+  this.active = false;
+  this.hooks = null;
+  this._socket = socket;
+
+  // JSON packets and bulk packet headers waiting for the bulk packet being
+  // written to be done.
+  this._outgoing = [];
+  this._writingBulk = false;
+
+  // The data received that isn't part of a packet read yet.
+  this._incoming = Buffer.alloc(0);
+  this._incomingJSON = null;
+  this._incomingBulk = null;
+  this._readingBulk = false;
+
+  this._onData = this._onData.bind(this);
+  this._onSocketClosed = this._onSocketClosed.bind(this);
+  this._onError = this._onError.bind(this);
+}
+
+/**
+ * Connect to a debugger server.
+ *
+ * @param options object
+ *        The |host|, "localhost" by default, and |port|, 6000 by default, of
+ *        the server.
+ * @return Promise
+ *         Resolved with the transport once connected, rejected if the
+ *         connection fails.
+ */
+TCPDebuggerTransport.connect = function({ host = "localhost", port = 6000 }) {
+  return new Promise((resolve, reject) => {
+    let socket = net.connect({ host, port });
+    socket.once("error", reject);
+    socket.once("connect", () => {
+      socket.removeListener("error", reject);
+      resolve(new TCPDebuggerTransport(socket));
+    });
+  });
+};
+
+TCPDebuggerTransport.prototype = {
+  ready() {
+    if (this.active) {
+      return;
+    }
+
+    this._socket.on("data", this._onData);
+    this._socket.on("close", this._onSocketClosed);
+    this._socket.on("error", this._onError);
+
+    this.active = true;
+  },
+
+  send(object) {
+    this.emit("send", object);
+    if (this._writingBulk) {
+      this._outgoing.push(object);
+      return;
+    }
+    this._writeJSON(object);
+  },
+
+  _writeJSON(object) {
+    if (!this.active) {
+      return;
+    }
+    let data = Buffer.from(JSON.stringify(object), "utf8");
+    this._socket.write(`${data.length}:`);
+    this._socket.write(data);
+  },
+
+  /**
+   * Transmit streaming data via a bulk packet, see
+   * DebuggerTransport.startBulkSend and WebSocketDebuggerTransport.
+   */
+  startBulkSend(header) {
+    this.emit("startBulkSend", header);
+
+    let deferred = promise.defer();
+    this._outgoing.push({ header, deferred });
+    if (!this._writingBulk) {
+      this._flushOutgoing();
+    }
+    return deferred.promise;
+  },
+
+  _flushOutgoing() {
+    while (this._outgoing.length > 0 && !this._writingBulk) {
+      let packet = this._outgoing.shift();
+      if (packet.deferred) {
+        this._writeBulk(packet);
+      } else {
+        this._writeJSON(packet);
+      }
+    }
+  },
+
+  _writeBulk({ header, deferred }) {
+    if (!this.active) {
+      deferred.reject(new Error("Tried to send bulk data after closing."));
+      return;
+    }
+
+    let { actor, type, length } = header;
+    dumpv(`Writing bulk packet for actor ${actor}`);
+    this._writingBulk = true;
+    this._socket.write(`bulk ${actor} ${type} ${length}:`);
+
+    let stream = new BulkOutputStream(bytes => {
+      if (!this.active) {
+        throw new Error("Tried to write to a closed transport.");
+      }
+      // The socket may hold on to the data after write() returns.
+      this._socket.write(Buffer.from(bytes));
+    }, length);
+    let done = promise.defer();
+
+    DevToolsUtils.executeSoon(() => {
+      deferred.resolve({
+        stream,
+        done,
+        copyFrom: input => {
+          let copying = copyBulkData(input, stream, length);
+          done.resolve(copying);
+          return copying;
+        },
+      });
+    });
+
+    done.promise.then(
+      () => {
+        dumpv("Bulk packet written, ending bulk mode");
+        this._writingBulk = false;
+        this._flushOutgoing();
+      },
+      reason => this.close(reason),
+    );
+  },
+
+  /**
+   * Close the transport.
+   *
+   * @param reason object (optional)
+   *        The error that caused the transport to close.
+   */
+  close(reason) {
+    if (!this._socket) {
+      return;
+    }
+
+    this.emit("onClosed", reason);
+    this.active = false;
+
+    if (this._incomingBulk) {
+      this._incomingBulk.error(
+        new Error("The transport was closed while reading bulk data."),
+      );
+    }
+    this._incoming = Buffer.alloc(0);
+    this._incomingJSON = null;
+    this._incomingBulk = null;
+    this._outgoing = [];
+
+    this._socket.removeListener("data", this._onData);
+    this._socket.removeListener("close", this._onSocketClosed);
+    this._socket.removeListener("error", this._onError);
+    this._socket.destroy();
+    this._socket = null;
+
+    if (this.hooks) {
+      this.hooks.onClosed(reason);
+      this.hooks = null;
+    }
+  },
+
+  _onSocketClosed() {
+    this.close();
+  },
+
+  _onError(error) {
+    dumpn(`TCP transport error: ${error}`);
+    this.close(error);
+  },
+
+  _onData(data) {
+    this._incoming = this._incoming.length > 0
+      ? Buffer.concat([this._incoming, data])
+      : data;
+    this._processIncoming();
+  },
+
+  _processIncoming() {
+    while (this.active) {
+      if (this._incomingBulk) {
+        if (this._incoming.length == 0) {
+          return;
+        }
+        this._incoming = this._incomingBulk.push(this._incoming);
+        if (this._incomingBulk.done) {
+          this._endBulkData();
+        }
+      } else if (this._readingBulk) {
+        // Wait for the bulk packet being read to be done.
+        return;
+      } else if (this._incomingJSON) {
+        if (!this._readJSON()) {
+          return;
+        }
+      } else if (!this._readHeader()) {
+        return;
+      }
+    }
+  },
+
+  /**
+   * Read the header of the next packet.
+   *
+   * @return boolean
+   *         Whether a header was read.
+   */
+  _readHeader() {
+    let end = this._incoming.indexOf(COLON);
+    let headerLength = end == -1 ? this._incoming.length : end + 1;
+    if (headerLength > PACKET_HEADER_MAX) {
+      this.close(new Error("Received a packet header that is too long."));
+      return false;
+    }
+    if (end == -1) {
+      return false;
+    }
+
+    let header = this._incoming.toString("utf8", 0, end + 1);
+    this._incoming = this._incoming.subarray(end + 1);
+
+    let match = JSONPacket.HEADER_PATTERN.exec(header);
+    if (match) {
+      this._incomingJSON = { length: +match[1] };
+      return true;
+    }
+
+    match = BulkPacket.HEADER_PATTERN.exec(header);
+    if (match) {
+      this._startBulkData(match[1], match[2], +match[3]);
+      return true;
+    }
+
+    dumpn(`Invalid packet header: ${header}`);
+    this.close(new Error("Received an invalid packet header."));
+    return false;
+  },
+
+  /**
+   * Read the JSON packet whose header was read, if it was fully received.
+   *
+   * @return boolean
+   *         Whether the packet was read.
+   */
+  _readJSON() {
+    let { length } = this._incomingJSON;
+    if (this._incoming.length < length) {
+      return false;
+    }
+
+    let data = this._incoming.toString("utf8", 0, length);
+    this._incoming = this._incoming.subarray(length);
+    this._incomingJSON = null;
+
+    let object;
+    try {
+      object = JSON.parse(data);
+    } catch (e) {
+      dumpn(`Error parsing incoming packet: ${data} (${e})`);
+      return true;
+    }
+
+    this.emit("packet", object);
+    if (this.hooks) {
+      this.hooks.onPacket(object);
+    }
+    return true;
+  },
+
+  _startBulkData(actor, type, length) {
+    dumpv(`Reading bulk packet for actor ${actor}`);
+
+    let input = new BulkInput(length);
+    this._incomingBulk = input.done ? null : input;
+    this._readingBulk = true;
+
+    let deferred = promise.defer();
+    let packet = {
+      actor,
+      type,
+      length,
+      stream: input.stream,
+      done: deferred,
+      copyTo: output => {
+        let copying = copyBulkData(input.stream, output, length);
+        deferred.resolve(copying);
+        return copying;
+      },
+    };
+
+    this.emit("onBulkPacket", packet);
+    if (this.hooks) {
+      this.hooks.onBulkPacket(packet);
+    }
+
+    deferred.promise.then(
+      () => {
+        dumpv("Bulk packet read, ending bulk mode");
+        this._readingBulk = false;
+        if (this._socket) {
+          this._socket.resume();
+        }
+        this._processIncoming();
+      },
+      reason => this.close(reason),
+    );
+  },
+
+  _endBulkData() {
+    this._incomingBulk = null;
+    // Don't receive more than the next packets until this one is read.
+    if (this._readingBulk) {
+      this._socket.pause();
+    }
+  },
+};
+
+exports.TCPDebuggerTransport = TCPDebuggerTransport;
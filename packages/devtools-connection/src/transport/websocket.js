@@ -3,13 +3,59 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 const EventEmitter = require("../utils/event-emitter");
+const DevToolsUtils = require("../utils/DevToolsUtils");
+const { dumpn, dumpv } = DevToolsUtils;
+const promise = require("../utils/promise");
+const { BulkPacket } = require("./packets");
+const {
+  BulkInput,
+  BulkOutputStream,
+  copyBulkData,
+  toBytes,
+} = require("./stream-utils");
 
+/**
+ * A transport over a WebSocket. JSON packets are sent as text frames.
+ *
+ * Bulk packets are sent as binary frames: one with the same header as
+ * BulkPacket, "bulk [actor] [type] [length]:", then frames of data until
+ * |length| bytes are sent. As with DebuggerTransport, the packets sent while
+ * bulk data is being written wait for it to be done, and the packets received
+ * while bulk data is being read are only delivered once it is done.
+ *
+ * The streams handed to bulk senders and receivers are not nsIStreams:
+ * receivers get a ReadableStream of Uint8Arrays, and senders an object whose
+ * |write(data)| method takes strings, ArrayBuffers and typed arrays. The
+ * |copyTo| helper copies to a WritableStream or any object with a |write|
+ * method, and |copyFrom| copies from a ReadableStream, a Blob, an
+ * ArrayBuffer, a typed array or a string.
+ *
+ * @param socket WebSocket
+ *        The socket, connected to the server.
+ */
 function WebSocketDebuggerTransport(socket) {
   EventEmitter.decorate(this);
 
   this.active = false;
   this.hooks = null;
   this.socket = socket;
+
+  // JSON packets and bulk packet headers waiting for the bulk packet being
+  // written to be done.
+  this._outgoing = [];
+  this._writingBulk = false;
+
+  // Frames waiting for |ready|, or for the bulk packet being read to be done.
+  this._incoming = [];
+  this._incomingBulk = null;
+  this._readingBulk = false;
+
+  // Bulk data has to be read synchronously, which Blobs can't be.
+  this.socket.binaryType = "arraybuffer";
+  // Listen right away, servers asking for a token send a packet as soon as
+  // the socket is open.
+  this.socket.addEventListener("message", this);
+  this.socket.addEventListener("close", this);
 }
 
 WebSocketDebuggerTransport.prototype = {
@@ -18,34 +64,139 @@ WebSocketDebuggerTransport.prototype = {
       return;
     }
 
-    this.socket.addEventListener("message", this);
-    this.socket.addEventListener("close", this);
-
     this.active = true;
+    this._processIncoming();
   },
 
   send(object) {
     this.emit("send", object);
+    if (this._writingBulk) {
+      this._outgoing.push(object);
+      return;
+    }
     if (this.socket) {
       this.socket.send(JSON.stringify(object));
     }
   },
 
-  startBulkSend() {
-    throw new Error("Bulk send is not supported by WebSocket transport");
+  /**
+   * Transmit streaming data via a bulk packet, see
+   * DebuggerTransport.startBulkSend.
+   *
+   * @param header Object
+   *        The |actor| that will receive the packet, the |type| of the
+   *        packet, and the |length| of the data to be sent.
+   * @return Promise
+   *         Resolved, when the data can be written, with an object
+   *         containing:
+   *           * stream:   An object whose |write(data)| method sends data.
+   *                       Exactly |length| bytes must be written.
+   *           * done:     If you use the stream directly (instead of
+   *                       |copyFrom| below), you must signal completion by
+   *                       resolving / rejecting this deferred. If it's
+   *                       rejected, the transport will be closed.
+   *           * copyFrom: A helper function copying |length| bytes from a
+   *                       ReadableStream, a Blob, an ArrayBuffer, a typed
+   *                       array or a string. It returns a promise resolved
+   *                       when copying completes, which emits "progress"
+   *                       events with the |bytesSent| and |totalBytes|.
+   */
+  startBulkSend(header) {
+    this.emit("startBulkSend", header);
+
+    let deferred = promise.defer();
+    this._outgoing.push({ header, deferred });
+    if (!this._writingBulk) {
+      this._flushOutgoing();
+    }
+    return deferred.promise;
+  },
+
+  _flushOutgoing() {
+    while (this._outgoing.length > 0 && !this._writingBulk) {
+      let packet = this._outgoing.shift();
+      if (packet.deferred) {
+        this._writeBulk(packet);
+      } else if (this.socket) {
+        this.socket.send(JSON.stringify(packet));
+      }
+    }
   },
 
-  close() {
-    this.emit("close");
+  _writeBulk({ header, deferred }) {
+    if (!this.socket) {
+      deferred.reject(new Error("Tried to send bulk data after closing."));
+      return;
+    }
+
+    let { actor, type, length } = header;
+    dumpv(`Writing bulk packet for actor ${actor}`);
+    this._writingBulk = true;
+    this.socket.send(toBytes(`bulk ${actor} ${type} ${length}:`));
+
+    let stream = new BulkOutputStream(bytes => {
+      if (!this.socket) {
+        throw new Error("Tried to write to a closed transport.");
+      }
+      this.socket.send(bytes);
+    }, length);
+    let done = promise.defer();
+
+    // Don't let the sender write before the header is on its way, just like
+    // the stream transports.
+    DevToolsUtils.executeSoon(() => {
+      deferred.resolve({
+        stream,
+        done,
+        copyFrom: input => {
+          let copying = copyBulkData(input, stream, length);
+          done.resolve(copying);
+          return copying;
+        },
+      });
+    });
+
+    done.promise.then(
+      () => {
+        dumpv("Bulk packet written, ending bulk mode");
+        this._writingBulk = false;
+        this._flushOutgoing();
+      },
+      reason => this.close(reason),
+    );
+  },
+
+  /**
+   * Close the transport. Closing a closed transport does nothing, which
+   * happens when closing it fails the bulk copy in progress.
+   *
+   * @param reason object (optional)
+   *        The error that caused the transport to close.
+   */
+  close(reason) {
+    if (!this.socket) {
+      return;
+    }
+
+    this.emit("close", reason);
     this.active = false;
 
+    if (this._incomingBulk) {
+      this._incomingBulk.error(
+        new Error("The transport was closed while reading bulk data."),
+      );
+    }
+    this._incoming = [];
+    this._incomingBulk = null;
+    this._outgoing = [];
+
     this.socket.removeEventListener("message", this);
     this.socket.removeEventListener("close", this);
     this.socket.close();
     this.socket = null;
 
     if (this.hooks) {
-      this.hooks.onClosed();
+      this.hooks.onClosed(reason);
       this.hooks = null;
     }
   },
@@ -62,18 +213,91 @@ WebSocketDebuggerTransport.prototype = {
   },
 
   onMessage({ data }) {
-    if (typeof data !== "string") {
-      throw new Error(
-        "Binary messages are not supported by WebSocket transport",
-      );
+    this._incoming.push(data);
+    this._processIncoming();
+  },
+
+  _processIncoming() {
+    while (this._incoming.length > 0 && this.active) {
+      let isBinary = typeof this._incoming[0] !== "string";
+      if (this._incomingBulk && isBinary) {
+        this._onBulkData(this._incoming.shift());
+      } else if (this._readingBulk) {
+        // Wait for the bulk packet being read to be done.
+        return;
+      } else if (isBinary) {
+        this._onBulkHeader(this._incoming.shift());
+      } else {
+        this._onJSONPacket(this._incoming.shift());
+      }
     }
+  },
 
+  _onJSONPacket(data) {
     let object = JSON.parse(data);
     this.emit("packet", object);
     if (this.hooks) {
       this.hooks.onPacket(object);
     }
   },
+
+  _onBulkHeader(data) {
+    let header = new TextDecoder().decode(data);
+    let match = BulkPacket.HEADER_PATTERN.exec(header);
+    if (!match) {
+      dumpn(`Invalid bulk packet header: ${header}`);
+      this.close(new Error("Received an invalid bulk packet header."));
+      return;
+    }
+
+    let actor = match[1];
+    let type = match[2];
+    let length = +match[3];
+    dumpv(`Reading bulk packet for actor ${actor}`);
+
+    let input = new BulkInput(length);
+    this._incomingBulk = input.done ? null : input;
+    this._readingBulk = true;
+
+    let deferred = promise.defer();
+    let packet = {
+      actor,
+      type,
+      length,
+      stream: input.stream,
+      done: deferred,
+      copyTo: output => {
+        let copying = copyBulkData(input.stream, output, length);
+        deferred.resolve(copying);
+        return copying;
+      },
+    };
+
+    this.emit("onBulkPacket", packet);
+    if (this.hooks) {
+      this.hooks.onBulkPacket(packet);
+    }
+
+    deferred.promise.then(
+      () => {
+        dumpv("Bulk packet read, ending bulk mode");
+        this._readingBulk = false;
+        this._processIncoming();
+      },
+      reason => this.close(reason),
+    );
+  },
+
+  _onBulkData(data) {
+    let extra = this._incomingBulk.push(new Uint8Array(data));
+    if (extra.length > 0) {
+      this.close(new Error("Received more bulk data than announced."));
+      return;
+    }
+    if (this._incomingBulk.done) {
+      this._incomingBulk = null;
+    }
+  },
 };
 
 module.exports = WebSocketDebuggerTransport;
@@ -62,6 +62,7 @@ module.exports = {
     },
     inIDOMUtils: 'inIDOMUtils',
     nsIClipboardHelper: 'nsIClipboardHelper',
+    nsIMessageSender: 'nsIMessageSender',
     nsIXULChromeRegistry: 'nsIXULChromeRegistry',
   },
   Cu: {
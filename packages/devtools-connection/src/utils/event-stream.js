@@ -0,0 +1,89 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Turn the events of an event source (see eventSource in
+ * ../debugger/client.js) into an async iterable, so that they can be consumed
+ * with a for await loop:
+ *
+ *   for await (let packet of eventStream(threadClient, ["paused"])) {
+ *     ...
+ *   }
+ *
+ * The stream yields the first argument the listeners get after the event
+ * name, usually the packet. Events are buffered until they are consumed. The
+ * stream ends once one of the |aEnds| events is emitted, after the events
+ * received before it are consumed. Leaving the loop early removes the
+ * listeners.
+ *
+ * @param aSource object
+ *        The event source.
+ * @param aNames array
+ *        The names of the events to yield.
+ * @param aEnds array (optional)
+ *        The events ending the stream, as { source, name } objects.
+ * @return object
+ *         The async iterable, which is its own iterator.
+ */
+function eventStream(aSource, aNames, aEnds = []) {
+  let values = [];
+  let pending = [];
+  let done = false;
+
+  let onEvent = (aName, aValue) => {
+    if (pending.length > 0) {
+      pending.shift()({ value: aValue, done: false });
+    } else {
+      values.push(aValue);
+    }
+  };
+
+  let finish = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    for (let name of aNames) {
+      aSource.removeListener(name, onEvent);
+    }
+    for (let { source, name } of aEnds) {
+      source.removeListener(name, finish);
+    }
+    for (let resolve of pending) {
+      resolve({ value: undefined, done: true });
+    }
+    pending = [];
+  };
+
+  for (let name of aNames) {
+    aSource.addListener(name, onEvent);
+  }
+  for (let { source, name } of aEnds) {
+    source.addListener(name, finish);
+  }
+
+  return {
+    next() {
+      if (values.length > 0) {
+        return Promise.resolve({ value: values.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(resolve => pending.push(resolve));
+    },
+
+    return() {
+      values = [];
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
+exports.eventStream = eventStream;
@@ -0,0 +1,24 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Get the storage a service persists its data in across sessions, from its
+ * |storage| option.
+ *
+ * @param aStorage object|null|undefined
+ *        Any object with the |getItem| and |setItem| methods of the
+ *        asyncStorage of devtools-modules, and |removeItem| for a SourceCache,
+ *        null to keep the data in memory only.
+ * @return object|null
+ *         |aStorage|, or asyncStorage if it's undefined.
+ */
+function getStorage(aStorage) {
+  if (aStorage !== undefined) {
+    return aStorage;
+  }
+  // devtools-modules is only loaded when needed, it requires a browser.
+  return require("devtools-modules").asyncStorage;
+}
+
+exports.getStorage = getStorage;
@@ -6,6 +6,10 @@ const { Cc, Ci, Cu } = require("../utils/chrome");
 const DevToolsUtils = require("../utils/DevToolsUtils");
 const EventEmitter = require("../utils/event-emitter");
 const promise = require("../utils/promise");
+const { HarArchive } = require("./har");
+
+// The message types the console actor sends to the listeners started.
+const CONSOLE_MESSAGES = ["consoleAPICall", "pageError", "logMessage"];
 
 /**
  * A WebConsoleClient is used as a front end for the WebConsoleActor that is
@@ -28,15 +32,21 @@ function WebConsoleClient(aDebuggerClient, aResponse, LongStringClient)
   this.traits = aResponse.traits || {};
   this.events = [];
   this._networkRequests = new Map();
+  this._startedListeners = new Set(aResponse.startedListeners || []);
+  this._networkEventWaits = new Set();
 
   this.pendingEvaluationResults = new Map();
   this.onEvaluationResult = this.onEvaluationResult.bind(this);
   this.onNetworkEvent = this._onNetworkEvent.bind(this);
   this.onNetworkEventUpdate = this._onNetworkEventUpdate.bind(this);
+  this.onConsoleMessage = this._onConsoleMessage.bind(this);
 
   this._client.addListener("evaluationResult", this.onEvaluationResult);
   this._client.addListener("networkEvent", this.onNetworkEvent);
   this._client.addListener("networkEventUpdate", this.onNetworkEventUpdate);
+  CONSOLE_MESSAGES.forEach(type => {
+    this._client.addListener(type, this.onConsoleMessage);
+  });
   EventEmitter.decorate(this);
 }
 
@@ -171,6 +181,23 @@ WebConsoleClient.prototype = {
     });
   },
 
+  /**
+   * The "consoleAPICall", "pageError" and "logMessage" message types handler.
+   * We redirect the messages of this console to the UI for displaying.
+   *
+   * @private
+   * @param string type
+   *        Message type.
+   * @param object packet
+   *        The message received from the server.
+   */
+  _onConsoleMessage: function (type, packet)
+  {
+    if (packet.from == this._actor) {
+      this.emit(type, packet);
+    }
+  },
+
   /**
    * Retrieve the cached messages from the server.
    *
@@ -180,6 +207,8 @@ WebConsoleClient.prototype = {
    *        this.CACHED_MESSAGES for known types.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getCachedMessages: function WCC_getCachedMessages(types, aOnResponse)
   {
@@ -188,7 +217,7 @@ WebConsoleClient.prototype = {
       type: "getCachedMessages",
       messageTypes: types,
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -263,6 +292,10 @@ WebConsoleClient.prototype = {
   /**
    * Evaluate a JavaScript expression asynchronously.
    * See evaluateJS for parameter and response information.
+   *
+   * @return object Promise
+   *         Resolved with the evaluationResult packet, or rejected with it if
+   *         it's an error.
    */
   evaluateJSAsync: function(aString, aOptions = {})
   {
@@ -282,13 +315,21 @@ WebConsoleClient.prototype = {
       selectedObjectActor: aOptions.selectedObjectActor,
     };
 
-    return this._client.request(packet, response => {
+    let deferred = promise.defer();
+    this._client.request(packet).then(response => {
       // Null check this in case the client has been detached while waiting
       // for a response.
       if (this.pendingEvaluationResults) {
-        this.pendingEvaluationResults.set(response.resultID, aOnResponse);
+        this.pendingEvaluationResults.set(response.resultID, result => {
+          if (result.error) {
+            deferred.reject(result);
+          } else {
+            deferred.resolve(result);
+          }
+        });
       }
-    });
+    }, deferred.reject);
+    return deferred.promise;
   },
 
   /**
@@ -326,6 +367,8 @@ WebConsoleClient.prototype = {
    *        The function invoked when the response is received.
    * @param string aFrameActor
    *        The id of the frame actor that made the call.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   autocomplete: function WCC_autocomplete(aString, aCursor, aOnResponse, aFrameActor)
   {
@@ -336,7 +379,7 @@ WebConsoleClient.prototype = {
       cursor: aCursor,
       frameActor: aFrameActor,
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -394,6 +437,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getRequestHeaders: function WCC_getRequestHeaders(aActor, aOnResponse)
   {
@@ -401,7 +446,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getRequestHeaders",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -411,6 +456,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getRequestCookies: function WCC_getRequestCookies(aActor, aOnResponse)
   {
@@ -418,7 +465,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getRequestCookies",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -428,6 +475,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getRequestPostData: function WCC_getRequestPostData(aActor, aOnResponse)
   {
@@ -435,7 +484,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getRequestPostData",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -445,6 +494,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getResponseHeaders: function WCC_getResponseHeaders(aActor, aOnResponse)
   {
@@ -452,7 +503,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getResponseHeaders",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -462,6 +513,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getResponseCookies: function WCC_getResponseCookies(aActor, aOnResponse)
   {
@@ -469,7 +522,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getResponseCookies",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -479,6 +532,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getResponseContent: function WCC_getResponseContent(aActor, aOnResponse)
   {
@@ -486,7 +541,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getResponseContent",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -496,6 +551,8 @@ WebConsoleClient.prototype = {
    *        The NetworkEventActor ID.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   getEventTimings: function WCC_getEventTimings(aActor, aOnResponse)
   {
@@ -503,7 +560,7 @@ WebConsoleClient.prototype = {
       to: aActor,
       type: "getEventTimings",
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
   },
 
   /**
@@ -541,6 +598,80 @@ WebConsoleClient.prototype = {
     return this._client.request(packet, onResponse);
   },
 
+  /**
+   * Retrieve everything the server reported about a network request: the
+   * data of each update it sent, see _onNetworkEventUpdate, with the long
+   * strings of the headers, cookies, post data and content resolved. The data
+   * that failed to load is null.
+   *
+   * @param string aActor
+   *        The NetworkEventActor ID.
+   * @param object [aOptions={}]
+   *        - includeResponseContent: whether to retrieve the response
+   *        content, true by default.
+   * @return object Promise
+   *         Resolved with the responses by update type, e.g.
+   *         { requestHeaders: { headers, headersSize }, eventTimings: ... }.
+   */
+  getNetworkEventDetails: function(aActor, aOptions = {})
+  {
+    let networkInfo = this.getNetworkRequest(aActor);
+    let requesters = {
+      requestHeaders: "getRequestHeaders",
+      requestCookies: "getRequestCookies",
+      requestPostData: "getRequestPostData",
+      responseHeaders: "getResponseHeaders",
+      responseCookies: "getResponseCookies",
+      eventTimings: "getEventTimings",
+    };
+    if (aOptions.includeResponseContent !== false) {
+      requesters.responseContent = "getResponseContent";
+    }
+
+    let types = Object.keys(requesters).filter(aType => {
+      return !!networkInfo && networkInfo.updates.includes(aType);
+    });
+    let fetching = types.map(aType => {
+      return this[requesters[aType]](aActor)
+        .then(aResponse => this._resolveLongStrings(aResponse))
+        .then(null, () => null);
+    });
+
+    return promise.all(fetching).then(aResponses => {
+      let details = {};
+      types.forEach((aType, i) => (details[aType] = aResponses[i]));
+      return details;
+    });
+  },
+
+  /**
+   * Replace the long string grips of a response, the values of headers and
+   * cookies, the post data and the content, with their text.
+   *
+   * @private
+   */
+  _resolveLongStrings: function(aResponse)
+  {
+    let resolving = [];
+    let resolve = (aObject, aProperty) => {
+      if (aObject && aObject[aProperty] && aObject[aProperty].type) {
+        resolving.push(this.getString(aObject[aProperty]).then(aText => {
+          aObject[aProperty] = aText;
+        }));
+      }
+    };
+
+    for (let header of aResponse.headers || []) {
+      resolve(header, "value");
+    }
+    for (let cookie of aResponse.cookies || []) {
+      resolve(cookie, "value");
+    }
+    resolve(aResponse.postData, "text");
+    resolve(aResponse.content, "text");
+    return promise.all(resolving).then(() => aResponse);
+  },
+
   /**
    * Send a HTTP request with the given data.
    *
@@ -548,6 +679,8 @@ WebConsoleClient.prototype = {
    *        The details of the HTTP request.
    * @param function aOnResponse
    *        The function invoked when the response is received.
+   * @return request
+   *         Request object that implements both Promise and EventEmitter interfaces
    */
   sendHTTPRequest: function WCC_sendHTTPRequest(aData, aOnResponse) {
     let packet = {
@@ -555,7 +688,142 @@ WebConsoleClient.prototype = {
       type: "sendHTTPRequest",
       request: aData
     };
-    this._client.request(packet, aOnResponse);
+    return this._client.request(packet, aOnResponse);
+  },
+
+  /**
+   * Send a recorded network request again, optionally edited, like the
+   * "Edit and Resend" feature of the Network Monitor.
+   *
+   * The new request is followed through the network events, so the
+   * "NetworkActivity" listener has to be started, see startListeners. The
+   * promise is rejected otherwise, and when the listener is stopped or the
+   * client detached before the request completed.
+   *
+   * @param string aActor
+   *        The NetworkEventActor ID of the request to send again.
+   * @param object|function [aPatch]
+   *        The fields to change in the request, among |url|, |method|,
+   *        |headers| (an array of { name, value }) and |body|. Or a function
+   *        called with these fields to edit them, returning them or nothing.
+   * @param object [aOptions]
+   *        - timeout: how long to wait for the new request to complete, in
+   *          milliseconds, before rejecting. 0, the default, waits forever.
+   * @return object Promise
+   *         Resolved with the network info of the new request once it
+   *         completed, with its details, see getNetworkEventDetails.
+   */
+  resendRequest: function(aActor, aPatch = {}, aOptions = {})
+  {
+    let networkInfo = this.getNetworkRequest(aActor);
+    if (!networkInfo) {
+      return promise.reject(new Error(`Unknown network request: ${aActor}`));
+    }
+    if (!this._startedListeners.has("NetworkActivity")) {
+      return promise.reject(
+        new Error("The NetworkActivity listener isn't started"));
+    }
+
+    let { url, method } = networkInfo.request;
+    let details = { includeResponseContent: false };
+    return this.getNetworkEventDetails(aActor, details)
+      .then(({ requestHeaders, requestPostData }) => {
+        let data = {
+          url,
+          method,
+          headers: requestHeaders ? requestHeaders.headers : [],
+        };
+        if (requestPostData && requestPostData.postData) {
+          data.body = requestPostData.postData.text;
+        }
+        if (typeof aPatch == "function") {
+          data = aPatch(data) || data;
+        } else {
+          Object.assign(data, aPatch);
+        }
+        return this.sendHTTPRequest(data);
+      })
+      .then(aResponse => {
+        return this._waitForNetworkEvent(aResponse.eventActor.actor,
+                                         aOptions.timeout);
+      })
+      .then(aInfo => {
+        return this.getNetworkEventDetails(aInfo.actor).then(aDetails => {
+          return Object.assign({}, aInfo, aDetails);
+        });
+      });
+  },
+
+  /**
+   * Wait until the server sent the timings of a network request, its last
+   * update.
+   *
+   * @private
+   * @param string aActor
+   *        The NetworkEventActor ID of the request.
+   * @param number [aTimeout]
+   *        The milliseconds to wait before rejecting, 0 to wait until the
+   *        listener is stopped or the client detached.
+   * @return object Promise
+   *         Resolved with the network info of the request.
+   */
+  _waitForNetworkEvent: function(aActor, aTimeout = 0)
+  {
+    if (!this._startedListeners.has("NetworkActivity")) {
+      return promise.reject(
+        new Error("The NetworkActivity listener isn't started"));
+    }
+
+    let isComplete = aInfo => aInfo.updates.includes("eventTimings");
+    let networkInfo = this.getNetworkRequest(aActor);
+    if (networkInfo && isComplete(networkInfo)) {
+      return promise.resolve(networkInfo);
+    }
+
+    let deferred = promise.defer();
+    let timer = null;
+    let wait = {
+      resolve: aInfo => {
+        wait.done();
+        deferred.resolve(aInfo);
+      },
+      reject: aError => {
+        wait.done();
+        deferred.reject(aError);
+      },
+      done: () => {
+        this.off("networkEventUpdate", onUpdate);
+        clearTimeout(timer);
+        this._networkEventWaits.delete(wait);
+      },
+    };
+    let onUpdate = (aType, { networkInfo }) => {
+      if (networkInfo.actor == aActor && isComplete(networkInfo)) {
+        wait.resolve(networkInfo);
+      }
+    };
+
+    this.on("networkEventUpdate", onUpdate);
+    this._networkEventWaits.add(wait);
+    if (aTimeout > 0) {
+      timer = setTimeout(() => {
+        wait.reject(new Error(`Timed out waiting for network event ${aActor}`));
+      }, aTimeout);
+    }
+    return deferred.promise;
+  },
+
+  /**
+   * Reject the promises of _waitForNetworkEvent, once the network events
+   * stopped coming in.
+   *
+   * @private
+   */
+  _rejectNetworkEventWaits: function(aMessage)
+  {
+    for (let wait of [...this._networkEventWaits]) {
+      wait.reject(new Error(aMessage));
+    }
   },
 
   /**
@@ -575,7 +843,14 @@ WebConsoleClient.prototype = {
       type: "startListeners",
       listeners: aListeners,
     };
-    this._client.request(packet, aOnResponse);
+    this._client.request(packet, aResponse => {
+      for (let listener of aResponse.startedListeners || []) {
+        this._startedListeners.add(listener);
+      }
+      if (aOnResponse) {
+        aOnResponse(aResponse);
+      }
+    });
   },
 
   /**
@@ -595,7 +870,18 @@ WebConsoleClient.prototype = {
       type: "stopListeners",
       listeners: aListeners,
     };
-    this._client.request(packet, aOnResponse);
+    this._client.request(packet, aResponse => {
+      for (let listener of aResponse.stoppedListeners || []) {
+        this._startedListeners.delete(listener);
+      }
+      if (!this._startedListeners.has("NetworkActivity")) {
+        this._rejectNetworkEventWaits(
+          "The NetworkActivity listener was stopped");
+      }
+      if (aOnResponse) {
+        aOnResponse(aResponse);
+      }
+    });
   },
 
   /**
@@ -630,7 +916,11 @@ WebConsoleClient.prototype = {
     this._client.removeListener("evaluationResult", this.onEvaluationResult);
     this._client.removeListener("networkEvent", this.onNetworkEvent);
     this._client.removeListener("networkEventUpdate", this.onNetworkEventUpdate);
+    CONSOLE_MESSAGES.forEach(type => {
+      this._client.removeListener(type, this.onConsoleMessage);
+    });
     this.stopListeners(null, aOnResponse);
+    this._rejectNetworkEventWaits("The console client was detached");
     this._longStrings = null;
     this._client = null;
     this.pendingEvaluationResults.clear();
@@ -643,6 +933,20 @@ WebConsoleClient.prototype = {
     this._networkRequests.clear();
   },
 
+  /**
+   * Export the network requests recorded as a HAR 1.2 document.
+   *
+   * @see HarArchive.fromConsole
+   * @param object [aOptions={}]
+   *        The |title| of the page, whether to |includeResponseBodies| and
+   *        the |creator| of the document.
+   * @return object Promise
+   *         Resolved with the HAR document.
+   */
+  exportHAR: function(aOptions = {}) {
+    return HarArchive.fromConsole(this, aOptions);
+  },
+
   /**
    * Fetches the full text of a LongString.
    *
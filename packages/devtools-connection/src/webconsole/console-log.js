@@ -0,0 +1,439 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+const promise = require("../utils/promise");
+const { getStorage } = require("../utils/storage");
+
+const DEFAULT_MAX_MESSAGES = 1000;
+const DEFAULT_STORAGE_KEY = "devtools-connection.console";
+const MESSAGE_TYPES = ["consoleAPICall", "pageError", "logMessage"];
+
+// The levels of the console API methods that aren't levels themselves.
+const API_LEVELS = {
+  assert: "error",
+  trace: "log",
+  table: "log",
+  dir: "log",
+  dirxml: "log",
+  group: "log",
+  groupCollapsed: "log",
+  groupEnd: "log",
+  count: "log",
+  time: "log",
+  timeEnd: "log",
+  exception: "error",
+};
+
+/**
+ * Collects the messages of a WebConsoleClient, the cached ones and the ones
+ * streamed by its listeners, as normalized messages:
+ *
+ *   {
+ *     id: 12,
+ *     source: "console-api", // or "javascript", "css" or "other"
+ *     level: "error", // "log", "info", "warn", "error" or "debug"
+ *     type: "assert", // the console API method, or the packet type
+ *     text: "Assertion failed: x is 1",
+ *     arguments: [<grip>], // console API calls only, not persisted
+ *     url, line, column,
+ *     timeStamp: 1494424400000,
+ *     repeat: 1,
+ *     stacktrace, // if any
+ *   }
+ *
+ * Messages repeated one after the other are grouped in one, whose |repeat|
+ * is incremented and whose |lastTimeStamp| is the one of the last repeat.
+ * The messages of the cache of the server that were already collected,
+ * streamed or restored, are skipped by |start|. Each message collected stands
+ * for as many cached messages as it has repeats, with the same content and
+ * logged between its first and last time stamps.
+ *
+ * The history is persisted in the storage and restored by |start|, so it
+ * survives reloads and new sessions. With a target, every navigation adds a
+ * message of the "navigation" source.
+ *
+ * The service emits "message" with each new message, "repeat" with the
+ * messages repeated and "cleared".
+ *
+ * @param aConsoleClient WebConsoleClient
+ *        The client whose messages are collected. Its "PageError" and
+ *        "ConsoleAPI" listeners should be started.
+ * @param aOptions object
+ *        - target: a TabTarget whose navigations are recorded.
+ *        - storage: where to persist the messages, see |getStorage| in
+ *          utils/storage.
+ *        - storageKey: the key of the messages in the storage.
+ *        - maxMessages: the number of messages kept, 1000 by default.
+ */
+function ConsoleLogService(aConsoleClient, aOptions = {}) {
+  EventEmitter.decorate(this);
+
+  this.consoleClient = aConsoleClient;
+  this.target = aOptions.target || null;
+  this._storage = getStorage(aOptions.storage);
+  this._storageKey = aOptions.storageKey || DEFAULT_STORAGE_KEY;
+  this.maxMessages = aOptions.maxMessages || DEFAULT_MAX_MESSAGES;
+
+  this._messages = [];
+  this._nextId = 1;
+  this._saving = null;
+
+  this._onPacket = this._onPacket.bind(this);
+  this._onNavigate = this._onNavigate.bind(this);
+  MESSAGE_TYPES.forEach(aType => this.consoleClient.on(aType, this._onPacket));
+  if (this.target) {
+    this.target.on("navigate", this._onNavigate);
+  }
+}
+
+ConsoleLogService.prototype = {
+  /**
+   * Restore the history from the storage, then add the messages the server
+   * cached.
+   *
+   * @return Promise
+   *         Resolved with the messages once they are all added.
+   */
+  start: function() {
+    let restoring = this._storage
+      ? this._storage.getItem(this._storageKey)
+      : promise.resolve(null);
+
+    return restoring
+      .then(aSaved => {
+        // The messages streamed meanwhile come after the history.
+        let messages = (aSaved || []).concat(this._messages);
+        this._messages = [];
+        messages.forEach(aMessage => this._add(aMessage, false));
+        let types = ["ConsoleAPI", "PageError"];
+        return this.consoleClient.getCachedMessages(types);
+      })
+      .then(aResponse => {
+        let known = new Map(this._messages.map(aMessage => {
+          return [aMessage, aMessage.repeat];
+        }));
+        for (let cached of aResponse.messages || []) {
+          let message = normalizeCached(cached);
+          if (message && !takeKnownMessage(known, message)) {
+            this._add(message, true);
+          }
+        }
+        return this.getMessages();
+      });
+  },
+
+  /**
+   * Get the messages collected, oldest first.
+   *
+   * @param aFilter object
+   *        Only return the messages matching all of:
+   *        - levels: an array of levels.
+   *        - sources: an array of sources.
+   *        - text: a string found in the text or the URL of the message,
+   *          case insensitively.
+   *        - regex: a RegExp, or its source, matching the text or the URL.
+   *        - url: a string found in the URL.
+   * @return array
+   *         The messages.
+   */
+  getMessages: function(aFilter = {}) {
+    let matches = createFilter(aFilter);
+    return this._messages.filter(matches);
+  },
+
+  /**
+   * Remove all the messages, from the storage and the cache of the server as
+   * well.
+   *
+   * @return Promise
+   *         Resolved once the storage is cleared.
+   */
+  clear: function() {
+    this._messages = [];
+    this.consoleClient.clearMessagesCache();
+    this.emit("cleared");
+    return this._save();
+  },
+
+  destroy: function() {
+    MESSAGE_TYPES.forEach(aType => {
+      this.consoleClient.off(aType, this._onPacket);
+    });
+    if (this.target) {
+      this.target.off("navigate", this._onNavigate);
+    }
+  },
+
+  /**
+   * Add a normalized message, or count it as a repeat of the last one.
+   *
+   * @param aMessage object
+   *        The message, without |id| and |repeat| if it's new.
+   * @param aNotify boolean
+   *        Whether to emit "message" or "repeat" and to save the history.
+   */
+  _add: function(aMessage, aNotify) {
+    let key = getKey(aMessage);
+    let last = this._messages[this._messages.length - 1];
+    if (last && getKey(last) == key) {
+      last.repeat += aMessage.repeat || 1;
+      last.lastTimeStamp = aMessage.lastTimeStamp || aMessage.timeStamp;
+      if (aNotify) {
+        this.emit("repeat", last);
+        this._scheduleSave();
+      }
+      return;
+    }
+
+    let message = Object.assign({ repeat: 1 }, aMessage);
+    message.id = aMessage.id || this._nextId++;
+    this._messages.push(message);
+    if (this._messages.length > this.maxMessages) {
+      this._messages.splice(0, this._messages.length - this.maxMessages);
+    }
+    if (aNotify) {
+      this.emit("message", message);
+      this._scheduleSave();
+    }
+  },
+
+  /**
+   * Save the history once the messages arriving together are added.
+   */
+  _scheduleSave: function() {
+    if (!this._saving) {
+      this._saving = promise.resolve().then(() => {
+        this._saving = null;
+        return this._save();
+      });
+    }
+    return this._saving;
+  },
+
+  _save: function() {
+    if (!this._storage) {
+      return promise.resolve();
+    }
+    // Grips aren't valid anymore once restored.
+    let messages = this._messages.map(aMessage => {
+      let saved = Object.assign({}, aMessage);
+      delete saved.id;
+      delete saved.arguments;
+      return saved;
+    });
+    return this._storage.setItem(this._storageKey, messages);
+  },
+
+  _onPacket: function(aType, aPacket) {
+    let message = null;
+    switch (aType) {
+      case "consoleAPICall":
+        message = normalizeConsoleAPICall(aPacket.message);
+        break;
+      case "pageError":
+        message = normalizePageError(aPacket.pageError);
+        break;
+      case "logMessage":
+        message = normalizeLogMessage(aPacket);
+        break;
+    }
+    this._add(message, true);
+  },
+
+  _onNavigate: function(aType, aEvent) {
+    this._add(
+      {
+        source: "navigation",
+        level: "info",
+        type: "navigation",
+        text: `Navigated to ${aEvent.url}`,
+        url: aEvent.url,
+        line: 0,
+        column: 0,
+        timeStamp: Date.now(),
+      },
+      true,
+    );
+  },
+};
+
+function normalizeCached(aCached) {
+  switch (aCached._type) {
+    case "ConsoleAPI":
+      return normalizeConsoleAPICall(aCached);
+    case "PageError":
+      return normalizePageError(aCached);
+    case "LogMessage":
+      return normalizeLogMessage(aCached);
+  }
+  return null;
+}
+
+function normalizeConsoleAPICall(aMessage) {
+  let args = aMessage.arguments || [];
+  let text = args.map(describeGrip).join(" ");
+  if (aMessage.level == "assert") {
+    text = `Assertion failed: ${text}`;
+  } else if (aMessage.level == "timeEnd" && aMessage.timer) {
+    let { name, duration } = aMessage.timer;
+    text = `${name}: ${Math.round(duration)}ms`;
+  } else if (aMessage.level == "count" && aMessage.counter) {
+    text = `${aMessage.counter.label}: ${aMessage.counter.count}`;
+  }
+
+  let message = {
+    source: "console-api",
+    level: API_LEVELS[aMessage.level] || aMessage.level,
+    type: aMessage.level,
+    text,
+    arguments: args,
+    url: aMessage.filename || null,
+    line: aMessage.lineNumber || 0,
+    column: aMessage.columnNumber || 0,
+    timeStamp: aMessage.timeStamp,
+  };
+  if (aMessage.stacktrace) {
+    message.stacktrace = aMessage.stacktrace;
+  }
+  return message;
+}
+
+function normalizePageError(aError) {
+  let level = "error";
+  if (aError.warning || aError.strict) {
+    level = "warn";
+  } else if (aError.info) {
+    level = "info";
+  }
+  let category = aError.category || "";
+
+  let message = {
+    source: /css/i.test(category) ? "css" : "javascript",
+    level,
+    type: "pageError",
+    text: describeGrip(aError.errorMessage),
+    url: aError.sourceName || null,
+    line: aError.lineNumber || 0,
+    column: aError.columnNumber || 0,
+    timeStamp: aError.timeStamp,
+    category,
+  };
+  if (aError.stacktrace) {
+    message.stacktrace = aError.stacktrace;
+  }
+  return message;
+}
+
+function normalizeLogMessage(aPacket) {
+  return {
+    source: "other",
+    level: "log",
+    type: "logMessage",
+    text: describeGrip(aPacket.message),
+    url: null,
+    line: 0,
+    column: 0,
+    timeStamp: aPacket.timeStamp,
+  };
+}
+
+/**
+ * A short text for a grip, as the console shows it before it's expanded.
+ */
+function describeGrip(aGrip) {
+  if (!aGrip || typeof aGrip != "object") {
+    return String(aGrip);
+  }
+  switch (aGrip.type) {
+    case "longString":
+      return `${aGrip.initial}…`;
+    case "object":
+      if (aGrip.class == "Function") {
+        return `function ${aGrip.displayName || aGrip.name || ""}()`;
+      }
+      if (aGrip.preview && aGrip.preview.kind == "Error") {
+        return `${aGrip.preview.name}: ${aGrip.preview.message}`;
+      }
+      return aGrip.class;
+    case "symbol":
+      return `Symbol(${aGrip.name || ""})`;
+    case "-0":
+      return "-0";
+  }
+  return aGrip.type;
+}
+
+function getKey(aMessage) {
+  let { source, level, type, text, url, line, column } = aMessage;
+  return JSON.stringify([source, level, type, text, url, line, column]);
+}
+
+/**
+ * Find a message collected that a cached message is a repeat of, and count
+ * it as found.
+ *
+ * @param aKnown Map
+ *        The messages collected, mapped to the number of their repeats not
+ *        found in the cache yet.
+ * @param aMessage object
+ *        The normalized cached message.
+ * @return boolean
+ *         Whether the cached message was already collected.
+ */
+function takeKnownMessage(aKnown, aMessage) {
+  let key = getKey(aMessage);
+  let { timeStamp } = aMessage;
+  for (let [known, count] of aKnown) {
+    if (
+      count > 0 &&
+      timeStamp >= known.timeStamp &&
+      timeStamp <= (known.lastTimeStamp || known.timeStamp) &&
+      getKey(known) == key
+    ) {
+      aKnown.set(known, count - 1);
+      return true;
+    }
+  }
+  return false;
+}
+
+function createFilter({ levels, sources, text, regex, url }) {
+  if (typeof regex == "string") {
+    let parts = regex.match(/^\/(.*)\/([gimuy]*)$/);
+    regex = parts ? new RegExp(parts[1], parts[2]) : new RegExp(regex);
+  }
+  let lowerText = text ? text.toLowerCase() : null;
+
+  return aMessage => {
+    if (levels && !levels.includes(aMessage.level)) {
+      return false;
+    }
+    if (sources && !sources.includes(aMessage.source)) {
+      return false;
+    }
+    if (url && !(aMessage.url || "").includes(url)) {
+      return false;
+    }
+    let searched = [aMessage.text, aMessage.url || ""];
+    if (lowerText) {
+      let found = searched.some(s => s.toLowerCase().includes(lowerText));
+      if (!found) {
+        return false;
+      }
+    }
+    if (regex) {
+      let found = searched.some(s => {
+        regex.lastIndex = 0;
+        return regex.test(s);
+      });
+      if (!found) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+exports.ConsoleLogService = ConsoleLogService;
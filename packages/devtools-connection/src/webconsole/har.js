@@ -0,0 +1,316 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const promise = require("../utils/promise");
+const { version } = require("../../package.json");
+
+const HAR_VERSION = "1.2";
+const PAGE_ID = "page_1";
+
+const HarArchive = {};
+
+/**
+ * Build a HAR 1.2 document out of the network requests a WebConsoleClient
+ * recorded, fetching their headers, cookies, post data, content and timings
+ * from their NetworkEventActors. See WebConsoleClient.prototype.exportHAR.
+ *
+ * The data the server never sent an update for isn't requested, e.g. the
+ * content of the requests still in flight, see
+ * WebConsoleClient.prototype.getNetworkEventDetails. The properties of the
+ * network info objects HAR has no field for are kept in custom fields:
+ * |_isXHR|, |_cause|, |_fromCache|, |_fromServiceWorker| and
+ * |_securityState|.
+ *
+ * @param aConsoleClient WebConsoleClient
+ *        The client whose network requests are exported.
+ * @param aOptions object
+ *        - title: the title of the page, the URL of the first request by
+ *          default.
+ *        - includeResponseBodies: whether to fetch the response contents,
+ *          true by default.
+ *        - creator: the |name| and |version| of the exporting application.
+ * @return Promise
+ *         Resolved with the HAR document.
+ */
+HarArchive.fromConsole = function(aConsoleClient, aOptions = {}) {
+  let builder = new HarBuilder(aConsoleClient, aOptions);
+  return builder.build();
+};
+
+/**
+ * Rebuild the network info objects of a WebConsoleClient, see
+ * WebConsoleClient.prototype.getNetworkEvents, out of a HAR document. They
+ * come with everything the client would otherwise request from the server:
+ * the |headers| and |cookies| of the request and the response, the |postData|
+ * of the request, the |text| of the response content and the |timings|.
+ *
+ * The requests aren't backed by actors anymore, their |actor| is made up
+ * from their position in the document, like "har-0".
+ *
+ * @param aHar object
+ *        The HAR document, as JSON.
+ * @return array
+ *         The network info objects, in the order of the document.
+ */
+HarArchive.toNetworkEvents = function(aHar) {
+  if (!aHar || !aHar.log || !Array.isArray(aHar.log.entries)) {
+    throw new Error("Not a HAR document: log.entries is missing");
+  }
+  return aHar.log.entries.map((aEntry, aIndex) => {
+    return readEntry(aEntry, `har-${aIndex}`);
+  });
+};
+
+function HarBuilder(aConsoleClient, aOptions) {
+  this.client = aConsoleClient;
+  this.title = aOptions.title || null;
+  this.includeResponseBodies = aOptions.includeResponseBodies !== false;
+  this.creator = aOptions.creator || { name: "devtools-connection", version };
+}
+
+HarBuilder.prototype = {
+  build: function() {
+    let requests = [...this.client.getNetworkEvents()];
+    requests.sort((a, b) => a.timeStamp - b.timeStamp);
+
+    return promise.all(requests.map(r => this.entry(r))).then(aEntries => {
+      let log = {
+        version: HAR_VERSION,
+        creator: this.creator,
+        pages: [],
+        entries: aEntries,
+      };
+      if (aEntries.length > 0) {
+        log.pages.push({
+          startedDateTime: aEntries[0].startedDateTime,
+          id: PAGE_ID,
+          title: this.title || aEntries[0].request.url,
+          pageTimings: { onContentLoad: -1, onLoad: -1 },
+        });
+      }
+      return { log };
+    });
+  },
+
+  entry: function(aInfo) {
+    let { request, response } = aInfo;
+    let fetching = this.client.getNetworkEventDetails(aInfo.actor, {
+      includeResponseContent: this.includeResponseBodies,
+    });
+    return fetching.then(aDetails => {
+      let httpVersion = response.httpVersion || "";
+      let requestHeaders = aDetails.requestHeaders || {};
+      let responseHeaders = aDetails.responseHeaders || {};
+      let timings = aDetails.eventTimings || {};
+
+      let entry = {
+        pageref: PAGE_ID,
+        startedDateTime: aInfo.startedDateTime,
+        time: aInfo.totalTime || timings.totalTime || 0,
+        request: {
+          method: request.method,
+          url: request.url,
+          httpVersion,
+          cookies: cookiesOf(aDetails.requestCookies),
+          headers: requestHeaders.headers || [],
+          queryString: parseQueryString(request.url),
+          headersSize: sizeOf(requestHeaders.headersSize),
+          bodySize: sizeOf(request.bodySize),
+        },
+        response: {
+          status: response.status ? Number(response.status) : 0,
+          statusText: response.statusText || "",
+          httpVersion,
+          cookies: cookiesOf(aDetails.responseCookies),
+          headers: responseHeaders.headers || [],
+          content: this.content(aInfo, aDetails.responseContent),
+          redirectURL: getHeader(responseHeaders.headers, "Location") || "",
+          headersSize: sizeOf(response.headersSize),
+          bodySize: getBodySize(response),
+        },
+        cache: {},
+        timings: getTimings(timings.timings),
+      };
+
+      let postData = aDetails.requestPostData;
+      if (postData && postData.postData && !postData.postDataDiscarded) {
+        let mimeType = getHeader(entry.request.headers, "Content-Type") || "";
+        entry.request.postData = { mimeType, text: postData.postData.text };
+        if (mimeType.startsWith("application/x-www-form-urlencoded")) {
+          entry.request.postData.params = parseParams(postData.postData.text);
+        }
+      }
+      if (response.remoteAddress) {
+        entry.serverIPAddress = response.remoteAddress;
+      }
+      if (response.remotePort) {
+        entry.connection = String(response.remotePort);
+      }
+
+      entry._isXHR = !!aInfo.isXHR;
+      if (aInfo.cause) {
+        entry._cause = aInfo.cause;
+      }
+      entry._fromCache = !!aInfo.fromCache;
+      entry._fromServiceWorker = !!aInfo.fromServiceWorker;
+      if (aInfo.securityInfo) {
+        entry._securityState = aInfo.securityInfo;
+      }
+      return entry;
+    });
+  },
+
+  content: function(aInfo, aResponse) {
+    let { response } = aInfo;
+    let content = {
+      size: sizeOf(response.bodySize, 0),
+      mimeType: (response.content && response.content.mimeType) || "",
+    };
+    if (aResponse && aResponse.content && !aResponse.contentDiscarded) {
+      let { text, encoding } = aResponse.content;
+      if (typeof text == "string") {
+        content.text = text;
+      }
+      if (encoding) {
+        content.encoding = encoding;
+      }
+    }
+    return content;
+  },
+};
+
+function readEntry(aEntry, aActor) {
+  let request = aEntry.request || {};
+  let response = aEntry.response || {};
+  let content = response.content || {};
+  let timings = aEntry.timings || {};
+
+  let updates = ["requestHeaders", "requestCookies"];
+  if (request.postData) {
+    updates.push("requestPostData");
+  }
+  if (response.status) {
+    updates.push("responseStart", "responseHeaders", "responseCookies");
+  }
+  if (content.mimeType) {
+    updates.push("responseContent");
+  }
+  updates.push("eventTimings");
+  if (aEntry._securityState) {
+    updates.push("securityInfo");
+  }
+
+  let bodySize = response.bodySize >= 0 ? response.bodySize : 0;
+  let headersSize = response.headersSize >= 0 ? response.headersSize : 0;
+  let info = {
+    _type: "NetworkEvent",
+    timeStamp: Date.parse(aEntry.startedDateTime),
+    node: null,
+    actor: aActor,
+    discardRequestBody: !request.postData,
+    discardResponseBody: typeof content.text != "string",
+    startedDateTime: aEntry.startedDateTime,
+    request: {
+      url: request.url,
+      method: request.method,
+      headersSize: request.headersSize,
+      bodySize: request.bodySize,
+      headers: request.headers || [],
+      cookies: request.cookies || [],
+    },
+    isXHR: !!aEntry._isXHR,
+    cause: aEntry._cause || { type: "other" },
+    response: {
+      httpVersion: response.httpVersion,
+      status: response.status ? String(response.status) : undefined,
+      statusText: response.statusText,
+      headersSize: response.headersSize,
+      remoteAddress: aEntry.serverIPAddress,
+      remotePort: aEntry.connection ? Number(aEntry.connection) : undefined,
+      content: {
+        mimeType: content.mimeType,
+        size: content.size,
+        text: content.text,
+        encoding: content.encoding,
+      },
+      bodySize: content.size,
+      transferredSize: bodySize + headersSize,
+      headers: response.headers || [],
+      cookies: response.cookies || [],
+    },
+    timings,
+    totalTime: aEntry.time,
+    updates,
+    private: false,
+    fromCache: !!aEntry._fromCache,
+    fromServiceWorker: !!aEntry._fromServiceWorker,
+  };
+  if (request.postData) {
+    info.request.postData = { text: request.postData.text || "" };
+  }
+  if (aEntry._securityState) {
+    info.securityInfo = aEntry._securityState;
+  }
+  return info;
+}
+
+function sizeOf(aSize, aUnknown = -1) {
+  return typeof aSize == "number" && aSize >= 0 ? aSize : aUnknown;
+}
+
+/**
+ * The size of the response body as transferred, HAR's |bodySize|, which the
+ * server only reports with the headers.
+ */
+function getBodySize(aResponse) {
+  let { transferredSize, headersSize } = aResponse;
+  if (typeof transferredSize != "number" || transferredSize < 0) {
+    return -1;
+  }
+  return Math.max(0, transferredSize - sizeOf(headersSize, 0));
+}
+
+function getTimings(aTimings = {}) {
+  let optional = aName => sizeOf(aTimings[aName]);
+  return {
+    blocked: optional("blocked"),
+    dns: optional("dns"),
+    connect: optional("connect"),
+    ssl: optional("ssl"),
+    send: sizeOf(aTimings.send, 0),
+    wait: sizeOf(aTimings.wait, 0),
+    receive: sizeOf(aTimings.receive, 0),
+  };
+}
+
+function cookiesOf(aResponse) {
+  return aResponse && aResponse.cookies ? aResponse.cookies : [];
+}
+
+function getHeader(aHeaders = [], aName) {
+  let name = aName.toLowerCase();
+  let header = aHeaders.find(h => h.name.toLowerCase() == name);
+  return header ? header.value : null;
+}
+
+function parseQueryString(aUrl) {
+  let query = aUrl.split("#")[0].split("?")[1];
+  return query ? parseParams(query) : [];
+}
+
+function parseParams(aText) {
+  let decode = aValue => {
+    try {
+      return decodeURIComponent(aValue.replace(/\+/g, " "));
+    } catch (e) {
+      return aValue;
+    }
+  };
+  return aText.split("&").filter(p => p).map(aParam => {
+    let [name, ...value] = aParam.split("=");
+    return { name: decode(name), value: decode(value.join("=")) };
+  });
+}
+
+exports.HarArchive = HarArchive;
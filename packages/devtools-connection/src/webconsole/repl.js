@@ -0,0 +1,322 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const EventEmitter = require("../utils/event-emitter");
+const promise = require("../utils/promise");
+const { getStorage } = require("../utils/storage");
+
+const DEFAULT_AUTOCOMPLETE_DELAY = 100;
+const DEFAULT_MAX_HISTORY = 500;
+const DEFAULT_STORAGE_KEY = "devtools-connection.repl";
+
+/**
+ * The read-eval-print loop of the console input, on top of a
+ * WebConsoleClient:
+ * - expressions are evaluated in the global of the page, or in the frame
+ *   selected with |selectFrame| while the thread is paused.
+ * - the evaluations are kept in a history, persisted in the storage per
+ *   target, e.g. per site, and searchable.
+ * - autocompletion requests are debounced, only the last input of a burst of
+ *   keystrokes is sent, and their results are cached by input. An input
+ *   extending a cached one with more characters of the same property name is
+ *   completed without any request.
+ * - results and exceptions come with a node of the ObjectTreeModel shared
+ *   with the other panes, if one is given, to expand them.
+ *
+ * The service emits "history-changed" when the history changes, and "error"
+ * with the error when the history can't be saved.
+ *
+ * @param aConsoleClient WebConsoleClient
+ *        The client evaluating the expressions.
+ * @param aOptions object
+ *        - historyKey: the key of the history of the target, "default" by
+ *          default. Use the origin of the page to have one history per site.
+ *        - objectTree: the ObjectTreeModel to create the nodes of the
+ *          results with.
+ *        - storage: where to persist the history, see |getStorage| in
+ *          utils/storage.
+ *        - storageKey: the prefix of the key of the history in the storage.
+ *        - maxHistory: the number of evaluations kept, 500 by default.
+ *        - autocompleteDelay: how long to wait for more input before
+ *          requesting completions, in milliseconds, 100 by default.
+ */
+function ReplService(aConsoleClient, aOptions = {}) {
+  EventEmitter.decorate(this);
+
+  this.consoleClient = aConsoleClient;
+  this.objectTree = aOptions.objectTree || null;
+  this._storage = getStorage(aOptions.storage);
+  let storageKey = aOptions.storageKey || DEFAULT_STORAGE_KEY;
+  this._historyKey = `${storageKey}:${aOptions.historyKey || "default"}`;
+  this.maxHistory = aOptions.maxHistory || DEFAULT_MAX_HISTORY;
+  this.autocompleteDelay = aOptions.autocompleteDelay === undefined
+    ? DEFAULT_AUTOCOMPLETE_DELAY
+    : aOptions.autocompleteDelay;
+
+  this.selectedFrame = null;
+  this._history = [];
+  this._loading = null;
+  // Map "[frame]:[input]" keys to the promises of their completions.
+  this._completions = new Map();
+  // The autocompletion waiting for the input to settle, if any.
+  this._pendingCompletion = null;
+}
+
+ReplService.prototype = {
+  /**
+   * Evaluate expressions in a frame of the paused thread from now on, or in
+   * the global of the page.
+   *
+   * @param aFrameActor string|null
+   *        The actor of the frame, null for the global.
+   */
+  selectFrame: function(aFrameActor) {
+    this.selectedFrame = aFrameActor || null;
+  },
+
+  /**
+   * Evaluate an expression and add it to the history.
+   *
+   * @param aExpression string
+   *        The expression.
+   * @param aOptions object
+   *        - frameActor: the frame to evaluate the expression in, the one
+   *          selected by default.
+   *        - selectedNodeActor: the node of the inspector selection, for $0.
+   * @return Promise
+   *         Resolved with the evaluation: the |input|, the |result| grip or
+   *         the |exception| grip and its |exceptionMessage|, the
+   *         |helperResult| of console helpers like clear(), the |timestamp|
+   *         and the object tree |node| of the result or the exception.
+   */
+  evaluate: function(aExpression, aOptions = {}) {
+    let frameActor = "frameActor" in aOptions
+      ? aOptions.frameActor
+      : this.selectedFrame;
+
+    // The evaluation may define new properties, completions may change.
+    this._completions.clear();
+    this._addToHistory(aExpression);
+
+    return this.consoleClient
+      .evaluateJSAsync(aExpression, {
+        frameActor: frameActor || undefined,
+        selectedNodeActor: aOptions.selectedNodeActor,
+      })
+      .then(aResponse => {
+        let evaluation = {
+          input: aResponse.input || aExpression,
+          result: aResponse.result,
+          timestamp: aResponse.timestamp,
+          helperResult: aResponse.helperResult || null,
+        };
+        let value = aResponse.result;
+        if (aResponse.exception != null) {
+          evaluation.exception = aResponse.exception;
+          evaluation.exceptionMessage = aResponse.exceptionMessage;
+          value = aResponse.exception;
+        }
+        if (this.objectTree) {
+          evaluation.node = this.objectTree.createNode(aExpression, value);
+        }
+        return evaluation;
+      });
+  },
+
+  /**
+   * Get the completions of an input. Autocompletions requested before the
+   * input settles are superseded by the last one.
+   *
+   * @param aInput string
+   *        The input.
+   * @param aCursor number
+   *        The position of the cursor in the input, its end by default.
+   * @return Promise
+   *         Resolved with the |matches| and the |matchProp|, the part of the
+   *         input they complete, or with null if a later autocompletion
+   *         superseded this one.
+   */
+  autocomplete: function(aInput, aCursor = aInput.length) {
+    let input = aInput.slice(0, aCursor);
+    let cached = this._getCachedCompletions(input);
+    if (cached) {
+      this._cancelPendingCompletion();
+      return cached;
+    }
+
+    this._cancelPendingCompletion();
+    let deferred = promise.defer();
+    let timer = setTimeout(() => {
+      this._pendingCompletion = null;
+      this._requestCompletions(input).then(deferred.resolve, deferred.reject);
+    }, this.autocompleteDelay);
+    this._pendingCompletion = { deferred, timer };
+    return deferred.promise;
+  },
+
+  /**
+   * Get the expressions evaluated, oldest first.
+   *
+   * @param aQuery string|RegExp
+   *        Only return the expressions containing this string, or matching
+   *        this regular expression.
+   * @return Promise
+   *         Resolved with the expressions.
+   */
+  getHistory: function(aQuery) {
+    return this._load().then(() => {
+      if (!aQuery) {
+        return this._history.slice();
+      }
+      if (typeof aQuery == "string") {
+        return this._history.filter(aInput => aInput.includes(aQuery));
+      }
+      return this._history.filter(aInput => {
+        aQuery.lastIndex = 0;
+        return aQuery.test(aInput);
+      });
+    });
+  },
+
+  /**
+   * Forget the history of the target, in the storage as well.
+   *
+   * @return Promise
+   *         Resolved once the storage is cleared.
+   */
+  clearHistory: function() {
+    return this._load().then(() => {
+      this._history = [];
+      this.emit("history-changed");
+      return this._save();
+    });
+  },
+
+  destroy: function() {
+    this._cancelPendingCompletion();
+    this._completions.clear();
+  },
+
+  _load: function() {
+    if (!this._loading) {
+      this._loading = this._storage
+        ? this._storage.getItem(this._historyKey)
+        : promise.resolve(null);
+      this._loading = this._loading.then(aSaved => {
+        // The expressions evaluated meanwhile come after the saved ones.
+        let saved = (aSaved || []).filter(aInput => {
+          return !this._history.includes(aInput);
+        });
+        this._history = saved.concat(this._history);
+        this._trimHistory();
+      });
+    }
+    return this._loading;
+  },
+
+  _save: function() {
+    if (!this._storage) {
+      return promise.resolve();
+    }
+    return this._storage.setItem(this._historyKey, this._history);
+  },
+
+  _addToHistory: function(aExpression) {
+    if (!aExpression.trim()) {
+      return;
+    }
+    // An expression evaluated again moves to the end.
+    let index = this._history.indexOf(aExpression);
+    if (index != -1) {
+      this._history.splice(index, 1);
+    }
+    this._history.push(aExpression);
+    this._trimHistory();
+    this.emit("history-changed");
+
+    this._load()
+      .then(() => this._save())
+      .then(null, aError => this.emit("error", aError));
+  },
+
+  _trimHistory: function() {
+    if (this._history.length > this.maxHistory) {
+      this._history.splice(0, this._history.length - this.maxHistory);
+    }
+  },
+
+  _getCompletionKey: function(aInput) {
+    return `${this.selectedFrame}:${aInput}`;
+  },
+
+  /**
+   * Find the completions of an input in the cache: the ones of the input
+   * itself, or the ones of a shorter input completing the same property,
+   * filtered.
+   */
+  _getCachedCompletions: function(aInput) {
+    let key = this._getCompletionKey(aInput);
+    if (this._completions.has(key)) {
+      return this._completions.get(key);
+    }
+
+    let [typed] = aInput.match(/[\w$]*$/);
+    for (let length = aInput.length - 1; length >= 0; length--) {
+      let added = aInput.length - length;
+      if (added > typed.length) {
+        break;
+      }
+      let shorter = this._completions.get(
+        this._getCompletionKey(aInput.slice(0, length)),
+      );
+      if (!shorter) {
+        continue;
+      }
+
+      let filtering = shorter.then(aResult => {
+        let { matches, matchProp } = aResult;
+        let prop = matchProp + aInput.slice(length);
+        if (!prop.endsWith(typed)) {
+          return this._requestCompletions(aInput);
+        }
+        return {
+          matches: matches.filter(aMatch => aMatch.startsWith(prop)),
+          matchProp: prop,
+        };
+      });
+      this._completions.set(key, filtering);
+      return filtering;
+    }
+    return null;
+  },
+
+  _requestCompletions: function(aInput) {
+    let key = this._getCompletionKey(aInput);
+    let frameActor = this.selectedFrame || undefined;
+    let requesting = this.consoleClient
+      .autocomplete(aInput, aInput.length, undefined, frameActor)
+      .then(aResponse => ({
+        matches: aResponse.matches || [],
+        matchProp: aResponse.matchProp || "",
+      }));
+
+    this._completions.set(key, requesting);
+    requesting.then(null, () => {
+      if (this._completions.get(key) === requesting) {
+        this._completions.delete(key);
+      }
+    });
+    return requesting;
+  },
+
+  _cancelPendingCompletion: function() {
+    if (this._pendingCompletion) {
+      clearTimeout(this._pendingCompletion.timer);
+      this._pendingCompletion.deferred.resolve(null);
+      this._pendingCompletion = null;
+    }
+  },
+};
+
+exports.ReplService = ReplService;
@@ -4,5 +4,7 @@
 
 const tabs = require("./tabs");
 const config = require("./config");
+const packets = require("./packets");
+const traces = require("./traces");
 
-module.exports = (Object.assign({}, tabs, config));
+module.exports = (Object.assign({}, tabs, config, packets, traces));
@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Redux actions for the packets exchanged with the debugger server
+ * @module actions/packets
+ */
+
+const constants = require("../constants");
+
+/**
+ * @typedef {Object} PacketAction
+ * @memberof actions/packets
+ * @static
+ * @property {number} type The type of Action
+ * @property {number} value The payload of the Action
+ */
+
+/**
+ * @memberof actions/packets
+ * @static
+ * @param {Object} packet The packet sent or received, as reported by
+ *        firefox.observePackets
+ * @returns {PacketAction} with type constants.ADD_PACKET and packet as value
+ */
+function addPacket(packet) {
+  return {
+    type: constants.ADD_PACKET,
+    value: packet
+  };
+}
+
+/**
+ * @memberof actions/packets
+ * @static
+ * @param {Object} timing The round trip time of a request, as reported by
+ *        firefox.observeRequestTimings
+ * @returns {PacketAction} with type constants.SET_PACKET_LATENCY and timing
+ *          as value
+ */
+function setPacketLatency(timing) {
+  return {
+    type: constants.SET_PACKET_LATENCY,
+    value: timing
+  };
+}
+
+/**
+ * @memberof actions/packets
+ * @static
+ * @returns {PacketAction} with type constants.CLEAR_PACKETS
+ */
+function clearPackets() {
+  return {
+    type: constants.CLEAR_PACKETS
+  };
+}
+
+/**
+ * @memberof actions/packets
+ * @static
+ * @param {String} value String which should be used to filter packets by
+ *        actor
+ * @returns {PacketAction} with type constants.FILTER_PACKETS
+ *          and filter string as value
+ */
+function filterPackets(value) {
+  return {
+    type: constants.FILTER_PACKETS,
+    value
+  };
+}
+
+/**
+ * @memberof actions/packets
+ * @static
+ * @param {Number} id ID of the packet to show
+ * @returns {PacketAction} with type constants.SELECT_PACKET
+ */
+function selectPacket(id) {
+  return {
+    type: constants.SELECT_PACKET,
+    id
+  };
+}
+
+module.exports = {
+  addPacket,
+  setPacketLatency,
+  clearPackets,
+  filterPackets,
+  selectPacket
+};
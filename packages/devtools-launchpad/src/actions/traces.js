@@ -0,0 +1,73 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Redux actions for the execution traces of Firefox tabs
+ * @module actions/traces
+ */
+
+const constants = require("../constants");
+const { PROMISE } = require("../utils/redux/middleware/promise");
+
+/**
+ * @typedef {Object} TraceAction
+ * @memberof actions/traces
+ * @static
+ * @property {number} type The type of Action
+ * @property {number} value The payload of the Action
+ */
+
+/**
+ * @memberof actions/traces
+ * @static
+ * @param {String} id ID of the tab to trace
+ * @returns {TraceAction} with type constants.SELECT_TRACE_TAB
+ */
+function selectTraceTab(id) {
+  return {
+    type: constants.SELECT_TRACE_TAB,
+    id
+  };
+}
+
+/**
+ * Start tracing the calls of a Firefox tab.
+ *
+ * @memberof actions/traces
+ * @static
+ * @param {Object} tab The payload of the tab, with its traceActor
+ * @returns {Function} thunk dispatching constants.START_TRACE
+ */
+function startTrace(tab) {
+  return ({ dispatch, firefox }) => {
+    // The failures are kept in the error of the traces state.
+    return dispatch({
+      type: constants.START_TRACE,
+      [PROMISE]: firefox.startTrace(tab)
+    }).catch(() => null);
+  };
+}
+
+/**
+ * Stop the trace, its call tree and trace events are the value of the
+ * action once done.
+ *
+ * @memberof actions/traces
+ * @static
+ * @returns {Function} thunk dispatching constants.STOP_TRACE
+ */
+function stopTrace() {
+  return ({ dispatch, firefox }) => {
+    return dispatch({
+      type: constants.STOP_TRACE,
+      [PROMISE]: firefox.stopTrace()
+    }).catch(() => null);
+  };
+}
+
+module.exports = {
+  selectTraceTab,
+  startTrace,
+  stopTrace
+};
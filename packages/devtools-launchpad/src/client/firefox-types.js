@@ -225,6 +225,7 @@ export type TabPayload = {
   styleSheetsActor: ActorId,
   timelineActor: ActorId,
   title: string,
+  traceActor?: ActorId,
   url: URL,
   webExtensionInspectedWindowActor: ActorId,
   webaudioActor: ActorId,
@@ -271,6 +272,7 @@ export type DebuggerClient = {
     get: (any) => any,
     delete: (any) => void,
   },
+  attachTracer: (ActorId) => Promise<*>,
   connect: () => Promise<*>,
   listTabs: () => Promise<*>,
 };
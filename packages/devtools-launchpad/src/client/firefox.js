@@ -5,9 +5,9 @@
 // @flow
 const {
   DebuggerClient,
-  DebuggerTransport,
+  PacketValidator,
   TargetFactory,
-  WebsocketTransport
+  TraceCollector
 } = require("devtools-connection");
 
 const { getValue } = require("devtools-config");
@@ -21,6 +21,9 @@ import type {
 } from "./firefox-types";
 
 let debuggerClient: DebuggerClientType | null = null;
+let packetListeners: Function[] = [];
+let timingListeners: Function[] = [];
+let traceCollector: Object | null = null;
 
 function lookupTabTarget(tab) {
   const options = { client: debuggerClient, form: tab, chrome: false };
@@ -39,21 +42,56 @@ function createTabs(tabs: TabPayload[]): Tab[] {
   });
 }
 
+// The token is checked by the firefox-proxy, Firefox's WebSocket server only
+// lets its user allow the connections.
+function createAuthenticator(useWebSocket: boolean) {
+  const token = getValue("firefox.authToken");
+  const { Authenticators } = DebuggerClient;
+  if (!token) {
+    return new Authenticators.Prompt.Client();
+  }
+  if (useWebSocket) {
+    throw new Error(
+      "firefox.authToken is only checked by the firefox-proxy, " +
+        "unset firefox.webSocketConnection to connect through it"
+    );
+  }
+  return new Authenticators.Token.Client(token);
+}
+
 async function connectClient() {
   const useWebSocket = getValue("firefox.webSocketConnection");
-  const firefoxHost = useWebSocket ? getValue("firefox.host") : "localhost";
+  // The development server starts a proxy on this machine, unless it runs on
+  // the device of Firefox.
+  const firefoxHost = useWebSocket || getValue("firefox.remoteProxy")
+    ? getValue("firefox.host")
+    : "localhost";
   const firefoxPort = getValue("firefox.webSocketPort");
 
-  const socket = new WebSocket(`ws://${firefoxHost}:${firefoxPort}`);
-  const transport = useWebSocket
-    ? new WebsocketTransport(socket)
-    : new DebuggerTransport(socket);
+  let transport;
+  try {
+    transport = await DebuggerClient.socketConnect({
+      host: firefoxHost,
+      port: firefoxPort,
+      encryption: !!getValue("firefox.secure"),
+      webSocket: useWebSocket,
+      authenticator: createAuthenticator(useWebSocket)
+    });
+  } catch (err) {
+    console.log(err);
+    return [];
+  }
 
   debuggerClient = new DebuggerClient(transport);
   if (!debuggerClient) {
     return [];
   }
 
+  debuggerClient.addListener("packet-sent", onPacket("sent"));
+  debuggerClient.addListener("packet-received", onPacket("received"));
+  debuggerClient.addListener("request-timing", onRequestTiming);
+  debuggerClient.addListener("packet-violation", onPacketViolation);
+
   try {
     await debuggerClient.connect();
     return await getTabs();
@@ -89,11 +127,137 @@ async function getTabs() {
   return createTabs(response.tabs);
 }
 
+function getByteLength(packet: Object) {
+  return new TextEncoder().encode(JSON.stringify(packet)).length;
+}
+
+function onPacket(direction: "sent" | "received") {
+  return (event, packet, format) => {
+    const isBulk = format === "bulk";
+
+    // Bulk packets are only reported with their header.
+    let actor = packet.from;
+    if (isBulk) {
+      actor = packet.actor;
+    } else if (direction === "sent") {
+      actor = packet.to;
+    }
+
+    const record = {
+      direction,
+      format,
+      actor,
+      type: packet.type || null,
+      size: isBulk ? packet.length : getByteLength(packet),
+      time: Date.now(),
+      packet
+    };
+
+    packetListeners.forEach(listener => listener(record));
+  };
+}
+
+function onRequestTiming(event, timing) {
+  timingListeners.forEach(listener => listener(timing));
+}
+
+// The client checks the packets against the protocol description of Firefox
+// in development, the launchpad is where the violations get noticed.
+function onPacketViolation(event, violation) {
+  console.warn(PacketValidator.formatViolation(violation));
+}
+
+/**
+ * Listen to the packets sent to and received from the Firefox debugger
+ * server, by the current and future clients. The listener is called with
+ * the direction ("sent" or "received"), format ("json" or "bulk"), actor,
+ * type, size in bytes and time of each packet, and the packet itself.
+ * Returns a function removing the listener.
+ */
+function observePackets(listener: Function) {
+  packetListeners.push(listener);
+  return () => {
+    packetListeners = packetListeners.filter(l => l !== listener);
+  };
+}
+
+/**
+ * Listen to the round trip times of the requests to the Firefox debugger
+ * server, by the current and future clients. The listener is called with the
+ * actor, type and duration of each request, right after the packets listeners
+ * are called with its reply. Returns a function removing the listener.
+ */
+function observeRequestTimings(listener: Function) {
+  timingListeners.push(listener);
+  return () => {
+    timingListeners = timingListeners.filter(l => l !== listener);
+  };
+}
+
+/**
+ * Start tracing the JavaScript calls of a tab with its trace actor. Only one
+ * tab is traced at a time.
+ */
+async function startTrace(tab: TabPayload) {
+  if (!debuggerClient) {
+    throw new Error("Not connected to Firefox");
+  }
+  if (!tab.traceActor) {
+    throw new Error(`${tab.title} has no trace actor`);
+  }
+  if (traceCollector) {
+    throw new Error("A trace is already recording");
+  }
+
+  const [response, traceClient] = await debuggerClient.attachTracer(
+    tab.traceActor
+  );
+  if (response.error) {
+    throw new Error(`Could not attach to the tracer of ${tab.title}: ` +
+      `${response.message || response.error}`);
+  }
+
+  const collector = new TraceCollector(traceClient);
+  try {
+    await collector.start();
+  } catch (e) {
+    collector.destroy();
+    await traceClient.detach().catch(() => null);
+    throw e;
+  }
+  traceCollector = collector;
+}
+
+/**
+ * Stop the trace and return its call tree, see TraceCollector, and its
+ * events in the Chrome trace event format.
+ */
+async function stopTrace() {
+  const collector = traceCollector;
+  if (!collector) {
+    throw new Error("No trace is recording");
+  }
+
+  traceCollector = null;
+  try {
+    const callTree = await collector.stop();
+    return { callTree, traceEvents: collector.toTraceEvents() };
+  } finally {
+    collector.destroy();
+    // The next trace attaches again, whether this one stopped or not.
+    await collector.traceClient.detach().catch(() => null);
+  }
+}
+
 function initPage(options: Object) {}
 
 module.exports = {
   connectClient,
   connectTab,
   initPage,
-  getTabs
+  getTabs,
+  observePackets,
+  observeRequestTimings,
+  startTrace,
+  stopTrace
 };
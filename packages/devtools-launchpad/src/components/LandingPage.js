@@ -10,6 +10,8 @@ const { docsUrls, sidePanelItems } = require("../constants");
 const Tabs = React.createFactory(require("./Tabs"));
 const Sidebar = React.createFactory(require("./Sidebar"));
 const Settings = React.createFactory(require("./Settings"));
+const Packets = React.createFactory(require("./Packets"));
+const Traces = React.createFactory(require("./Traces"));
 require("./LandingPage.css");
 require("./LaunchpadPanel.css");
 
@@ -26,7 +28,7 @@ function getPaneFromUrl() {
 }
 
 function firstTimeMessage(title, urlPart) {
-  if (title === "Settings") {
+  if (title === "Settings" || title === "Packets" || title === "Traces") {
     return null;
   }
   return dom.div(
@@ -54,7 +56,21 @@ class LandingPage extends Component {
       onFilterChange: PropTypes.func.isRequired,
       onTabClick: PropTypes.func.isRequired,
       config: PropTypes.object.isRequired,
-      setValue: PropTypes.func.isRequired
+      setValue: PropTypes.func.isRequired,
+      packets: PropTypes.object.isRequired,
+      selectedPacket: PropTypes.object,
+      packetFilterString: PropTypes.string,
+      onPacketFilterChange: PropTypes.func.isRequired,
+      onPacketClick: PropTypes.func.isRequired,
+      onClearPackets: PropTypes.func.isRequired,
+      traceStatus: PropTypes.string.isRequired,
+      traceTab: PropTypes.object,
+      callTree: PropTypes.object,
+      traceEvents: PropTypes.object,
+      traceError: PropTypes.string,
+      onTraceTabSelect: PropTypes.func.isRequired,
+      onStartTrace: PropTypes.func.isRequired,
+      onStopTrace: PropTypes.func.isRequired
     };
   }
 
@@ -75,6 +91,8 @@ class LandingPage extends Component {
     this.launchBrowser = this.launchBrowser.bind(this);
     this.renderEmptyPanel = this.renderEmptyPanel.bind(this);
     this.renderSettings = this.renderSettings.bind(this);
+    this.renderPackets = this.renderPackets.bind(this);
+    this.renderTraces = this.renderTraces.bind(this);
     this.renderFilter = this.renderFilter.bind(this);
     this.renderPanel = this.renderPanel.bind(this);
   }
@@ -198,6 +216,52 @@ class LandingPage extends Component {
     );
   }
 
+  renderPackets() {
+    const {
+      packets,
+      selectedPacket,
+      packetFilterString,
+      onPacketFilterChange,
+      onPacketClick,
+      onClearPackets
+    } = this.props;
+
+    return Packets({
+      packets,
+      selectedPacket,
+      filterString: packetFilterString,
+      onFilterChange: onPacketFilterChange,
+      onPacketClick,
+      onClear: onClearPackets
+    });
+  }
+
+  renderTraces() {
+    const {
+      tabs,
+      traceStatus,
+      traceTab,
+      callTree,
+      traceEvents,
+      traceError,
+      onTraceTabSelect,
+      onStartTrace,
+      onStopTrace
+    } = this.props;
+
+    return Traces({
+      tabs: getTabsByClientType(tabs, sidePanelItems.Firefox.clientType),
+      selectedTab: traceTab,
+      status: traceStatus,
+      callTree,
+      traceEvents,
+      error: traceError,
+      onTabSelect: onTraceTabSelect,
+      onStart: onStartTrace,
+      onStop: onStopTrace
+    });
+  }
+
   renderFilter() {
     const { selectedPane } = this.state;
 
@@ -243,6 +307,14 @@ class LandingPage extends Component {
       return this.renderSettings();
     }
 
+    if (name === sidePanelItems.Packets.name) {
+      return this.renderPackets();
+    }
+
+    if (name === sidePanelItems.Traces.name) {
+      return this.renderTraces();
+    }
+
     if (!tabsDetected) {
       return this.renderEmptyPanel();
     }
@@ -7,7 +7,19 @@ const { Component } = React;
 const PropTypes = require("prop-types");
 const { connect } = require("react-redux");
 const { bindActionCreators } = require("redux");
-const { getTabs, getFilterString, getConfig } = require("../selectors");
+const {
+  getTabs,
+  getFilterString,
+  getConfig,
+  getPackets,
+  getSelectedPacket,
+  getPacketFilterString,
+  getTraceStatus,
+  getTraceTab,
+  getCallTree,
+  getTraceEvents,
+  getTraceError
+} = require("../selectors");
 const { getValue } = require("devtools-config");
 const LandingPage = React.createFactory(require("./LandingPage"));
 
@@ -17,14 +29,41 @@ class LaunchpadApp extends Component {
       tabs: PropTypes.object.isRequired,
       filterString: PropTypes.string,
       actions: PropTypes.object,
-      config: PropTypes.object
+      config: PropTypes.object,
+      packets: PropTypes.object.isRequired,
+      selectedPacket: PropTypes.object,
+      packetFilterString: PropTypes.string,
+      traceStatus: PropTypes.string.isRequired,
+      traceTab: PropTypes.object,
+      callTree: PropTypes.object,
+      traceEvents: PropTypes.object,
+      traceError: PropTypes.string
     };
   }
 
   render() {
     const {
       filterString,
-      actions: { setValue, filterTabs }, config } = this.props;
+      actions: {
+        setValue,
+        filterTabs,
+        filterPackets,
+        selectPacket,
+        clearPackets,
+        selectTraceTab,
+        startTrace,
+        stopTrace
+      },
+      config,
+      packets,
+      selectedPacket,
+      packetFilterString,
+      traceStatus,
+      traceTab,
+      callTree,
+      traceEvents,
+      traceError
+    } = this.props;
 
     return LandingPage({
       tabs: this.props.tabs,
@@ -37,7 +76,21 @@ class LaunchpadApp extends Component {
         window.location = url;
       },
       config,
-      setValue
+      setValue,
+      packets,
+      selectedPacket,
+      packetFilterString,
+      onPacketFilterChange: filterPackets,
+      onPacketClick: selectPacket,
+      onClearPackets: clearPackets,
+      traceStatus,
+      traceTab,
+      callTree,
+      traceEvents,
+      traceError,
+      onTraceTabSelect: selectTraceTab,
+      onStartTrace: startTrace,
+      onStopTrace: stopTrace
     });
   }
 }
@@ -46,7 +99,15 @@ function mapStateToProps(state) {
   return {
     tabs: getTabs(state),
     filterString: getFilterString(state),
-    config: getConfig(state)
+    config: getConfig(state),
+    packets: getPackets(state),
+    selectedPacket: getSelectedPacket(state),
+    packetFilterString: getPacketFilterString(state),
+    traceStatus: getTraceStatus(state),
+    traceTab: getTraceTab(state),
+    callTree: getCallTree(state),
+    traceEvents: getTraceEvents(state),
+    traceError: getTraceError(state)
   };
 }
 
@@ -0,0 +1,172 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const React = require("react");
+
+require("./Packets.css");
+const { Component } = React;
+const dom = require("react-dom-factories");
+const PropTypes = require("prop-types");
+const classnames = require("classnames");
+
+function formatSize(size) {
+  if (size < 1024) {
+    return `${size} B`;
+  }
+  return `${(size / 1024).toFixed(1)} KB`;
+}
+
+function formatLatency(latency) {
+  return latency === null ? "" : `${latency} ms`;
+}
+
+function renderValue(value) {
+  if (typeof value === "string") {
+    return dom.span({ className: "json-string" }, JSON.stringify(value));
+  }
+  return dom.span({ className: `json-${typeof value}` }, String(value));
+}
+
+function renderJSONTree(value, name, depth = 0) {
+  const label = name === undefined ? null :
+    dom.span({ className: "json-key" }, `${name}: `);
+
+  if (value === null || typeof value !== "object") {
+    return dom.li({ key: name }, label, renderValue(value));
+  }
+
+  const keys = Object.keys(value);
+  const summary = Array.isArray(value) ?
+    `Array(${keys.length})` :
+    `{${keys.length > 0 ? "…" : ""}}`;
+
+  return dom.li(
+    { key: name },
+    dom.details(
+      { open: depth < 2 },
+      dom.summary({}, label, summary),
+      dom.ul(
+        { className: "json-tree" },
+        keys.map(key => renderJSONTree(value[key], key, depth + 1))
+      )
+    )
+  );
+}
+
+class Packets extends Component {
+  static get propTypes() {
+    return {
+      packets: PropTypes.object.isRequired,
+      selectedPacket: PropTypes.object,
+      filterString: PropTypes.string,
+      onFilterChange: PropTypes.func.isRequired,
+      onPacketClick: PropTypes.func.isRequired,
+      onClear: PropTypes.func.isRequired
+    };
+  }
+
+  constructor(props) {
+    super(props);
+    this.renderPacket = this.renderPacket.bind(this);
+  }
+
+  renderToolbar() {
+    const { filterString = "", onFilterChange, onClear } = this.props;
+
+    return dom.header(
+      {},
+      dom.input({
+        placeholder: "Filter packets by actor",
+        value: filterString,
+        type: "search",
+        onChange: e => onFilterChange(e.target.value)
+      }),
+      dom.button({ className: "packets-clear", onClick: onClear }, "Clear")
+    );
+  }
+
+  renderPacket(packet) {
+    const { selectedPacket, onPacketClick } = this.props;
+    const id = packet.get("id");
+    const sent = packet.get("direction") === "sent";
+
+    return dom.tr(
+      {
+        key: id,
+        className: classnames("packet", {
+          selected: selectedPacket && selectedPacket.get("id") === id
+        }),
+        onClick: () => onPacketClick(id)
+      },
+      dom.td(
+        {
+          className: classnames("packet-direction", { sent }),
+          title: sent ? "Sent" : "Received"
+        },
+        sent ? "↑" : "↓"
+      ),
+      dom.td({ className: "packet-actor" }, packet.get("actor")),
+      dom.td(
+        { className: "packet-type" },
+        packet.get("type"),
+        packet.get("format") === "bulk" ? " (bulk)" : ""
+      ),
+      dom.td({ className: "packet-size" }, formatSize(packet.get("size"))),
+      dom.td(
+        { className: "packet-latency" },
+        formatLatency(packet.get("latency"))
+      )
+    );
+  }
+
+  renderPacketList() {
+    const { packets } = this.props;
+
+    if (packets.count() == 0) {
+      return dom.div({ className: "packets-empty" }, "No packets yet");
+    }
+
+    return dom.div(
+      { className: "packet-list" },
+      dom.table(
+        {},
+        dom.thead(
+          {},
+          dom.tr(
+            {},
+            dom.th({}, ""),
+            dom.th({}, "Actor"),
+            dom.th({}, "Type"),
+            dom.th({}, "Size"),
+            dom.th({}, "Latency")
+          )
+        ),
+        dom.tbody({}, packets.valueSeq().map(this.renderPacket))
+      )
+    );
+  }
+
+  renderSelectedPacket() {
+    const { selectedPacket } = this.props;
+    if (!selectedPacket) {
+      return null;
+    }
+
+    return dom.ul(
+      { className: "packet-details json-tree" },
+      renderJSONTree(selectedPacket.get("packet"))
+    );
+  }
+
+  render() {
+    return dom.div(
+      { className: "launchpad-packets" },
+      this.renderToolbar(),
+      this.renderPacketList(),
+      this.renderSelectedPacket()
+    );
+  }
+}
+
+module.exports = Packets;
@@ -73,7 +73,11 @@ class Sidebar extends Component {
       items.push(panelItems.Chrome.name, panelItems.Node.name);
     }
 
-    items.push(panelItems.Settings.name);
+    items.push(
+      panelItems.Packets.name,
+      panelItems.Traces.name,
+      panelItems.Settings.name
+    );
 
     return dom.aside(
       {
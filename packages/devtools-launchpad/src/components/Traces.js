@@ -0,0 +1,229 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const React = require("react");
+
+require("./Traces.css");
+const { Component } = React;
+const dom = require("react-dom-factories");
+const PropTypes = require("prop-types");
+const classnames = require("classnames");
+
+// The height of a row of the flame chart, in pixels.
+const ROW_HEIGHT = 18;
+// Calls narrower than this percentage of the trace aren't drawn, nor are
+// the calls they made.
+const MIN_WIDTH = 0.05;
+
+function formatTime(time) {
+  return `${Number(time.toFixed(2))} ms`;
+}
+
+function describeNode(node) {
+  const lines = [
+    node.name,
+    `Total: ${formatTime(node.duration)}, self: ${formatTime(node.selfTime)}`
+  ];
+  if (node.location) {
+    const { url, line, column } = node.location;
+    lines.push(`${url}:${line}:${column}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Flatten the calls of a call tree wide enough to be drawn, with their
+ * position in percents of the duration of the trace.
+ */
+function getFlameNodes(callTree) {
+  const nodes = [];
+  const total = callTree.duration || 1;
+
+  function addNode(node) {
+    const width = node.duration / total * 100;
+    if (width < MIN_WIDTH) {
+      return;
+    }
+    nodes.push({
+      node,
+      left: (node.start - callTree.start) / total * 100,
+      width
+    });
+    node.children.forEach(addNode);
+  }
+  callTree.children.forEach(addNode);
+
+  return nodes;
+}
+
+function getDepth(node) {
+  return node.children.reduce(
+    (depth, child) => Math.max(depth, getDepth(child)),
+    node.depth
+  );
+}
+
+function exportTrace(traceEvents) {
+  const json = JSON.stringify(traceEvents);
+  const url = URL.createObjectURL(
+    new Blob([json], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `trace-${Date.now()}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+class Traces extends Component {
+  static get propTypes() {
+    return {
+      tabs: PropTypes.object.isRequired,
+      selectedTab: PropTypes.object,
+      status: PropTypes.string.isRequired,
+      callTree: PropTypes.object,
+      traceEvents: PropTypes.object,
+      error: PropTypes.string,
+      onTabSelect: PropTypes.func.isRequired,
+      onStart: PropTypes.func.isRequired,
+      onStop: PropTypes.func.isRequired
+    };
+  }
+
+  renderToolbar() {
+    const {
+      tabs,
+      selectedTab,
+      status,
+      traceEvents,
+      onTabSelect,
+      onStart,
+      onStop
+    } = this.props;
+    const idle = status === "idle";
+    const recording = status === "recording";
+
+    return dom.header(
+      {},
+      dom.select(
+        {
+          className: "traces-tab",
+          value: selectedTab ? selectedTab.get("id") : "",
+          disabled: !idle,
+          onChange: e => onTabSelect(e.target.value || null)
+        },
+        dom.option({ value: "" }, "Select a Firefox tab"),
+        tabs.map(tab =>
+          dom.option(
+            { key: tab.get("id"), value: tab.get("id") },
+            tab.get("title") || tab.get("url")
+          )
+        )
+      ),
+      recording || status === "stopping" ?
+        dom.button({ onClick: onStop, disabled: !recording }, "Stop") :
+        dom.button(
+          {
+            onClick: () => onStart(selectedTab.get("tab")),
+            disabled: !idle || !this.canTrace()
+          },
+          "Start"
+        ),
+      dom.button(
+        {
+          className: "traces-export",
+          onClick: () => exportTrace(traceEvents),
+          disabled: !traceEvents
+        },
+        "Export JSON"
+      )
+    );
+  }
+
+  canTrace() {
+    const { selectedTab } = this.props;
+    return !!selectedTab && !!selectedTab.get("tab").traceActor;
+  }
+
+  renderMessage() {
+    const { selectedTab, status, callTree, error } = this.props;
+
+    if (error) {
+      return dom.div({ className: "traces-message error" }, error);
+    }
+    if (selectedTab && !this.canTrace()) {
+      return dom.div(
+        { className: "traces-message" },
+        "This tab can't be traced, its server has no trace actor"
+      );
+    }
+    if (status === "recording") {
+      return dom.div(
+        { className: "traces-message" },
+        "Recording the calls of the tab…"
+      );
+    }
+    if (!callTree) {
+      return dom.div(
+        { className: "traces-message" },
+        "Select a tab and start a trace"
+      );
+    }
+    if (callTree.children.length == 0) {
+      return dom.div({ className: "traces-message" }, "No calls traced");
+    }
+    return dom.div(
+      { className: "traces-message" },
+      `${formatTime(callTree.duration)} traced`
+    );
+  }
+
+  renderFlameChart() {
+    const { callTree } = this.props;
+    if (!callTree || callTree.children.length == 0) {
+      return null;
+    }
+
+    return dom.div(
+      { className: "flame-chart" },
+      dom.div(
+        {
+          className: "flame-chart-rows",
+          style: { height: getDepth(callTree) * ROW_HEIGHT }
+        },
+        getFlameNodes(callTree).map(({ node, left, width }, i) =>
+          dom.div(
+            {
+              key: i,
+              className: classnames("flame-node", {
+                "has-location": !!node.location
+              }),
+              title: describeNode(node),
+              style: {
+                left: `${left}%`,
+                width: `${width}%`,
+                top: (node.depth - 1) * ROW_HEIGHT,
+                height: ROW_HEIGHT
+              }
+            },
+            node.name
+          )
+        )
+      )
+    );
+  }
+
+  render() {
+    return dom.div(
+      { className: "launchpad-traces" },
+      this.renderToolbar(),
+      this.renderMessage(),
+      this.renderFlameChart()
+    );
+  }
+}
+
+module.exports = Traces;
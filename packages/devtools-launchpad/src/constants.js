@@ -24,6 +24,18 @@ const sidePanelItems = {
     docsUrlPart: "#starting-node",
     isUnderConstruction: true
   },
+  Packets: {
+    name: "Packets",
+    clientType: "packets",
+    paramName: "packets-tab",
+    docsUrlPart: ""
+  },
+  Traces: {
+    name: "Traces",
+    clientType: "traces",
+    paramName: "traces-tab",
+    docsUrlPart: ""
+  },
   Settings: {
     name: "Settings",
     clientType: "settings",
@@ -44,6 +56,14 @@ module.exports = {
   FILTER_TABS: "FILTER_TABS",
   SET_VALUE: "SET_VALUE",
   SET_CONFIG: "SET_CONFIG",
+  ADD_PACKET: "ADD_PACKET",
+  SET_PACKET_LATENCY: "SET_PACKET_LATENCY",
+  CLEAR_PACKETS: "CLEAR_PACKETS",
+  FILTER_PACKETS: "FILTER_PACKETS",
+  SELECT_PACKET: "SELECT_PACKET",
+  SELECT_TRACE_TAB: "SELECT_TRACE_TAB",
+  START_TRACE: "START_TRACE",
+  STOP_TRACE: "STOP_TRACE",
   sidePanelItems,
   docsUrls
 };
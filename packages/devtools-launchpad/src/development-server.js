@@ -144,13 +144,19 @@ function startDevServer(devConfig, webpackConfig, rootDir) {
     }
   });
 
-  if (!getValue("firefox.webSocketConnection")) {
+  if (
+    !getValue("firefox.webSocketConnection") &&
+    !getValue("firefox.remoteProxy")
+  ) {
     const firefoxProxy = require("../bin/firefox-proxy");
     firefoxProxy({
       host: getValue("firefox.host"),
       webSocketPort: getValue("firefox.webSocketPort"),
       tcpPort: getValue("firefox.tcpPort"),
-      logging: getValue("logging.firefoxProxy")
+      logging: getValue("logging.firefoxProxy"),
+      token: getValue("firefox.authToken"),
+      cert: getValue("firefox.tlsCert"),
+      key: getValue("firefox.tlsKey")
     });
   }
 
@@ -103,7 +103,7 @@ async function initApp() {
   const createStore = configureStore({
     log: getValue("logging.actions"),
     makeThunkArgs: (args, state) => {
-      return Object.assign({}, args, {});
+      return Object.assign({}, args, { firefox });
     }
   });
 
@@ -213,6 +213,8 @@ async function bootstrap(React, ReactDOM) {
 
   const { store, actions, LaunchpadApp } = await initApp();
   renderRoot(React, ReactDOM, LaunchpadApp, store);
+  firefox.observePackets(actions.addPacket);
+  firefox.observeRequestTimings(actions.setPacketLatency);
   await connectClients(actions);
   setInterval(async () => await getTabs(actions), 3000);
 
@@ -4,8 +4,12 @@
 
 const tabs = require("./tabs");
 const config = require("./config");
+const packets = require("./packets");
+const traces = require("./traces");
 
 module.exports = {
   tabs,
-  config
+  config,
+  packets,
+  traces
 };
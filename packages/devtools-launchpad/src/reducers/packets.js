@@ -0,0 +1,73 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const constants = require("../constants");
+const Immutable = require("immutable");
+const fromJS = require("../utils/fromJS");
+
+// Only keep the latest packets, the tab list alone is polled every few
+// seconds.
+const MAX_PACKETS = 1000;
+
+const initialState = fromJS({
+  packets: [],
+  nextId: 0,
+  selectedPacket: null,
+  filterString: ""
+});
+
+function update(state = initialState, action) {
+  switch (action.type) {
+    case constants.ADD_PACKET:
+      return addPacket(state, action.value);
+
+    case constants.SET_PACKET_LATENCY:
+      return setPacketLatency(state, action.value);
+
+    case constants.CLEAR_PACKETS:
+      return state.setIn(["packets"], Immutable.List())
+        .setIn(["selectedPacket"], null);
+
+    case constants.FILTER_PACKETS:
+      return state.setIn(["filterString"], action.value);
+
+    case constants.SELECT_PACKET:
+      return state.setIn(["selectedPacket"], action.id);
+  }
+
+  return state;
+}
+
+function addPacket(state, packet) {
+  const id = state.get("nextId");
+  const packets = state.get("packets").push(
+    Immutable.Map(Object.assign({}, packet, {
+      id,
+      latency: null,
+      // The clients change the packets they handle, keep a copy of what went
+      // through the wire.
+      packet: JSON.parse(JSON.stringify(packet.packet))
+    }))
+  );
+
+  return state.setIn(["nextId"], id + 1)
+    .setIn(["packets"], packets.takeLast(MAX_PACKETS));
+}
+
+// The client reports the round trip time of a request right after its reply
+// came in, so the reply is the latest packet received from the actor. The
+// notifications it sends unsolicited get no latency.
+function setPacketLatency(state, { actor, duration }) {
+  const index = state.get("packets").findLastIndex(packet => {
+    return packet.get("direction") === "received" &&
+      packet.get("actor") === actor;
+  });
+  if (index === -1) {
+    return state;
+  }
+
+  return state.setIn(["packets", index, "latency"], duration);
+}
+
+module.exports = update;
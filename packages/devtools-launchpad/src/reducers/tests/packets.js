@@ -0,0 +1,77 @@
+const update = require("../packets");
+const actions = require("../../actions/packets");
+
+function createPacket(direction, actor, packet = {}) {
+  return {
+    direction,
+    format: "json",
+    actor,
+    type: packet.type || null,
+    size: 10,
+    time: 0,
+    packet: Object.assign(
+      direction === "sent" ? { to: actor } : { from: actor },
+      packet
+    )
+  };
+}
+
+function addPackets(state, packets) {
+  return packets.reduce((current, packet) => {
+    return update(current, actions.addPacket(packet));
+  }, state);
+}
+
+describe("packets reducer", () => {
+  it("only keeps the latest 1000 packets", () => {
+    const packets = [];
+    for (let i = 0; i < 1005; i++) {
+      packets.push(createPacket("received", "root", { n: i }));
+    }
+    const state = addPackets(undefined, packets);
+
+    const kept = state.get("packets");
+    expect(kept.size).toBe(1000);
+    expect(kept.first().get("id")).toBe(5);
+    expect(kept.first().get("packet").n).toBe(5);
+    expect(kept.last().get("id")).toBe(1004);
+    expect(state.get("nextId")).toBe(1005);
+  });
+
+  it("sets the latency of the latest reply of the actor", () => {
+    let state = addPackets(undefined, [
+      createPacket("sent", "tab1", { type: "reload" }),
+      createPacket("received", "tab1"),
+      createPacket("sent", "tab1", { type: "focus" }),
+      createPacket("received", "tab1"),
+      createPacket("received", "tab2")
+    ]);
+    state = update(
+      state,
+      actions.setPacketLatency({ actor: "tab1", type: "focus", duration: 12 })
+    );
+
+    const latencies = state.get("packets").map(p => p.get("latency"));
+    expect(latencies.toArray()).toEqual([null, null, null, 12, null]);
+  });
+
+  it("ignores the latency of an actor without replies", () => {
+    const state = addPackets(undefined, [
+      createPacket("sent", "tab1", { type: "reload" })
+    ]);
+    const action = actions.setPacketLatency({ actor: "tab2", duration: 12 });
+    expect(update(state, action)).toBe(state);
+  });
+
+  it("keeps the packets as they were added", () => {
+    const packet = createPacket("received", "thread1", {
+      type: "paused",
+      frame: { actor: "frame1" }
+    });
+    const state = addPackets(undefined, [packet]);
+    packet.packet.frame.actor = "frame2";
+
+    const added = state.get("packets").first().get("packet");
+    expect(added.frame.actor).toBe("frame1");
+  });
+});
@@ -0,0 +1,51 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const constants = require("../constants");
+const fromJS = require("../utils/fromJS");
+
+const initialState = fromJS({
+  // "idle", "starting", "recording" or "stopping".
+  status: "idle",
+  selectedTab: null,
+  // The call tree and Chrome trace events of the last trace, kept as plain
+  // objects: they can be large and are only read.
+  callTree: null,
+  traceEvents: null,
+  error: null
+});
+
+function update(state = initialState, action) {
+  switch (action.type) {
+    case constants.SELECT_TRACE_TAB:
+      return state.setIn(["selectedTab"], action.id);
+
+    case constants.START_TRACE:
+      if (action.status === "start") {
+        return state.setIn(["status"], "starting")
+          .setIn(["error"], null);
+      }
+      if (action.status === "done") {
+        return state.setIn(["status"], "recording");
+      }
+      return state.setIn(["status"], "idle")
+        .setIn(["error"], action.error);
+
+    case constants.STOP_TRACE:
+      if (action.status === "start") {
+        return state.setIn(["status"], "stopping");
+      }
+      if (action.status === "done") {
+        return state.setIn(["status"], "idle")
+          .setIn(["callTree"], action.value.callTree)
+          .setIn(["traceEvents"], action.value.traceEvents);
+      }
+      return state.setIn(["status"], "idle")
+        .setIn(["error"], action.error);
+  }
+
+  return state;
+}
+
+module.exports = update;
@@ -33,9 +33,60 @@ function getConfig(state) {
   return state.config.get("config").toJS();
 }
 
+function getPackets(state) {
+  let packets = state.packets.get("packets");
+  let filterString = getPacketFilterString(state);
+
+  if (filterString === "") {
+    return packets;
+  }
+
+  return packets.filter(packet =>
+    (packet.get("actor") || "").includes(filterString)
+  );
+}
+
+function getSelectedPacket(state) {
+  const id = state.packets.get("selectedPacket");
+  return state.packets.get("packets").find(packet => packet.get("id") === id);
+}
+
+function getPacketFilterString(state) {
+  return state.packets.get("filterString");
+}
+
+function getTraceStatus(state) {
+  return state.traces.get("status");
+}
+
+function getTraceTab(state) {
+  const id = state.traces.get("selectedTab");
+  return id === null ? null : state.tabs.getIn(["tabs", id]);
+}
+
+function getCallTree(state) {
+  return state.traces.get("callTree");
+}
+
+function getTraceEvents(state) {
+  return state.traces.get("traceEvents");
+}
+
+function getTraceError(state) {
+  return state.traces.get("error");
+}
+
 module.exports = {
   getTabs,
   getSelectedTab,
   getFilterString,
-  getConfig
+  getConfig,
+  getPackets,
+  getSelectedPacket,
+  getPacketFilterString,
+  getTraceStatus,
+  getTraceTab,
+  getCallTree,
+  getTraceEvents,
+  getTraceError
 };
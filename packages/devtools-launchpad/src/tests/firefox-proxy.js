@@ -0,0 +1,163 @@
+/* eslint-env node, jest */
+
+const net = require("net");
+const WebSocket = require("ws");
+const { DebuggerClient, DebuggerMultiplexer } = require("devtools-connection");
+const startProxy = require("../../bin/firefox-proxy");
+
+// DebuggerSocket opens its sockets with the WebSocket global of browsers.
+global.WebSocket = WebSocket;
+
+const GREETING = { from: "root", applicationType: "browser", traits: {} };
+
+function frame(packet) {
+  const json = JSON.stringify(packet);
+  return `${Buffer.byteLength(json)}:${json}`;
+}
+
+function getFreePort() {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function listen(server, port) {
+  return new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe("firefox-proxy", () => {
+  let firefox, connections, proxy, tcpPort, webSocketPort, multiplexers;
+
+  async function start(token) {
+    proxy = startProxy({ host: "127.0.0.1", webSocketPort, tcpPort, token });
+    await new Promise(resolve => proxy.once("listening", resolve));
+  }
+
+  function connect(authenticator, multiplexer) {
+    return DebuggerClient.socketConnect({
+      host: "localhost",
+      port: webSocketPort,
+      authenticator,
+      multiplexer
+    });
+  }
+
+  function createMultiplexer() {
+    const url = `ws://localhost:${webSocketPort}/multiplex`;
+    const multiplexer = new DebuggerMultiplexer(new WebSocket(url));
+    multiplexers.push(multiplexer);
+    return multiplexer;
+  }
+
+  // Resolve with the first packet received by a connected transport.
+  function receive(transport) {
+    return new Promise((resolve, reject) => {
+      transport.hooks = {
+        onPacket: resolve,
+        onClosed: reject
+      };
+      transport.ready();
+    });
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    // A Firefox debugger server greeting the clients.
+    connections = [];
+    multiplexers = [];
+    firefox = net.createServer(socket => {
+      connections.push(socket);
+      socket.write(frame(GREETING));
+    });
+    tcpPort = await getFreePort();
+    await listen(firefox, tcpPort);
+    webSocketPort = await getFreePort();
+  });
+
+  afterEach(async () => {
+    multiplexers.forEach(multiplexer => multiplexer.close());
+    // Let the proxy log the closing of the connections while it's mocked.
+    await Promise.all(
+      Array.from(proxy.clients, connection => {
+        return new Promise(resolve => connection.once("close", resolve));
+      })
+    );
+    connections.forEach(socket => socket.destroy());
+    await close(proxy);
+    await close(firefox);
+    console.log.mockRestore();
+  });
+
+  it("forwards the clients sending the token to Firefox", async () => {
+    await start("secret");
+    const { Authenticators } = DebuggerClient;
+    const transport = await connect(new Authenticators.Token.Client("secret"));
+
+    expect(await receive(transport)).toEqual(GREETING);
+    expect(connections.length).toBe(1);
+    transport.close();
+  });
+
+  it("refuses the clients sending another token", async () => {
+    await start("secret");
+    const { Authenticators } = DebuggerClient;
+
+    await expect(
+      connect(new Authenticators.Token.Client("guess"))
+    ).rejects.toThrow("refused");
+    expect(connections.length).toBe(0);
+  });
+
+  it("forwards all the clients when it has no token", async () => {
+    await start(null);
+    const transport = await connect();
+
+    expect(await receive(transport)).toEqual(GREETING);
+    transport.close();
+  });
+
+  it("authenticates each multiplexed connection on its own", async () => {
+    await start("secret");
+    const { Authenticators } = DebuggerClient;
+    const multiplexer = createMultiplexer();
+
+    const [allowed, refused] = await Promise.all([
+      connect(new Authenticators.Token.Client("secret"), multiplexer),
+      connect(new Authenticators.Token.Client("guess"), multiplexer).catch(
+        error => error
+      )
+    ]);
+    expect(refused.message).toMatch("refused");
+    expect(await receive(allowed)).toEqual(GREETING);
+    expect(connections.length).toBe(1);
+    expect(multiplexer.connectionCount).toBe(1);
+
+    // Closing a connection closes its own connection to Firefox.
+    const [firefoxConnection] = connections;
+    const ended = new Promise(resolve => firefoxConnection.once("end", resolve));
+    allowed.close();
+    await ended;
+  });
+
+  it("gives each multiplexed connection its own Firefox connection", async () => {
+    await start(null);
+    const multiplexer = createMultiplexer();
+
+    const transports = await Promise.all([
+      connect(undefined, multiplexer),
+      connect(undefined, multiplexer)
+    ]);
+    const greetings = await Promise.all(transports.map(receive));
+    expect(greetings).toEqual([GREETING, GREETING]);
+    expect(connections.length).toBe(2);
+  });
+});
@@ -44,6 +44,41 @@ describe("telemetry shim", () => {
     }).not.toThrow();
   });
 
+  it("records histogram values", () => {
+    window.telemetry.histograms = {};
+
+    telemetry.getHistogramById("DEVTOOLS_FOO_MS").add(3);
+    telemetry.getHistogramById("DEVTOOLS_FOO_MS").add(5);
+    expect(window.telemetry.histograms.DEVTOOLS_FOO_MS).toEqual([3, 5]);
+
+    const keyed = telemetry.getKeyedHistogramById("DEVTOOLS_BAR_MS");
+    keyed.add("thread", 12);
+    keyed.add("thread", 4);
+    keyed.add("root", 1);
+    expect(window.telemetry.histograms.DEVTOOLS_BAR_MS).toEqual({
+      thread: [12, 4],
+      root: [1]
+    });
+  });
+
+  it("only keeps the latest histogram values", () => {
+    window.telemetry.histograms = {};
+
+    const histogram = telemetry.getHistogramById("DEVTOOLS_FOO_MS");
+    const keyed = telemetry.getKeyedHistogramById("DEVTOOLS_BAR_MS");
+    for (let i = 0; i < 1005; i++) {
+      histogram.add(i);
+      keyed.add("thread", i);
+    }
+
+    const values = window.telemetry.histograms.DEVTOOLS_FOO_MS;
+    expect(values.length).toBe(1000);
+    expect(values[0]).toBe(5);
+    expect(values[999]).toBe(1004);
+    expect(window.telemetry.histograms.DEVTOOLS_BAR_MS.thread.length)
+      .toBe(1000);
+  });
+
   it("scalarSet", () => {
     expect(() => {
       telemetry.scalarSet("foo", 3);
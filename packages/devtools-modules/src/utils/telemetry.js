@@ -5,8 +5,24 @@
 /**
  * This is a stub of the DevTools telemetry module and will be replaced by the
  * full version of the file by Webpack for running inside Firefox.
+ *
+ * Histograms are backed by the Services.telemetry shim, which keeps the values
+ * added in window.telemetry.histograms so that they can be inspected, e.g. the
+ * request round trip times of a DebuggerClient created with this class as its
+ * |telemetry| option. Only the latest MAX_HISTOGRAM_VALUES values of each
+ * histogram, or of each key of a keyed histogram, are kept.
  */
 
+const Services = require("devtools-services");
+
+const MAX_HISTOGRAM_VALUES = 1000;
+
+function trimValues(values) {
+  if (values && values.length > MAX_HISTOGRAM_VALUES) {
+    values.splice(0, values.length - MAX_HISTOGRAM_VALUES);
+  }
+}
+
 class Telemetry {
   /**
    * Time since the system wide epoch. This is not a monotonic timer but
@@ -119,8 +135,12 @@ class Telemetry {
    *         Histogram in which the data is to be stored.
    */
   getHistogramById(histogramId) {
+    const histogram = Services.telemetry.getHistogramById(histogramId);
     return {
-      add: () => {}
+      add: value => {
+        histogram.add(value);
+        trimValues(window.telemetry.histograms[histogramId]);
+      }
     };
   }
 
@@ -131,8 +151,12 @@ class Telemetry {
    *         Histogram in which the data is to be stored.
    */
   getKeyedHistogramById(histogramId) {
+    const histogram = Services.telemetry.getKeyedHistogramById(histogramId);
     return {
-      add: () => {}
+      add: (key, value) => {
+        histogram.add(key, value);
+        trimValues(window.telemetry.histograms[histogramId][key]);
+      }
     };
   }
 